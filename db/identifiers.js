@@ -0,0 +1,19 @@
+// Tenant IDs double as Postgres schema names, so keep them to plain
+// lowercase identifiers that never need case-sensitive quoting.
+const TENANT_ID_PATTERN = /^[a-z][a-z0-9_]{0,62}$/;
+
+const RESERVED_SCHEMAS = new Set(['public', 'information_schema']);
+
+function isValidTenantId(tenantId) {
+  return typeof tenantId === 'string' &&
+    TENANT_ID_PATTERN.test(tenantId) &&
+    !tenantId.startsWith('pg_') &&
+    !RESERVED_SCHEMAS.has(tenantId);
+}
+
+// Quote an identifier for safe interpolation into SQL
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+export { TENANT_ID_PATTERN, isValidTenantId, quoteIdent };
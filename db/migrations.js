@@ -0,0 +1,656 @@
+import { quoteIdent } from './identifiers.js';
+import { createUpcomingPartitions } from './partitions.js';
+
+// Control-plane migrations run once against the public schema and hold
+// data shared by every tenant (tenant registry, settings, API keys).
+const controlMigrations = [
+  {
+    version: 1,
+    name: 'create_tenants',
+    up: (client) => client.query(`
+      CREATE TABLE IF NOT EXISTS public.tenants (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        status TEXT NOT NULL DEFAULT 'active',
+        schema_version INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        disabled_at TIMESTAMP WITH TIME ZONE,
+        CONSTRAINT tenants_status_check CHECK (status IN ('active', 'disabled'))
+      )
+    `)
+  },
+  {
+    version: 2,
+    name: 'create_tenant_api_keys',
+    up: (client) => client.query(`
+      CREATE TABLE IF NOT EXISTS public.tenant_api_keys (
+        id TEXT PRIMARY KEY,
+        tenant_id TEXT NOT NULL REFERENCES public.tenants (id),
+        type TEXT NOT NULL,
+        name TEXT,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        replaced_by TEXT,
+        CONSTRAINT tenant_api_keys_type_check CHECK (type IN ('write', 'read'))
+      );
+
+      CREATE INDEX IF NOT EXISTS tenant_api_keys_tenant_id_idx
+        ON public.tenant_api_keys (tenant_id)
+    `)
+  },
+  {
+    version: 3,
+    name: 'tenant_settings',
+    up: (client) => client.query(`
+      ALTER TABLE public.tenants
+        ADD COLUMN IF NOT EXISTS settings JSONB NOT NULL DEFAULT '{}'::jsonb
+    `)
+  },
+  {
+    version: 4,
+    name: 'rate_limit_buckets',
+    up: (client) => client.query(`
+      -- Token buckets shared by all instances when RATE_LIMIT_STORE=postgres.
+      -- Keys are hashed since they contain IPs. Unlogged: losing buckets in a
+      -- crash only refills them.
+      CREATE UNLOGGED TABLE IF NOT EXISTS public.rate_limit_buckets (
+        key TEXT PRIMARY KEY,
+        tokens DOUBLE PRECISION NOT NULL,
+        allowed BOOLEAN NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS rate_limit_buckets_updated_at_idx
+        ON public.rate_limit_buckets (updated_at)
+    `)
+  }
+];
+
+// Tenant migrations run inside each tenant's schema. `s` is the already
+// quoted schema name. Never edit a migration once it has shipped; add a new
+// version instead so existing tenants are upgraded in place.
+const tenantMigrations = [
+  {
+    version: 1,
+    name: 'initial_tables',
+    up: (client, s) => client.query(`
+      CREATE TABLE IF NOT EXISTS ${s}.identity_mappings (
+        id SERIAL PRIMARY KEY,
+        visitor_id TEXT UNIQUE,
+        ip_address TEXT,
+        browser_details JSONB,
+        confidence_score FLOAT,
+        first_seen_at TIMESTAMP WITH TIME ZONE,
+        last_seen_at TIMESTAMP WITH TIME ZONE,
+        geolocation JSONB,
+        asn JSONB,
+        identification_method TEXT,
+        identity JSONB
+      );
+
+      CREATE TABLE IF NOT EXISTS ${s}.session_mappings (
+        id SERIAL PRIMARY KEY,
+        session_id TEXT UNIQUE,
+        visitor_id TEXT,
+        ip_address TEXT,
+        browser_details JSONB,
+        confidence_score FLOAT,
+        identification_method TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS ${s}.events (
+        id SERIAL PRIMARY KEY,
+        session_id TEXT,
+        visitor_id TEXT,
+        event_name TEXT,
+        properties JSONB,
+        identity JSONB,
+        ip_address TEXT,
+        browser_details JSONB,
+        confidence_score FLOAT,
+        identification_method TEXT,
+        geolocation JSONB,
+        asn JSONB,
+        first_seen_at TIMESTAMP WITH TIME ZONE,
+        last_seen_at TIMESTAMP WITH TIME ZONE,
+        timestamp TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+  },
+  {
+    version: 2,
+    name: 'lookup_indexes',
+    up: (client, s) => client.query(`
+      CREATE INDEX IF NOT EXISTS identity_mappings_ip_address_idx
+        ON ${s}.identity_mappings (ip_address, last_seen_at DESC);
+      CREATE INDEX IF NOT EXISTS session_mappings_visitor_id_idx
+        ON ${s}.session_mappings (visitor_id);
+      CREATE INDEX IF NOT EXISTS events_session_id_idx
+        ON ${s}.events (session_id, timestamp DESC);
+      CREATE INDEX IF NOT EXISTS events_visitor_id_idx
+        ON ${s}.events (visitor_id)
+    `)
+  },
+  {
+    version: 3,
+    name: 'identity_graph',
+    up: async (client, s) => {
+      // Profiles form a merge forest: merged_into is the direct parent (so a
+      // merge can be undone) and canonical_id is the flattened root
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS ${s}.profiles (
+          id TEXT PRIMARY KEY,
+          canonical_id TEXT NOT NULL,
+          merged_into TEXT REFERENCES ${s}.profiles (id),
+          merge_reason TEXT,
+          merge_confidence FLOAT,
+          merged_at TIMESTAMP WITH TIME ZONE,
+          traits JSONB NOT NULL DEFAULT '{}'::jsonb,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS profiles_canonical_id_idx
+          ON ${s}.profiles (canonical_id);
+        CREATE INDEX IF NOT EXISTS profiles_merged_into_idx
+          ON ${s}.profiles (merged_into);
+
+        CREATE TABLE IF NOT EXISTS ${s}.identity_links (
+          id BIGSERIAL PRIMARY KEY,
+          profile_id TEXT NOT NULL REFERENCES ${s}.profiles (id),
+          kind TEXT NOT NULL,
+          value TEXT NOT NULL,
+          reason TEXT NOT NULL,
+          confidence FLOAT NOT NULL,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          removed_at TIMESTAMP WITH TIME ZONE,
+          CONSTRAINT identity_links_kind_check CHECK (kind IN ('visitor', 'session', 'user'))
+        );
+
+        CREATE UNIQUE INDEX IF NOT EXISTS identity_links_active_idx
+          ON ${s}.identity_links (kind, value) WHERE removed_at IS NULL;
+        CREATE INDEX IF NOT EXISTS identity_links_profile_id_idx
+          ON ${s}.identity_links (profile_id) WHERE removed_at IS NULL;
+
+        CREATE TABLE IF NOT EXISTS ${s}.identity_exclusions (
+          visitor_id TEXT NOT NULL,
+          profile_id TEXT NOT NULL,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (visitor_id, profile_id)
+        );
+
+        ALTER TABLE ${s}.events ADD COLUMN IF NOT EXISTS profile_id TEXT;
+        CREATE INDEX IF NOT EXISTS events_profile_id_idx
+          ON ${s}.events (profile_id)
+      `);
+
+      // Backfill: visitors stitched by the old copy-the-blob approach share an
+      // identical identity, so each distinct blob becomes one profile and each
+      // anonymous visitor gets its own
+      const profileIdSql = `'prof_' || substr(md5(
+        CASE WHEN identity IS NULL THEN 'visitor:' || visitor_id
+             ELSE 'identity:' || identity::text END
+      ), 1, 24)`;
+
+      await client.query(`
+        INSERT INTO ${s}.profiles (id, canonical_id, traits)
+        SELECT DISTINCT ON (profile_id) profile_id, profile_id, COALESCE(identity, '{}'::jsonb)
+        FROM (
+          SELECT ${profileIdSql} AS profile_id, identity
+          FROM ${s}.identity_mappings
+          WHERE visitor_id IS NOT NULL
+        ) mapped
+        ON CONFLICT (id) DO NOTHING;
+
+        INSERT INTO ${s}.identity_links (profile_id, kind, value, reason, confidence)
+        SELECT ${profileIdSql}, 'visitor', visitor_id,
+               CASE WHEN identity IS NULL THEN 'fingerprint' ELSE 'backfill' END,
+               COALESCE(confidence_score, 1.0)
+        FROM ${s}.identity_mappings
+        WHERE visitor_id IS NOT NULL
+        ON CONFLICT DO NOTHING;
+
+        INSERT INTO ${s}.identity_links (profile_id, kind, value, reason, confidence)
+        SELECT DISTINCT ON (traits->>'userId') id, 'user', traits->>'userId', 'identify', 1.0
+        FROM ${s}.profiles
+        WHERE traits ? 'userId'
+        ORDER BY traits->>'userId', updated_at DESC
+        ON CONFLICT DO NOTHING;
+
+        INSERT INTO ${s}.identity_links (profile_id, kind, value, reason, confidence)
+        SELECT l.profile_id, 'session', sm.session_id, 'session', 1.0
+        FROM ${s}.session_mappings sm
+        JOIN ${s}.identity_links l
+          ON l.kind = 'visitor' AND l.value = sm.visitor_id AND l.removed_at IS NULL
+        WHERE sm.session_id IS NOT NULL
+        ON CONFLICT DO NOTHING;
+
+        UPDATE ${s}.events e
+        SET profile_id = l.profile_id
+        FROM ${s}.identity_links l
+        WHERE l.kind = 'visitor' AND l.value = e.visitor_id AND l.removed_at IS NULL
+        AND e.profile_id IS NULL
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'verified_requests',
+    up: (client, s) => client.query(`
+      CREATE TABLE IF NOT EXISTS ${s}.verified_requests (
+        request_id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        visitor_id TEXT NOT NULL,
+        verified_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS verified_requests_session_id_idx
+        ON ${s}.verified_requests (session_id)
+    `)
+  },
+  {
+    version: 5,
+    name: 'risk_scoring',
+    up: (client, s) => client.query(`
+      ALTER TABLE ${s}.session_mappings
+        ADD COLUMN IF NOT EXISTS risk_score REAL,
+        ADD COLUMN IF NOT EXISTS risk_status TEXT,
+        ADD COLUMN IF NOT EXISTS risk_signals JSONB;
+
+      ALTER TABLE ${s}.events
+        ADD COLUMN IF NOT EXISTS risk_score REAL,
+        ADD COLUMN IF NOT EXISTS risk_status TEXT;
+
+      CREATE INDEX IF NOT EXISTS session_mappings_risk_status_idx
+        ON ${s}.session_mappings (risk_status)
+        WHERE risk_status IS NOT NULL AND risk_status != 'ok';
+
+      CREATE INDEX IF NOT EXISTS events_risk_status_idx
+        ON ${s}.events (risk_status)
+        WHERE risk_status IS NOT NULL AND risk_status != 'ok'
+    `)
+  },
+  {
+    version: 6,
+    name: 'event_query_indexes',
+    up: (client, s) => client.query(`
+      -- Keyset pagination orders by (timestamp, id) within each filter
+      CREATE INDEX IF NOT EXISTS events_timestamp_id_idx
+        ON ${s}.events (timestamp DESC, id DESC);
+      CREATE INDEX IF NOT EXISTS events_visitor_id_timestamp_idx
+        ON ${s}.events (visitor_id, timestamp DESC, id DESC);
+      CREATE INDEX IF NOT EXISTS events_profile_id_timestamp_idx
+        ON ${s}.events (profile_id, timestamp DESC, id DESC);
+      CREATE INDEX IF NOT EXISTS events_event_name_timestamp_idx
+        ON ${s}.events (event_name, timestamp DESC, id DESC);
+      CREATE INDEX IF NOT EXISTS events_properties_idx
+        ON ${s}.events USING GIN (properties jsonb_path_ops);
+
+      -- Superseded by the composite indexes above
+      DROP INDEX IF EXISTS ${s}.events_visitor_id_idx;
+      DROP INDEX IF EXISTS ${s}.events_profile_id_idx;
+
+      CREATE INDEX IF NOT EXISTS profiles_email_idx
+        ON ${s}.profiles ((traits ->> 'email'))
+        WHERE id = canonical_id
+    `)
+  },
+  {
+    version: 7,
+    name: 'session_lifecycle',
+    up: (client, s) => client.query(`
+      ALTER TABLE ${s}.session_mappings
+        ADD COLUMN IF NOT EXISTS started_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS last_activity_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS end_reason TEXT,
+        ADD COLUMN IF NOT EXISTS rotated_to TEXT,
+        ADD COLUMN IF NOT EXISTS event_count INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS landing_page TEXT,
+        ADD COLUMN IF NOT EXISTS exit_page TEXT,
+        ADD COLUMN IF NOT EXISTS referrer TEXT;
+
+      -- Existing sessions take their timing and counts from their events;
+      -- sessions without events start now
+      UPDATE ${s}.session_mappings m
+      SET started_at = stats.first_at,
+          last_activity_at = stats.last_at,
+          event_count = stats.event_count,
+          landing_page = stats.pages[1],
+          exit_page = stats.pages[array_length(stats.pages, 1)],
+          referrer = stats.referrers[1]
+      FROM (
+        SELECT session_id,
+               MIN(timestamp) AS first_at,
+               MAX(timestamp) AS last_at,
+               COUNT(*)::int AS event_count,
+               ARRAY_AGG(COALESCE(properties ->> 'url', properties ->> 'path') ORDER BY timestamp)
+                 FILTER (WHERE COALESCE(properties ->> 'url', properties ->> 'path') IS NOT NULL) AS pages,
+               ARRAY_AGG(properties ->> 'referrer' ORDER BY timestamp)
+                 FILTER (WHERE properties ->> 'referrer' IS NOT NULL) AS referrers
+        FROM ${s}.events
+        GROUP BY session_id
+      ) stats
+      WHERE stats.session_id = m.session_id AND m.started_at IS NULL;
+
+      UPDATE ${s}.session_mappings
+      SET started_at = CURRENT_TIMESTAMP, last_activity_at = CURRENT_TIMESTAMP
+      WHERE started_at IS NULL;
+
+      ALTER TABLE ${s}.session_mappings
+        ALTER COLUMN started_at SET DEFAULT CURRENT_TIMESTAMP,
+        ALTER COLUMN started_at SET NOT NULL,
+        ALTER COLUMN last_activity_at SET DEFAULT CURRENT_TIMESTAMP;
+
+      DROP INDEX IF EXISTS ${s}.session_mappings_visitor_id_idx;
+      CREATE INDEX IF NOT EXISTS session_mappings_visitor_started_idx
+        ON ${s}.session_mappings (visitor_id, started_at DESC)
+    `)
+  },
+  {
+    version: 8,
+    name: 'destinations',
+    up: (client, s) => client.query(`
+      CREATE TABLE IF NOT EXISTS ${s}.destinations (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        name TEXT,
+        config JSONB NOT NULL DEFAULT '{}',
+        message_types TEXT[],
+        event_names TEXT[],
+        identity_state TEXT NOT NULL DEFAULT 'any'
+          CHECK (identity_state IN ('any', 'identified', 'anonymous')),
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Durable delivery queue; dead deliveries stay until replayed
+      CREATE TABLE IF NOT EXISTS ${s}.deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        destination_id TEXT NOT NULL REFERENCES ${s}.destinations(id) ON DELETE CASCADE,
+        message_type TEXT NOT NULL,
+        payload JSONB NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'delivered', 'dead')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        locked_until TIMESTAMP WITH TIME ZONE,
+        last_error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP WITH TIME ZONE
+      );
+
+      CREATE INDEX IF NOT EXISTS deliveries_due_idx
+        ON ${s}.deliveries (next_attempt_at)
+        WHERE status = 'pending';
+      CREATE INDEX IF NOT EXISTS deliveries_destination_status_idx
+        ON ${s}.deliveries (destination_id, status, created_at DESC)
+    `)
+  },
+  {
+    version: 9,
+    name: 'privacy_requests',
+    up: (client, s) => client.query(`
+      -- Audit trail of data subject requests. Identifiers are stored hashed.
+      CREATE TABLE IF NOT EXISTS ${s}.privacy_requests (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL CHECK (type IN ('export', 'delete', 'pseudonymize')),
+        subject_hash TEXT NOT NULL,
+        requested_by TEXT,
+        reason TEXT,
+        counts JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+
+      -- Hashes of erased visitor IDs, never stitched again
+      CREATE TABLE IF NOT EXISTS ${s}.suppressed_visitors (
+        visitor_hash TEXT PRIMARY KEY,
+        request_id TEXT NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS identity_mappings_email_idx
+        ON ${s}.identity_mappings ((identity ->> 'email'))
+    `)
+  },
+  {
+    version: 10,
+    name: 'event_schemas',
+    up: (client, s) => client.query(`
+      -- Registered JSON Schemas: one per event name, plus the identify
+      -- traits schema (kind 'traits', empty name)
+      CREATE TABLE IF NOT EXISTS ${s}.event_schemas (
+        kind TEXT NOT NULL CHECK (kind IN ('event', 'traits')),
+        name TEXT NOT NULL,
+        schema JSONB NOT NULL,
+        description TEXT,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (kind, name)
+      );
+
+      ALTER TABLE ${s}.events ADD COLUMN IF NOT EXISTS validation_errors JSONB;
+      CREATE INDEX IF NOT EXISTS events_invalid_idx
+        ON ${s}.events (timestamp DESC, id DESC)
+        WHERE validation_errors IS NOT NULL
+    `)
+  },
+  {
+    version: 11,
+    name: 'partitioned_events',
+    up: async (client, s) => {
+      // Replace events with a table partitioned by day so retention can drop
+      // whole days. Only the tables change here, so startup never waits on
+      // the copy: existing rows stay in events_unpartitioned until
+      // maintenance moves them into the partitions of their day, in batches
+      // (see backfillEvents).
+      await client.query(`
+        ALTER TABLE ${s}.events RENAME TO events_unpartitioned;
+
+        CREATE TABLE ${s}.events (LIKE ${s}.events_unpartitioned INCLUDING DEFAULTS)
+          PARTITION BY RANGE (timestamp);
+        ALTER TABLE ${s}.events ALTER COLUMN timestamp SET NOT NULL;
+        CREATE TABLE ${s}.events_default PARTITION OF ${s}.events DEFAULT
+      `);
+      await createUpcomingPartitions(client, s);
+
+      await client.query(`
+        ALTER SEQUENCE ${s}.events_id_seq OWNED BY ${s}.events.id;
+
+        -- Unique keys of a partitioned table must include the partition key
+        ALTER TABLE ${s}.events ADD PRIMARY KEY (id, timestamp);
+        CREATE INDEX IF NOT EXISTS events_session_id_idx
+          ON ${s}.events (session_id, timestamp DESC);
+        CREATE INDEX IF NOT EXISTS events_timestamp_id_idx
+          ON ${s}.events (timestamp DESC, id DESC);
+        CREATE INDEX IF NOT EXISTS events_visitor_id_timestamp_idx
+          ON ${s}.events (visitor_id, timestamp DESC, id DESC);
+        CREATE INDEX IF NOT EXISTS events_profile_id_timestamp_idx
+          ON ${s}.events (profile_id, timestamp DESC, id DESC);
+        CREATE INDEX IF NOT EXISTS events_event_name_timestamp_idx
+          ON ${s}.events (event_name, timestamp DESC, id DESC);
+        CREATE INDEX IF NOT EXISTS events_properties_idx
+          ON ${s}.events USING GIN (properties jsonb_path_ops);
+        CREATE INDEX IF NOT EXISTS events_risk_status_idx
+          ON ${s}.events (risk_status)
+          WHERE risk_status IS NOT NULL AND risk_status != 'ok';
+        CREATE INDEX IF NOT EXISTS events_invalid_idx
+          ON ${s}.events (timestamp DESC, id DESC)
+          WHERE validation_errors IS NOT NULL;
+
+        -- Events whose IP data retention has not scrubbed yet
+        CREATE INDEX IF NOT EXISTS events_unscrubbed_idx
+          ON ${s}.events (timestamp)
+          WHERE ip_address IS NOT NULL OR geolocation IS NOT NULL OR asn IS NOT NULL;
+
+        -- Daily counts of events removed by retention in 'aggregate' mode
+        CREATE TABLE IF NOT EXISTS ${s}.event_rollups (
+          day DATE NOT NULL,
+          event_name TEXT NOT NULL DEFAULT '',
+          events INTEGER NOT NULL,
+          visitors INTEGER NOT NULL,
+          sessions INTEGER NOT NULL,
+          PRIMARY KEY (day, event_name)
+        );
+
+        -- What each maintenance run created and removed
+        CREATE TABLE IF NOT EXISTS ${s}.maintenance_runs (
+          id BIGSERIAL PRIMARY KEY,
+          started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          finished_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          report JSONB NOT NULL
+        )
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'trait_history',
+    up: (client, s) => client.query(`
+      -- When each trait was last set, and a version bumped on every change
+      ALTER TABLE ${s}.profiles
+        ADD COLUMN IF NOT EXISTS trait_timestamps JSONB NOT NULL DEFAULT '{}'::jsonb,
+        ADD COLUMN IF NOT EXISTS traits_version INTEGER NOT NULL DEFAULT 0;
+
+      UPDATE ${s}.profiles p
+      SET trait_timestamps = (
+        SELECT jsonb_object_agg(key, to_jsonb(p.updated_at)) FROM jsonb_object_keys(p.traits) key
+      )
+      WHERE jsonb_typeof(traits) = 'object' AND traits != '{}'::jsonb;
+
+      -- One row per changed trait; a NULL previous_value means it was not set
+      CREATE TABLE IF NOT EXISTS ${s}.trait_changes (
+        id BIGSERIAL PRIMARY KEY,
+        profile_id TEXT NOT NULL REFERENCES ${s}.profiles (id),
+        version INTEGER NOT NULL,
+        trait TEXT NOT NULL,
+        previous_value JSONB,
+        value JSONB,
+        unset BOOLEAN NOT NULL DEFAULT FALSE,
+        source TEXT NOT NULL CHECK (source IN ('identify', 'merge')),
+        event_id BIGINT,
+        merged_from TEXT,
+        changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS trait_changes_profile_id_idx
+        ON ${s}.trait_changes (profile_id, changed_at DESC)
+    `)
+  },
+  {
+    version: 13,
+    name: 'groups',
+    up: (client, s) => client.query(`
+      -- Accounts (companies, workspaces, ...) identified by the tenant's own IDs
+      CREATE TABLE IF NOT EXISTS ${s}.groups (
+        id TEXT PRIMARY KEY,
+        traits JSONB NOT NULL DEFAULT '{}'::jsonb,
+        trait_timestamps JSONB NOT NULL DEFAULT '{}'::jsonb,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS ${s}.group_memberships (
+        group_id TEXT NOT NULL REFERENCES ${s}.groups (id),
+        profile_id TEXT NOT NULL REFERENCES ${s}.profiles (id),
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        active_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (group_id, profile_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS group_memberships_profile_id_idx
+        ON ${s}.group_memberships (profile_id, active_at DESC);
+
+      -- The group a session is acting for, recorded on each of its events
+      ALTER TABLE ${s}.session_mappings ADD COLUMN IF NOT EXISTS group_id TEXT;
+      ALTER TABLE ${s}.events ADD COLUMN IF NOT EXISTS group_id TEXT;
+
+      CREATE INDEX IF NOT EXISTS events_group_id_idx
+        ON ${s}.events (group_id, timestamp) WHERE group_id IS NOT NULL
+    `)
+  },
+  {
+    version: 14,
+    name: 'session_consent',
+    up: (client, s) => client.query(`
+      -- Consent categories the visitor granted; anonymous sessions keep no
+      -- visitor ID, network or device data
+      ALTER TABLE ${s}.session_mappings
+        ADD COLUMN IF NOT EXISTS consent JSONB NOT NULL DEFAULT '{}'::jsonb,
+        ADD COLUMN IF NOT EXISTS consent_updated_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS anonymous BOOLEAN NOT NULL DEFAULT FALSE
+    `)
+  }
+];
+
+const LATEST_TENANT_VERSION = tenantMigrations[tenantMigrations.length - 1].version;
+
+// Apply every migration newer than what the tracking table records. Each
+// migration runs in its own transaction and an advisory lock keeps two
+// server instances from migrating the same schema at once.
+async function applyMigrations(client, schema, migrations) {
+  const s = quoteIdent(schema);
+  await client.query('SELECT pg_advisory_lock(hashtext($1))', [`migrations:${schema}`]);
+  try {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ${s}.schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    const { rows } = await client.query(`SELECT version FROM ${s}.schema_migrations`);
+    const applied = new Set(rows.map(row => row.version));
+    let current = rows.reduce((max, row) => Math.max(max, row.version), 0);
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) {
+        continue;
+      }
+
+      try {
+        await client.query('BEGIN');
+        await migration.up(client, s);
+        await client.query(
+          `INSERT INTO ${s}.schema_migrations (version, name) VALUES ($1, $2)`,
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        err.message = `Migration ${schema}@${migration.version} (${migration.name}) failed: ${err.message}`;
+        throw err;
+      }
+      current = Math.max(current, migration.version);
+    }
+
+    return current;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock(hashtext($1))', [`migrations:${schema}`]);
+  }
+}
+
+// Bring the control schema up to date
+async function migrateControl(client) {
+  return applyMigrations(client, 'public', controlMigrations);
+}
+
+// Create the tenant schema if needed and bring it up to date
+async function migrateTenantSchema(client, tenantId) {
+  await client.query(`CREATE SCHEMA IF NOT EXISTS ${quoteIdent(tenantId)}`);
+  return applyMigrations(client, tenantId, tenantMigrations);
+}
+
+export {
+  controlMigrations,
+  tenantMigrations,
+  LATEST_TENANT_VERSION,
+  migrateControl,
+  migrateTenantSchema
+};
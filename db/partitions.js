@@ -0,0 +1,153 @@
+import { quoteIdent } from './identifiers.js';
+
+// Tenant events are range-partitioned by timestamp into one table per UTC
+// day (events_pYYYYMMDD), plus events_default for rows outside every daily
+// partition (late, backdated events). `s` is the already quoted schema name.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Partitions are created this many days ahead so new events never land in
+// events_default
+const PREMADE_DAYS = 7;
+const PARTITION_PATTERN = /^events_p(\d{4})(\d{2})(\d{2})$/;
+// Events from before the table was partitioned (tenant migration 11)
+const UNPARTITIONED_TABLE = 'events_unpartitioned';
+const BACKFILL_BATCH_SIZE = 5000;
+
+// UTC day ('YYYY-MM-DD') of a date
+function dayOf(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function addDays(day, days) {
+  return dayOf(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS);
+}
+
+function partitionName(day) {
+  return `events_p${day.replace(/-/g, '')}`;
+}
+
+// The day a partition holds, or null for events_default and unknown tables
+function partitionDay(name) {
+  const match = PARTITION_PATTERN.exec(name);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Names of the events table's partitions
+ */
+async function listEventPartitions(client, s) {
+  const { rows } = await client.query(
+    `SELECT c.relname
+     FROM pg_catalog.pg_inherits i
+     JOIN pg_catalog.pg_class c ON c.oid = i.inhrelid
+     WHERE i.inhparent = $1::regclass
+     ORDER BY c.relname`,
+    [`${s}.events`]
+  );
+  return rows.map(row => row.relname);
+}
+
+/**
+ * Create the partition for a day unless it exists. Rows for that day that
+ * already landed in events_default are moved into it. Run inside a
+ * transaction. Returns whether a partition was created.
+ */
+async function createEventPartition(client, s, day) {
+  const name = partitionName(day);
+  const { rows } = await client.query('SELECT to_regclass($1) AS oid', [`${s}.${name}`]);
+  if (rows[0].oid) {
+    return false;
+  }
+
+  // Attaching (rather than CREATE ... PARTITION OF) works even when the
+  // default partition holds rows for the day
+  const from = `${day}T00:00:00Z`;
+  const to = `${addDays(day, 1)}T00:00:00Z`;
+  await client.query(`CREATE TABLE ${s}.${name} (LIKE ${s}.events INCLUDING DEFAULTS)`);
+  await client.query(
+    `WITH moved AS (
+       DELETE FROM ${s}.events_default WHERE timestamp >= $1 AND timestamp < $2 RETURNING *
+     )
+     INSERT INTO ${s}.${name} SELECT * FROM moved`,
+    [from, to]
+  );
+  await client.query(
+    `ALTER TABLE ${s}.events ATTACH PARTITION ${s}.${name}
+     FOR VALUES FROM ('${from}') TO ('${to}')`
+  );
+  return true;
+}
+
+/**
+ * Create the partitions for today and the next PREMADE_DAYS days. Run inside
+ * a transaction. Returns the names of the partitions created.
+ */
+async function createUpcomingPartitions(client, s, now = Date.now()) {
+  const created = [];
+  for (let i = 0; i <= PREMADE_DAYS; i++) {
+    const day = addDays(dayOf(now), i);
+    if (await createEventPartition(client, s, day)) {
+      created.push(partitionName(day));
+    }
+  }
+  return created;
+}
+
+/**
+ * Move the oldest `batchSize` rows of the events table from before it was
+ * partitioned into the partitioned one, creating the partitions of their
+ * days, and drop the old table once it is empty. Run inside a transaction.
+ * Returns the number of rows moved, or null when there is no old table.
+ */
+async function backfillEvents(client, s, batchSize = BACKFILL_BATCH_SIZE) {
+  const table = `${s}.${UNPARTITIONED_TABLE}`;
+  const { rows } = await client.query('SELECT to_regclass($1) AS oid', [table]);
+  if (!rows[0].oid) {
+    return null;
+  }
+
+  // Columns added to events since (group_id, ...) are left at their defaults
+  const columns = await client.query(
+    `SELECT attname FROM pg_catalog.pg_attribute
+     WHERE attrelid = $1::regclass AND attnum > 0 AND NOT attisdropped
+     ORDER BY attnum`,
+    [table]
+  );
+  const names = columns.rows.map(({ attname }) => quoteIdent(attname));
+  const values = names.map(name => (name === '"timestamp"' ? `COALESCE(${name}, CURRENT_TIMESTAMP)` : name));
+
+  const batch = `SELECT id FROM ${table} ORDER BY id LIMIT $1`;
+  const days = await client.query(
+    `SELECT DISTINCT (COALESCE(timestamp, CURRENT_TIMESTAMP) AT TIME ZONE 'UTC')::date::text AS day
+     FROM ${table} WHERE id IN (${batch})`,
+    [batchSize]
+  );
+  for (const { day } of days.rows) {
+    await createEventPartition(client, s, day);
+  }
+
+  const moved = await client.query(
+    `WITH moved AS (
+       DELETE FROM ${table} WHERE id IN (${batch}) RETURNING *
+     )
+     INSERT INTO ${s}.events (${names.join(', ')})
+     SELECT ${values.join(', ')} FROM moved`,
+    [batchSize]
+  );
+  if (moved.rowCount < batchSize) {
+    await client.query(`DROP TABLE ${table}`);
+  }
+  return moved.rowCount;
+}
+
+export {
+  PREMADE_DAYS,
+  dayOf,
+  addDays,
+  partitionName,
+  partitionDay,
+  listEventPartitions,
+  createEventPartition,
+  createUpcomingPartitions,
+  backfillEvents
+};
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import { quoteIdent } from '../db/identifiers.js';
+import { resolveApiKey } from '../services/api-keys.js';
+import { isProvisionedTenant } from '../services/tenants.js';
+import { getTenantSettings } from '../services/tenant-settings.js';
+import { logger, setLogContext } from '../services/logger.js';
+
+// Pull the API key from the request. Write keys may also be sent in the
+// body or query string since navigator.sendBeacon cannot set headers, and
+// routes opened with `queryKey` take `apiKey` in the query string since
+// EventSource cannot either.
+function extractApiKey(req, scope, queryKey) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (scheme === 'Bearer' && token) {
+    return token;
+  }
+  if (req.get('x-api-key')) {
+    return req.get('x-api-key');
+  }
+  if (scope === 'write') {
+    return req.body?.writeKey || req.query.writeKey;
+  }
+  if (queryKey) {
+    return req.query.apiKey;
+  }
+  return null;
+}
+
+// Authenticate a tenant API key for the given scope ('write' or 'read') and
+// attach the resolved tenant as req.tenant = { id, schema, keyId, settings }
+export function requireApiKey(scope, { queryKey = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const apiKey = await resolveApiKey(extractApiKey(req, scope, queryKey));
+      if (!apiKey) {
+        return res.status(401).json({ error: 'Invalid or missing API key' });
+      }
+      if (apiKey.type !== scope) {
+        return res.status(403).json({ error: `A ${scope} key is required for this endpoint` });
+      }
+      if (apiKey.tenant_status !== 'active') {
+        return res.status(403).json({ error: 'Tenant is disabled' });
+      }
+
+      // A tenantId sent by older clients must agree with the key
+      const claimedTenantId = req.body?.tenantId || req.query.tenantId;
+      if (claimedTenantId && claimedTenantId !== apiKey.tenant_id) {
+        return res.status(403).json({ error: 'API key does not belong to this tenant' });
+      }
+
+      if (!await isProvisionedTenant(apiKey.tenant_id)) {
+        return res.status(403).json({ error: 'Tenant is not provisioned' });
+      }
+
+      req.tenant = {
+        id: apiKey.tenant_id,
+        schema: quoteIdent(apiKey.tenant_id),
+        keyId: apiKey.id,
+        settings: await getTenantSettings(apiKey.tenant_id)
+      };
+      setLogContext({ tenantId: apiKey.tenant_id });
+      next();
+    } catch (err) {
+      logger.error('Error authenticating request:', err);
+      res.status(500).json({ error: 'Failed to authenticate request' });
+    }
+  };
+}
+
+// Admin routes are only enabled when ADMIN_API_KEY is configured and must
+// present it as a bearer token
+export function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  const expected = Buffer.from(adminKey);
+  const provided = Buffer.from(token || '');
+  if (scheme !== 'Bearer' || provided.length !== expected.length ||
+      !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
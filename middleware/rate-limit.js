@@ -0,0 +1,50 @@
+import { logger } from '../services/logger.js';
+import { rateLimited } from '../services/metrics.js';
+import { takeTokens } from '../services/rate-limits.js';
+
+// Calls per session in a request: one for a single call, one per item of a
+// batch
+function sessionCosts(body) {
+  const costs = new Map();
+  const items = Array.isArray(body?.batch) ? body.batch : [body];
+  for (const item of items) {
+    if (typeof item?.sessionId === 'string' && item.sessionId !== '') {
+      costs.set(item.sessionId, (costs.get(item.sessionId) || 0) + 1);
+    }
+  }
+  return costs;
+}
+
+// Apply the tenant's rate limits (per client IP, per session and for the
+// tenant) to an ingestion request; use after requireApiKey. Refused requests
+// get a 429 with Retry-After. Session IDs come from the client, so session
+// buckets are only taken once the IP and tenant buckets let the call through.
+export function rateLimit() {
+  return async (req, res, next) => {
+    try {
+      const cost = Array.isArray(req.body?.batch) ? Math.max(req.body.batch.length, 1) : 1;
+      const refused = await takeTokens(req.tenant.settings.rateLimits, req.tenant.id, [
+        { limit: 'ip', key: req.ip, cost },
+        { limit: 'tenant', key: '', cost },
+        ...[...sessionCosts(req.body)].map(([sessionId, sessionCost]) => ({
+          limit: 'session',
+          key: sessionId,
+          cost: sessionCost
+        }))
+      ]);
+
+      if (refused) {
+        rateLimited.inc({ tenant: req.tenant.id, limit: refused.limit });
+        res.set('Retry-After', String(refused.retryAfter));
+        return res.status(429).json({
+          error: 'Too many requests',
+          details: { limit: refused.limit, retryAfter: refused.retryAfter }
+        });
+      }
+      next();
+    } catch (err) {
+      logger.error('Error applying rate limits:', err);
+      res.status(500).json({ error: 'Failed to apply rate limits' });
+    }
+  };
+}
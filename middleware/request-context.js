@@ -0,0 +1,38 @@
+import crypto from 'crypto';
+import { logger, runWithLogContext } from '../services/logger.js';
+import { httpRequestDuration } from '../services/metrics.js';
+
+// Incoming IDs are kept so a request can be followed through proxies
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Probes and scrapes are only logged at debug level
+const QUIET_PATHS = new Set(['/healthz', '/readyz', '/metrics']);
+
+// Give every request an ID (echoed as X-Request-Id) that all of its log
+// lines carry, and log and time it once the response is sent
+export function requestContext(req, res, next) {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    // Route patterns rather than paths keep the metric's label values bounded
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+
+    const level = QUIET_PATHS.has(req.path) ? 'debug' : 'info';
+    logger[level]('Request completed', {
+      requestId,
+      tenantId: req.tenant?.id,
+      method: req.method,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000)
+    });
+  });
+
+  runWithLogContext({ requestId }, next);
+}
@@ -0,0 +1,691 @@
+/**
+ * Event tracking browser SDK, served at /event-tracker.js.
+ *
+ * Calls are written to a queue in localStorage, so events survive reloads
+ * and offline periods. They are sent to /eventTracking/batch in order, and
+ * retried with backoff on network and server errors. Whatever is left when
+ * the page is hidden goes out with navigator.sendBeacon.
+ *
+ * Creates a global `EventTracker`. It initializes itself from
+ * `window.EventTrackerConfig` or the script tag's `data-write-key` (and
+ * optional `data-endpoint`); otherwise call `EventTracker.init({ writeKey })`.
+ * `createEventTracker({ window })` builds an instance against any window-like
+ * object, which is how it runs headlessly under Node with a DOM shim.
+ */
+(function (root) {
+    'use strict';
+
+    const STORAGE_PREFIX = 'event_tracker_';
+
+    const DEFAULTS = {
+        writeKey: null,
+        // Base URL of the tracking server; '' is the page's own origin
+        endpoint: '',
+        // async () => ({ requestId, visitorId }); defaults to FingerprintJS.
+        // 'local' sends browser components for the server's local provider,
+        // which derives the visitor ID itself.
+        fingerprint: null,
+        // Passed to FingerprintJS.load() when no fingerprint function is given
+        fingerprintOptions: {},
+        // Track a page_visit on load and on every SPA route change
+        autocapture: true,
+        flushInterval: 5000,
+        maxBatchSize: 50,
+        maxQueueSize: 1000,
+        // A stored session idle for longer is replaced by a new one
+        sessionTimeoutMinutes: 30,
+        // Consent categories, e.g. { analytics: true, marketing: false };
+        // later changes go through setConsent()
+        consent: null
+    };
+
+    const MIN_RETRY_MS = 1000;
+    const MAX_RETRY_MS = 60 * 1000;
+
+    // fetch keepalive and sendBeacon both refuse bodies above about 64 KB
+    const MAX_KEEPALIVE_BYTES = 60 * 1000;
+
+    // Queued entries belong to the tab that created them. Entries of a tab
+    // that has gone away (or not been heard from for this long) are adopted
+    // by the next tab that loads.
+    const ORPHAN_AFTER_MS = 10 * 60 * 1000;
+
+    // Per-item batch errors worth retrying; anything else is final
+    const TRANSIENT_ERRORS = ['Failed to store event', 'Failed to identify user', 'Failed to group user'];
+
+    function createStorage(win) {
+        let storage = null;
+        try {
+            storage = win.localStorage;
+            storage.setItem(`${STORAGE_PREFIX}probe`, '1');
+            storage.removeItem(`${STORAGE_PREFIX}probe`);
+        } catch {
+            // Private mode or no DOM storage: state only lives in memory
+            storage = null;
+        }
+
+        return {
+            get(key) {
+                try {
+                    const value = storage && storage.getItem(STORAGE_PREFIX + key);
+                    return value ? JSON.parse(value) : null;
+                } catch {
+                    return null;
+                }
+            },
+            set(key, value) {
+                try {
+                    if (storage) {
+                        storage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+                    }
+                } catch {
+                    // Over quota; the in-memory copy still works for this page
+                }
+            },
+            remove(key) {
+                try {
+                    if (storage) {
+                        storage.removeItem(STORAGE_PREFIX + key);
+                    }
+                } catch {
+                    // Nothing to clean up
+                }
+            }
+        };
+    }
+
+    function createEventTracker(options = {}) {
+        const win = options.window || root;
+        const storage = createStorage(win);
+
+        let config = null;
+        let session = storage.get('session');
+        let consent = storage.get('consent') || {};
+        let queue = [];
+        const waiting = new Map();
+        let sessionPromise = null;
+        let flushing = null;
+        let flushTimer = null;
+        let retryDelay = 0;
+        let currentPage = null;
+
+        const settings = () => config || DEFAULTS;
+
+        function randomId() {
+            if (win.crypto && win.crypto.randomUUID) {
+                return win.crypto.randomUUID();
+            }
+            return `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+        }
+
+        const tabId = randomId();
+
+        // Record that this tab is alive (or, on unload, that it is gone)
+        function heartbeat(alive = true) {
+            const tabs = storage.get('tabs') || {};
+            const now = Date.now();
+            for (const [id, seen] of Object.entries(tabs)) {
+                if (now - seen > ORPHAN_AFTER_MS) {
+                    delete tabs[id];
+                }
+            }
+            if (alive) {
+                tabs[tabId] = now;
+            } else {
+                delete tabs[tabId];
+            }
+            storage.set('tabs', tabs);
+        }
+
+        // Take over entries left by closed tabs and earlier page loads.
+        // Their in-flight marks are dropped, so they are sent again.
+        function adoptOrphans() {
+            const tabs = storage.get('tabs') || {};
+            const now = Date.now();
+            const known = new Set(queue.map(entry => entry.id));
+            const adopted = [];
+            for (const { inFlight: _, ...entry } of storage.get('queue') || []) {
+                const alive = tabs[entry.owner] && now - tabs[entry.owner] <= ORPHAN_AFTER_MS;
+                if (!known.has(entry.id) && !alive) {
+                    adopted.push({ ...entry, owner: tabId });
+                }
+            }
+            if (adopted.length > 0) {
+                queue.push(...adopted);
+                saveQueue();
+            }
+        }
+
+        // Other tabs' entries are kept as they are
+        function saveQueue() {
+            const own = new Set(queue.map(entry => entry.id));
+            const others = (storage.get('queue') || [])
+                .filter(entry => entry.owner !== tabId && !own.has(entry.id));
+            storage.set('queue', [...others, ...queue]);
+            heartbeat();
+        }
+
+        function url(path) {
+            return `${config.endpoint.replace(/\/$/, '')}${path}`;
+        }
+
+        async function post(path, body) {
+            const text = JSON.stringify(body);
+            let response;
+            try {
+                response = await win.fetch(url(path), {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        Authorization: `Bearer ${config.writeKey}`
+                    },
+                    body: text,
+                    // Lets a request started just before unload complete
+                    keepalive: text.length < MAX_KEEPALIVE_BYTES
+                });
+            } catch (err) {
+                // Offline or the server is unreachable; status stays unset
+                const error = new Error(`Network error: ${err.message}`);
+                error.retryable = true;
+                throw error;
+            }
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                const error = new Error(data.error || `Request failed with status ${response.status}`);
+                error.status = response.status;
+                error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+                error.retryAfter = Number(response.headers.get('Retry-After')) || null;
+                throw error;
+            }
+            return data;
+        }
+
+        // Browser properties the server's local provider hashes, together
+        // with the User-Agent and Accept-Language headers
+        function localComponents() {
+            const nav = win.navigator || {};
+            const screen = win.screen || {};
+            let timezone = null;
+            try {
+                timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            } catch {
+                // Left out where Intl is missing
+            }
+            return {
+                screen: [screen.width || null, screen.height || null, screen.colorDepth || null],
+                timezone,
+                languages: nav.languages ? Array.from(nav.languages) : [nav.language || null],
+                platform: nav.platform || null,
+                hardwareConcurrency: nav.hardwareConcurrency || null,
+                deviceMemory: nav.deviceMemory || null,
+                maxTouchPoints: nav.maxTouchPoints || 0
+            };
+        }
+
+        // Fingerprinting failures are retried: the agent may just be offline
+        async function getFingerprint() {
+            try {
+                if (config.fingerprint === 'local') {
+                    return { requestId: randomId(), components: localComponents() };
+                }
+                if (config.fingerprint) {
+                    return await config.fingerprint();
+                }
+                if (!win.FingerprintJS) {
+                    throw new Error('FingerprintJS is not loaded; pass a fingerprint function to init()');
+                }
+                const agent = await win.FingerprintJS.load(config.fingerprintOptions);
+                return await agent.get();
+            } catch (error) {
+                error.retryable = true;
+                throw error;
+            }
+        }
+
+        function isActive(current) {
+            return !!current && Date.now() - current.lastActivityAt < settings().sessionTimeoutMinutes * 60 * 1000;
+        }
+
+        // Reuse the stored session while it is active, otherwise start one
+        // with /eventTracking/init. Concurrent callers share one init call.
+        function ensureSession() {
+            if (isActive(session)) {
+                return Promise.resolve(session);
+            }
+            if (!sessionPromise) {
+                sessionPromise = (async () => {
+                    const { requestId, visitorId, components } = await getFingerprint();
+                    const data = await post('/eventTracking/init', { requestId, visitorId, components, consent });
+                    session = {
+                        sessionId: data.sessionId,
+                        // Providers that derive the ID on the server return it
+                        visitorId: data.visitorId || visitorId,
+                        profileId: data.profileId,
+                        anonymous: data.anonymous,
+                        lastActivityAt: Date.now()
+                    };
+                    storage.set('session', session);
+                    return session;
+                })().finally(() => {
+                    sessionPromise = null;
+                });
+            }
+            return sessionPromise;
+        }
+
+        function clearSession() {
+            session = null;
+            storage.remove('session');
+        }
+
+        // Settle the promise returned to the caller, if this page still has it
+        function settle(id, error, result) {
+            const waiter = waiting.get(id);
+            if (waiter) {
+                waiting.delete(id);
+                if (error) {
+                    waiter.reject(error);
+                } else {
+                    waiter.resolve(result);
+                }
+            }
+        }
+
+        function remove(entries, error, results) {
+            const ids = new Set(entries.map(entry => entry.id));
+            queue = queue.filter(entry => !ids.has(entry.id));
+            saveQueue();
+            entries.forEach((entry, i) => settle(entry.id, error, results && results[i]));
+        }
+
+        function scheduleFlush(delay) {
+            if (!flushTimer && config) {
+                flushTimer = win.setTimeout(() => {
+                    flushTimer = null;
+                    flush();
+                }, delay);
+            }
+        }
+
+        function scheduleRetry(retryAfter) {
+            retryDelay = Math.min(MAX_RETRY_MS, retryDelay ? retryDelay * 2 : MIN_RETRY_MS);
+            const delay = retryAfter ? retryAfter * 1000 : Math.round(retryDelay * (0.8 + Math.random() * 0.4));
+            win.clearTimeout(flushTimer);
+            flushTimer = null;
+            scheduleFlush(delay);
+        }
+
+        function enqueue(item) {
+            const entry = {
+                id: randomId(),
+                owner: tabId,
+                timestamp: new Date().toISOString(),
+                // Calls made while no session is active get one when sent
+                sessionId: isActive(session) ? session.sessionId : null,
+                ...item
+            };
+            if (isActive(session)) {
+                session.lastActivityAt = Date.now();
+                storage.set('session', session);
+            }
+
+            const result = new Promise((resolve, reject) => waiting.set(entry.id, { resolve, reject }));
+            queue.push(entry);
+            const overflow = queue.length - settings().maxQueueSize;
+            if (overflow > 0) {
+                remove(queue.slice(0, overflow), new Error('Dropped from a full queue'));
+            }
+            saveQueue();
+            return result;
+        }
+
+        function toBatchItem(entry, current) {
+            return {
+                type: entry.type,
+                sessionId: entry.sessionId || current.sessionId,
+                eventName: entry.eventName,
+                properties: entry.properties,
+                userData: entry.userData,
+                unsetTraits: entry.unsetTraits,
+                groupId: entry.groupId,
+                traits: entry.traits,
+                timestamp: entry.timestamp
+            };
+        }
+
+        async function sendQueued() {
+            while (queue.length > 0) {
+                const entries = queue.slice(0, config.maxBatchSize);
+                let data;
+                try {
+                    const current = entries.some(entry => !entry.sessionId) ? await ensureSession() : session;
+                    entries.forEach(entry => {
+                        entry.inFlight = true;
+                    });
+                    data = await post('/eventTracking/batch', {
+                        batch: entries.map(entry => toBatchItem(entry, current))
+                    });
+                } catch (error) {
+                    if (error.retryable) {
+                        scheduleRetry(error.retryAfter);
+                        return;
+                    }
+                    // Rejected as a whole (bad key, disabled tenant, payload too large)
+                    remove(entries, error);
+                    continue;
+                } finally {
+                    entries.forEach(entry => {
+                        delete entry.inFlight;
+                    });
+                }
+                retryDelay = 0;
+
+                let retry = false;
+                for (const result of data.results) {
+                    const entry = entries[result.index];
+                    if (result.status === 'ok') {
+                        remove([entry], null, [result]);
+                    } else if (result.error === 'Invalid session' ||
+                        result.error === 'Session ended after a consent change') {
+                        // The session is gone on the server; resend with a new one
+                        if (session && entry.sessionId === session.sessionId) {
+                            clearSession();
+                        }
+                        entry.sessionId = null;
+                    } else if (TRANSIENT_ERRORS.includes(result.error)) {
+                        retry = true;
+                    } else {
+                        const error = new Error(result.error);
+                        error.details = result.details;
+                        remove([entry], error);
+                    }
+                }
+                saveQueue();
+                if (retry) {
+                    scheduleRetry();
+                    return;
+                }
+            }
+        }
+
+        /**
+         * Send everything queued now. Resolves once the queue is empty or a
+         * retry has been scheduled.
+         */
+        function flush() {
+            if (!config) {
+                return Promise.resolve();
+            }
+            if (!flushing) {
+                win.clearTimeout(flushTimer);
+                flushTimer = null;
+                adoptOrphans();
+                flushing = sendQueued().finally(() => {
+                    flushing = null;
+                });
+            }
+            return flushing;
+        }
+
+        // Hand what is left to the browser as the page goes away. Entries
+        // already in a request are left to its keepalive.
+        function flushWithBeacon() {
+            const navigator = win.navigator;
+            if (!config || !navigator || !navigator.sendBeacon) {
+                return;
+            }
+            const entries = queue.filter(entry => !entry.inFlight && (entry.sessionId || isActive(session)));
+            let chunk = [];
+            const send = () => {
+                if (chunk.length === 0) {
+                    return;
+                }
+                const body = JSON.stringify({
+                    writeKey: config.writeKey,
+                    batch: chunk.map(entry => toBatchItem(entry, session))
+                });
+                // Sent as text/plain, so cross-origin beacons need no preflight
+                if (navigator.sendBeacon(url('/eventTracking/batch'), body)) {
+                    remove(chunk, null, chunk.map(() => ({ status: 'sent' })));
+                }
+                chunk = [];
+            };
+            let size = 0;
+            for (const entry of entries) {
+                const entrySize = JSON.stringify(entry).length;
+                if (chunk.length > 0 && (size + entrySize > MAX_KEEPALIVE_BYTES || chunk.length >= config.maxBatchSize)) {
+                    send();
+                    size = 0;
+                }
+                chunk.push(entry);
+                size += entrySize;
+            }
+            send();
+        }
+
+        /**
+         * Track an event. Resolves with the batch result (`{ status, id }`)
+         * once the server has stored it, and rejects if the server refuses
+         * it. Offline, the promise stays pending until the event is sent.
+         */
+        function track(eventName, properties = {}) {
+            if (typeof eventName !== 'string' || eventName === '') {
+                return Promise.reject(new Error('eventName is required'));
+            }
+            const result = enqueue({ type: 'track', eventName, properties });
+            if (queue.length >= settings().maxBatchSize) {
+                flush();
+            } else {
+                scheduleFlush(settings().flushInterval);
+            }
+            return result;
+        }
+
+        function currentPageKey() {
+            const location = win.location;
+            // Hash changes only count for hash routers ("#/path")
+            const hash = location.hash && location.hash.startsWith('#/') ? location.hash : '';
+            return `${location.pathname}${location.search}${hash}`;
+        }
+
+        /**
+         * Track a page visit with the URL, path, title and referrer
+         */
+        function pageVisit(properties = {}, referrer) {
+            currentPage = currentPageKey();
+            return track('page_visit', {
+                url: win.location.href,
+                path: win.location.pathname,
+                title: win.document ? win.document.title : undefined,
+                referrer: referrer !== undefined ? referrer : (win.document ? win.document.referrer : undefined),
+                ...properties
+            });
+        }
+
+        /**
+         * Identify the current visitor. Sent right away, after anything
+         * already queued. `options.unsetTraits` names traits to remove.
+         */
+        function identify(userData, options = {}) {
+            if (!userData || typeof userData !== 'object' || Array.isArray(userData)) {
+                return Promise.reject(new Error('userData must be an object'));
+            }
+            const item = { type: 'identify', userData };
+            if (options.unsetTraits) {
+                item.unsetTraits = options.unsetTraits;
+            }
+            const result = enqueue(item);
+            flush();
+            return result;
+        }
+
+        /**
+         * Add the current visitor to a group (a company, workspace, ...) and
+         * record later events for it. Sent right away, after anything
+         * already queued.
+         */
+        function group(groupId, traits = {}) {
+            if (!groupId || typeof groupId !== 'string') {
+                return Promise.reject(new Error('groupId must be a string'));
+            }
+            if (!traits || typeof traits !== 'object' || Array.isArray(traits)) {
+                return Promise.reject(new Error('traits must be an object'));
+            }
+            const result = enqueue({ type: 'group', groupId, traits });
+            flush();
+            return result;
+        }
+
+        /**
+         * Update the visitor's consent categories, e.g. from a consent
+         * banner. The server applies them to the current session, or ends it
+         * so the next one starts under the new consent. Resolves with the
+         * visitor's consent.
+         */
+        function setConsent(update) {
+            if (!update || typeof update !== 'object' || Array.isArray(update)) {
+                return Promise.reject(new Error('consent must be an object'));
+            }
+            const changed = Object.keys(update).some(category => consent[category] !== update[category]);
+            consent = { ...consent, ...update };
+            storage.set('consent', consent);
+            if (!changed || !config || !isActive(session)) {
+                return Promise.resolve(consent);
+            }
+
+            const { sessionId } = session;
+            const endSession = () => {
+                if (session && session.sessionId === sessionId) {
+                    clearSession();
+                }
+            };
+            return post('/eventTracking/consent', { sessionId, consent: update }).then(data => {
+                if (data.sessionEnded) {
+                    endSession();
+                }
+                return consent;
+            }, () => {
+                // Start over under the new consent rather than keep a
+                // session the server still has under the old one
+                endSession();
+                return consent;
+            });
+        }
+
+        // SPA route changes: history.pushState/replaceState, back/forward
+        // and hash routing
+        function capturePageVisits() {
+            const onChange = () => {
+                const previous = currentPage;
+                if (currentPageKey() !== previous) {
+                    const referrer = win.location.origin ? `${win.location.origin}${previous}` : previous;
+                    pageVisit({}, referrer).catch(() => {});
+                }
+            };
+            const history = win.history;
+            if (history) {
+                for (const method of ['pushState', 'replaceState']) {
+                    const original = history[method];
+                    if (typeof original === 'function') {
+                        history[method] = function (...args) {
+                            const result = original.apply(this, args);
+                            onChange();
+                            return result;
+                        };
+                    }
+                }
+            }
+            win.addEventListener('popstate', onChange);
+            win.addEventListener('hashchange', onChange);
+        }
+
+        /**
+         * Configure the tracker and start (or resume) a session. Resolves
+         * with the session.
+         */
+        function init(options) {
+            if (config) {
+                return ensureSession();
+            }
+            if (!options || !options.writeKey) {
+                return Promise.reject(new Error('writeKey is required'));
+            }
+            config = { ...DEFAULTS, ...options };
+            // Only a configured tracker takes over entries it can send
+            adoptOrphans();
+            heartbeat();
+            const consented = config.consent ? setConsent(config.consent) : Promise.resolve();
+
+            win.addEventListener('pagehide', () => {
+                flushWithBeacon();
+                // Anything left is adopted by the next page load
+                heartbeat(false);
+            });
+            // Back from the back/forward cache
+            win.addEventListener('pageshow', () => heartbeat());
+            win.addEventListener('online', () => flush());
+            if (win.document) {
+                win.document.addEventListener('visibilitychange', () => {
+                    if (win.document.visibilityState === 'hidden') {
+                        flushWithBeacon();
+                    }
+                });
+            }
+
+            if (config.autocapture) {
+                capturePageVisits();
+                pageVisit().catch(() => {});
+            }
+            const started = consented.then(() => ensureSession());
+            // Whatever an earlier page left in the queue goes out first
+            started.then(() => flush(), () => scheduleRetry());
+            return started;
+        }
+
+        /**
+         * Forget the session and anything still queued, e.g. on logout
+         */
+        function reset() {
+            clearSession();
+            remove(queue, new Error('Tracker was reset'));
+        }
+
+
+        return {
+            init,
+            track,
+            page_visit: pageVisit,
+            identify,
+            group,
+            setConsent,
+            flush,
+            reset,
+            get sessionId() {
+                return session ? session.sessionId : null;
+            },
+            get consent() {
+                return { ...consent };
+            },
+            get queueLength() {
+                return queue.length;
+            }
+        };
+    }
+
+    root.createEventTracker = createEventTracker;
+    root.EventTracker = createEventTracker();
+
+    const script = root.document && root.document.currentScript;
+    const autoConfig = root.EventTrackerConfig || (script && script.dataset && script.dataset.writeKey
+        ? {
+            writeKey: script.dataset.writeKey,
+            endpoint: script.dataset.endpoint || new URL(script.src, root.location.href).origin
+        }
+        : null);
+    if (autoConfig) {
+        root.EventTracker.init(autoConfig).catch(err => {
+            console.error('EventTracker failed to start a session:', err);
+        });
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
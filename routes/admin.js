@@ -0,0 +1,562 @@
+import express from 'express';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { requireAdmin } from '../middleware/auth.js';
+import { createTenant, listTenants, getTenant, disableTenant, migrateTenant } from '../services/tenants.js';
+import { createApiKey, listApiKeys, revokeApiKey, rotateApiKey } from '../services/api-keys.js';
+import { getTenantSettings, updateTenantSettings } from '../services/tenant-settings.js';
+import { mergeProfiles, unmergeProfile, splitVisitor, getProfile } from '../services/identity-graph.js';
+import {
+  createDestination,
+  deleteDestination,
+  listDeliveries,
+  listDestinations,
+  replayDeliveries,
+  updateDestination
+} from '../services/destinations.js';
+import { parseSubject, exportSubject, eraseSubject, listPrivacyRequests } from '../services/privacy.js';
+import {
+  putEventSchema,
+  listEventSchemas,
+  deleteEventSchema,
+  putTraitsSchema,
+  getTraitsSchema,
+  deleteTraitsSchema,
+  observedSchemas
+} from '../services/event-schemas.js';
+import { maintainTenant, listMaintenanceRuns } from '../services/maintenance.js';
+import { quoteIdent } from '../db/identifiers.js';
+import { sendError } from '../services/errors.js';
+import { logger } from '../services/logger.js';
+
+const gzip = promisify(zlib.gzip);
+
+// Observed schemas look at the last week unless a range is given
+const OBSERVED_DEFAULT_DAYS = 7;
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// Create (provision) a tenant
+router.post('/tenants', async (req, res) => {
+  const { id, name } = req.body;
+
+  if (!id) {
+    return res.status(400).json({ error: 'id is required' });
+  }
+
+  try {
+    const tenant = await createTenant({ id, name });
+    res.status(201).json(tenant);
+  } catch (err) {
+    logger.error('Error creating tenant:', err);
+    sendError(res, err, 'Failed to create tenant');
+  }
+});
+
+// List tenants
+router.get('/tenants', async (req, res) => {
+  try {
+    res.json(await listTenants({ status: req.query.status }));
+  } catch (err) {
+    logger.error('Error listing tenants:', err);
+    sendError(res, err, 'Failed to list tenants');
+  }
+});
+
+// Get a single tenant
+router.get('/tenants/:tenantId', async (req, res) => {
+  try {
+    const tenant = await getTenant(req.params.tenantId);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Unknown tenant' });
+    }
+    res.json(tenant);
+  } catch (err) {
+    logger.error('Error fetching tenant:', err);
+    sendError(res, err, 'Failed to fetch tenant');
+  }
+});
+
+// Disable a tenant
+router.post('/tenants/:tenantId/disable', async (req, res) => {
+  try {
+    res.json(await disableTenant(req.params.tenantId));
+  } catch (err) {
+    logger.error('Error disabling tenant:', err);
+    sendError(res, err, 'Failed to disable tenant');
+  }
+});
+
+// Run pending migrations for a tenant
+router.post('/tenants/:tenantId/migrate', async (req, res) => {
+  try {
+    const tenant = await getTenant(req.params.tenantId);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Unknown tenant' });
+    }
+    const version = await migrateTenant(tenant.id);
+    res.json({ tenantId: tenant.id, schemaVersion: version });
+  } catch (err) {
+    logger.error('Error migrating tenant:', err);
+    sendError(res, err, 'Failed to migrate tenant');
+  }
+});
+
+// Get a tenant's effective settings
+router.get('/tenants/:tenantId/settings', async (req, res) => {
+  try {
+    res.json(await getTenantSettings(req.params.tenantId));
+  } catch (err) {
+    logger.error('Error fetching tenant settings:', err);
+    sendError(res, err, 'Failed to fetch tenant settings');
+  }
+});
+
+// Update a tenant's settings; the body is deep-merged into its overrides
+router.patch('/tenants/:tenantId/settings', async (req, res) => {
+  try {
+    res.json(await updateTenantSettings(req.params.tenantId, req.body));
+  } catch (err) {
+    logger.error('Error updating tenant settings:', err);
+    sendError(res, err, 'Failed to update tenant settings');
+  }
+});
+
+// Issue an API key ('write' for the browser SDK, 'read' for the events API)
+router.post('/tenants/:tenantId/keys', async (req, res) => {
+  try {
+    const tenant = await getTenant(req.params.tenantId);
+    if (!tenant) {
+      return res.status(404).json({ error: 'Unknown tenant' });
+    }
+    const key = await createApiKey(tenant.id, { type: req.body.type, name: req.body.name });
+    res.status(201).json(key);
+  } catch (err) {
+    logger.error('Error creating API key:', err);
+    sendError(res, err, 'Failed to create API key');
+  }
+});
+
+// List a tenant's API keys
+router.get('/tenants/:tenantId/keys', async (req, res) => {
+  try {
+    res.json(await listApiKeys(req.params.tenantId));
+  } catch (err) {
+    logger.error('Error listing API keys:', err);
+    sendError(res, err, 'Failed to list API keys');
+  }
+});
+
+// Rotate an API key, optionally keeping the old one valid for a grace period
+router.post('/tenants/:tenantId/keys/:keyId/rotate', async (req, res) => {
+  try {
+    const key = await rotateApiKey(req.params.tenantId, req.params.keyId, {
+      gracePeriodSeconds: req.body.gracePeriodSeconds
+    });
+    res.status(201).json(key);
+  } catch (err) {
+    logger.error('Error rotating API key:', err);
+    sendError(res, err, 'Failed to rotate API key');
+  }
+});
+
+// Revoke an API key
+router.delete('/tenants/:tenantId/keys/:keyId', async (req, res) => {
+  try {
+    res.json(await revokeApiKey(req.params.tenantId, req.params.keyId));
+  } catch (err) {
+    logger.error('Error revoking API key:', err);
+    sendError(res, err, 'Failed to revoke API key');
+  }
+});
+
+// Helper function to resolve a registered tenant's schema for tenant-scoped admin routes
+async function loadTenantSchema(req, res) {
+  const tenant = await getTenant(req.params.tenantId);
+  if (!tenant) {
+    res.status(404).json({ error: 'Unknown tenant' });
+    return null;
+  }
+  return quoteIdent(tenant.id);
+}
+
+// Merge one profile into another
+router.post('/tenants/:tenantId/profiles/merge', async (req, res) => {
+  const { sourceProfileId, targetProfileId, reason } = req.body;
+
+  if (!sourceProfileId || !targetProfileId) {
+    return res.status(400).json({ error: 'sourceProfileId and targetProfileId are required' });
+  }
+
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    const settings = await getTenantSettings(req.params.tenantId);
+    const merged = await mergeProfiles(schema, sourceProfileId, targetProfileId, {
+      reason,
+      traitSettings: settings.traits,
+      tenantId: req.params.tenantId
+    });
+    res.json(await getProfile(schema, merged.id));
+  } catch (err) {
+    logger.error('Error merging profiles:', err);
+    sendError(res, err, 'Failed to merge profiles');
+  }
+});
+
+// Undo a merge, detaching a profile from the profile it was merged into
+router.post('/tenants/:tenantId/profiles/:profileId/unmerge', async (req, res) => {
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    const profile = await unmergeProfile(schema, req.params.profileId);
+    res.json(await getProfile(schema, profile.id));
+  } catch (err) {
+    logger.error('Error unmerging profile:', err);
+    sendError(res, err, 'Failed to unmerge profile');
+  }
+});
+
+// Split a visitor out of its profile into a new profile
+router.post('/tenants/:tenantId/visitors/:visitorId/split', async (req, res) => {
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    const { previousProfileId, profile } = await splitVisitor(schema, req.params.visitorId, {
+      reason: req.body.reason
+    });
+    res.json({
+      visitorId: req.params.visitorId,
+      previousProfileId,
+      profile: await getProfile(schema, profile.id)
+    });
+  } catch (err) {
+    logger.error('Error splitting visitor:', err);
+    sendError(res, err, 'Failed to split visitor');
+  }
+});
+
+// Register an outbound destination (webhook or file)
+router.post('/tenants/:tenantId/destinations', async (req, res) => {
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    res.status(201).json(await createDestination(req.params.tenantId, req.body));
+  } catch (err) {
+    logger.error('Error creating destination:', err);
+    sendError(res, err, 'Failed to create destination');
+  }
+});
+
+// List destinations (secrets redacted)
+router.get('/tenants/:tenantId/destinations', async (req, res) => {
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    res.json(await listDestinations(req.params.tenantId));
+  } catch (err) {
+    logger.error('Error listing destinations:', err);
+    sendError(res, err, 'Failed to list destinations');
+  }
+});
+
+// Update a destination's config, filters or enabled flag
+router.patch('/tenants/:tenantId/destinations/:destinationId', async (req, res) => {
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    res.json(await updateDestination(req.params.tenantId, req.params.destinationId, req.body));
+  } catch (err) {
+    logger.error('Error updating destination:', err);
+    sendError(res, err, 'Failed to update destination');
+  }
+});
+
+// Delete a destination and its queued deliveries
+router.delete('/tenants/:tenantId/destinations/:destinationId', async (req, res) => {
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    await deleteDestination(req.params.tenantId, req.params.destinationId);
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error deleting destination:', err);
+    sendError(res, err, 'Failed to delete destination');
+  }
+});
+
+// List a destination's deliveries; defaults to the dead letters
+router.get('/tenants/:tenantId/destinations/:destinationId/deliveries', async (req, res) => {
+  const status = req.query.status || 'dead';
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+  if (!['pending', 'delivered', 'dead'].includes(status)) {
+    return res.status(400).json({ error: "status must be 'pending', 'delivered' or 'dead'" });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+  }
+
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    res.json(await listDeliveries(req.params.tenantId, req.params.destinationId, { status, limit }));
+  } catch (err) {
+    logger.error('Error listing deliveries:', err);
+    sendError(res, err, 'Failed to list deliveries');
+  }
+});
+
+// Requeue dead deliveries: `deliveryIds`, or all of the destination's
+router.post('/tenants/:tenantId/destinations/:destinationId/replay', async (req, res) => {
+  const { deliveryIds } = req.body;
+
+  if (deliveryIds !== undefined &&
+      (!Array.isArray(deliveryIds) || !deliveryIds.every(id => Number.isInteger(Number(id))))) {
+    return res.status(400).json({ error: 'deliveryIds must be an array of delivery IDs' });
+  }
+
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    const requeued = await replayDeliveries(req.params.tenantId, req.params.destinationId, { deliveryIds });
+    res.json({ requeued });
+  } catch (err) {
+    logger.error('Error replaying deliveries:', err);
+    sendError(res, err, 'Failed to replay deliveries');
+  }
+});
+
+// Register or replace an event's properties schema: `{ schema, description }`
+router.put('/tenants/:tenantId/schemas/events/:eventName', async (req, res) => {
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    res.json(await putEventSchema(req.params.tenantId, req.params.eventName, req.body));
+  } catch (err) {
+    logger.error('Error registering event schema:', err);
+    sendError(res, err, 'Failed to register event schema');
+  }
+});
+
+// List registered event definitions
+router.get('/tenants/:tenantId/schemas/events', async (req, res) => {
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    res.json(await listEventSchemas(req.params.tenantId));
+  } catch (err) {
+    logger.error('Error listing event schemas:', err);
+    sendError(res, err, 'Failed to list event schemas');
+  }
+});
+
+// Remove an event definition
+router.delete('/tenants/:tenantId/schemas/events/:eventName', async (req, res) => {
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    await deleteEventSchema(req.params.tenantId, req.params.eventName);
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error deleting event schema:', err);
+    sendError(res, err, 'Failed to delete event schema');
+  }
+});
+
+// Register or replace the identify traits schema: `{ schema, description }`
+router.put('/tenants/:tenantId/schemas/traits', async (req, res) => {
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    res.json(await putTraitsSchema(req.params.tenantId, req.body));
+  } catch (err) {
+    logger.error('Error registering traits schema:', err);
+    sendError(res, err, 'Failed to register traits schema');
+  }
+});
+
+// Get the identify traits schema
+router.get('/tenants/:tenantId/schemas/traits', async (req, res) => {
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    const traits = await getTraitsSchema(req.params.tenantId);
+    if (!traits) {
+      return res.status(404).json({ error: 'No traits schema registered' });
+    }
+    res.json(traits);
+  } catch (err) {
+    logger.error('Error fetching traits schema:', err);
+    sendError(res, err, 'Failed to fetch traits schema');
+  }
+});
+
+// Remove the identify traits schema
+router.delete('/tenants/:tenantId/schemas/traits', async (req, res) => {
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    await deleteTraitsSchema(req.params.tenantId);
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error deleting traits schema:', err);
+    sendError(res, err, 'Failed to delete traits schema');
+  }
+});
+
+// Event names and property types seen in stored events, to bootstrap schemas
+router.get('/tenants/:tenantId/schemas/observed', async (req, res) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - OBSERVED_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return res.status(400).json({ error: 'from and to must be ISO 8601 dates' });
+  }
+
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    res.json(await observedSchemas(req.params.tenantId, { from, to }));
+  } catch (err) {
+    logger.error('Error listing observed schemas:', err);
+    sendError(res, err, 'Failed to list observed schemas');
+  }
+});
+
+// Export everything linked to an email or userId as a gzipped JSON archive
+router.post('/tenants/:tenantId/privacy/export', async (req, res) => {
+  const { requestedBy, reason } = req.body;
+
+  try {
+    const subject = parseSubject(req.body);
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    const archive = await exportSubject(schema, subject, { requestedBy, reason });
+    const body = await gzip(JSON.stringify(archive, null, 2));
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="${archive.requestId}.json.gz"`,
+      'X-Privacy-Request-Id': archive.requestId
+    });
+    res.send(body);
+  } catch (err) {
+    logger.error('Error exporting subject data:', err);
+    sendError(res, err, 'Failed to export subject data');
+  }
+});
+
+// Erase (mode 'delete') or pseudonymize everything linked to an email or userId
+router.post('/tenants/:tenantId/privacy/erase', async (req, res) => {
+  const { mode = 'delete', requestedBy, reason } = req.body;
+
+  try {
+    const subject = parseSubject(req.body);
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    res.json(await eraseSubject(schema, subject, { mode, requestedBy, reason }));
+  } catch (err) {
+    logger.error('Error erasing subject data:', err);
+    sendError(res, err, 'Failed to erase subject data');
+  }
+});
+
+// Audit trail of export and erasure requests
+router.get('/tenants/:tenantId/privacy/requests', async (req, res) => {
+  const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+  }
+
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    res.json(await listPrivacyRequests(schema, { limit }));
+  } catch (err) {
+    logger.error('Error listing privacy requests:', err);
+    sendError(res, err, 'Failed to list privacy requests');
+  }
+});
+
+// Create upcoming event partitions and apply retention now
+router.post('/tenants/:tenantId/maintenance', async (req, res) => {
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    const report = await maintainTenant(req.params.tenantId);
+    if (!report) {
+      return res.status(409).json({ error: 'Maintenance is already running for this tenant' });
+    }
+    res.json(report);
+  } catch (err) {
+    logger.error('Error running maintenance:', err);
+    sendError(res, err, 'Failed to run maintenance');
+  }
+});
+
+// Recent maintenance runs and what they removed
+router.get('/tenants/:tenantId/maintenance', async (req, res) => {
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+  }
+
+  try {
+    const schema = await loadTenantSchema(req, res);
+    if (!schema) {
+      return;
+    }
+    res.json(await listMaintenanceRuns(schema, { limit }));
+  } catch (err) {
+    logger.error('Error listing maintenance runs:', err);
+    sendError(res, err, 'Failed to list maintenance runs');
+  }
+});
+
+export default router;
@@ -0,0 +1,61 @@
+import express from 'express';
+import { requireApiKey } from '../middleware/auth.js';
+import { accounts, eventCounts, funnel, retention, rollups } from '../services/analytics.js';
+import { sendError } from '../services/errors.js';
+import { logger } from '../services/logger.js';
+
+const router = express.Router();
+
+router.use(requireApiKey('read'));
+
+// Event counts over time, optionally grouped by a property
+router.get('/counts', async (req, res) => {
+  try {
+    res.json(await eventCounts(req.tenant, req.query));
+  } catch (err) {
+    logger.error('Error computing event counts:', err);
+    sendError(res, err, 'Failed to compute event counts');
+  }
+});
+
+// Ordered multi-step funnel with a conversion window
+router.get('/funnel', async (req, res) => {
+  try {
+    res.json(await funnel(req.tenant, req.query));
+  } catch (err) {
+    logger.error('Error computing funnel:', err);
+    sendError(res, err, 'Failed to compute funnel');
+  }
+});
+
+// Cohort retention by first activity
+router.get('/retention', async (req, res) => {
+  try {
+    res.json(await retention(req.tenant, req.query));
+  } catch (err) {
+    logger.error('Error computing retention:', err);
+    sendError(res, err, 'Failed to compute retention');
+  }
+});
+
+// Activity rolled up per group (account)
+router.get('/accounts', async (req, res) => {
+  try {
+    res.json(await accounts(req.tenant, req.query));
+  } catch (err) {
+    logger.error('Error computing account activity:', err);
+    sendError(res, err, 'Failed to compute account activity');
+  }
+});
+
+// Daily counts of events removed by data retention in 'aggregate' mode
+router.get('/rollups', async (req, res) => {
+  try {
+    res.json(await rollups(req.tenant, req.query));
+  } catch (err) {
+    logger.error('Error fetching event rollups:', err);
+    sendError(res, err, 'Failed to fetch event rollups');
+  }
+});
+
+export default router;
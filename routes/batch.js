@@ -0,0 +1,353 @@
+import express from 'express';
+import { getClient } from '../db/connection.js';
+import { requireApiKey } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { batchInsertEvents } from '../services/db-utils.js';
+import { recordSessionActivity } from '../services/sessions.js';
+import { enqueueMessages, groupMessage, identifyMessage, mergeMessage, trackMessage } from '../services/destinations.js';
+import { fingerprintContext } from '../services/fingerprint.js';
+import { validateEvent, validateTraits } from '../services/event-schemas.js';
+import { publishEvents } from '../services/live-events.js';
+import { groupSession } from '../services/groups.js';
+import { HttpError } from '../services/errors.js';
+import { consentPolicy } from '../services/consent.js';
+import {
+  findExistingIdentity,
+  getSessions,
+  getSessionNetwork,
+  getSessionProfile,
+  identifySession,
+  verifySessionVisitor
+} from '../services/identity.js';
+import { logger } from '../services/logger.js';
+import { eventsIngested } from '../services/metrics.js';
+import { payloadError } from '../services/rate-limits.js';
+
+const MAX_BATCH_SIZE = 500;
+
+// Offline queues replay older events, but nothing should claim to be from
+// the future beyond a little clock skew
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const router = express.Router();
+
+// Helper function to check a single batch item; returns an error message or null
+function validateBatchItem(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return 'Item must be an object';
+  }
+  if (!['track', 'identify', 'group'].includes(item.type)) {
+    return "type must be 'track', 'identify' or 'group'";
+  }
+  if (!item.sessionId || typeof item.sessionId !== 'string') {
+    return 'sessionId is required';
+  }
+  if (item.type === 'track') {
+    if (!item.eventName || typeof item.eventName !== 'string') {
+      return 'eventName is required';
+    }
+    if (item.properties !== undefined &&
+        (typeof item.properties !== 'object' || item.properties === null || Array.isArray(item.properties))) {
+      return 'properties must be an object';
+    }
+  }
+  if (item.type === 'identify') {
+    if (!item.userData || typeof item.userData !== 'object' || Array.isArray(item.userData)) {
+      return 'userData is required';
+    }
+    if (item.unsetTraits !== undefined &&
+        (!Array.isArray(item.unsetTraits) || !item.unsetTraits.every(trait => typeof trait === 'string' && trait !== ''))) {
+      return 'unsetTraits must be an array of trait names';
+    }
+  }
+  if (item.type === 'group') {
+    if (!item.groupId || typeof item.groupId !== 'string') {
+      return 'groupId is required';
+    }
+    if (item.traits !== undefined &&
+        (typeof item.traits !== 'object' || item.traits === null || Array.isArray(item.traits))) {
+      return 'traits must be an object';
+    }
+  }
+  if (item.timestamp !== undefined) {
+    const time = Date.parse(item.timestamp);
+    if (Number.isNaN(time)) {
+      return 'timestamp must be an ISO 8601 date';
+    }
+    if (time > Date.now() + MAX_CLOCK_SKEW_MS) {
+      return 'timestamp is in the future';
+    }
+  }
+  return null;
+}
+
+// Check an item's properties, userData or traits against the tenant's
+// payload limits; returns an error message or null
+function itemPayloadError(limits, item) {
+  return payloadError(limits, 'properties', item.properties) ||
+    payloadError(limits, 'userData', item.userData) ||
+    payloadError(limits, 'traits', item.traits);
+}
+
+// Ingest a batch of track, identify and group calls. Items are applied in order and
+// each gets its own result, so one bad item does not fail the batch.
+router.post('/', requireApiKey('write'), rateLimit(), async (req, res) => {
+  const { batch } = req.body;
+  const { schema, settings } = req.tenant;
+
+  if (!Array.isArray(batch) || batch.length === 0) {
+    return res.status(400).json({ error: 'batch must be a non-empty array' });
+  }
+  if (batch.length > MAX_BATCH_SIZE) {
+    return res.status(413).json({ error: `batch cannot contain more than ${MAX_BATCH_SIZE} items` });
+  }
+
+  const results = batch.map((item, index) => {
+    const error = validateBatchItem(item) || itemPayloadError(settings.rateLimits, item);
+    return error ? { index, status: 'error', error } : { index, status: 'pending' };
+  });
+
+  let client;
+  let published = null;
+  try {
+    client = await getClient();
+
+    const sessionIds = [...new Set(batch
+      .filter((_, index) => results[index].status === 'pending')
+      .map(item => item.sessionId))];
+    const sessions = await getSessions(client, schema, sessionIds);
+
+    // Per-session context is resolved once and refreshed after an identify
+    const contexts = new Map();
+    const verifications = new Map();
+    let pendingTracks = [];
+    const stored = [];
+
+    const getContext = async (sessionId, session) => {
+      if (!contexts.has(sessionId)) {
+        const network = await getSessionNetwork(client, req.tenant, session);
+        const identityMatch = consentPolicy(settings.privacy, session.consent).stitch
+          ? await findExistingIdentity(client, schema, settings.identityResolution, {
+            visitorId: session.visitor_id,
+            ip: network.ip,
+            browserDetails: session.browser_details,
+            geolocation: network.geolocation,
+            asn: network.asn
+          })
+          : null;
+        const profile = await getSessionProfile(client, schema, sessionId, session);
+        contexts.set(sessionId, { identityMatch, network, profile });
+      }
+      return contexts.get(sessionId);
+    };
+
+    const verify = (sessionId, session, requestId, visitorId) => {
+      const key = `${sessionId}:${requestId}:${visitorId}`;
+      if (!verifications.has(key)) {
+        verifications.set(key, verifySessionVisitor(client, schema, sessionId, session, requestId, visitorId, {
+          settings: settings.fingerprint,
+          context: fingerprintContext(req)
+        }));
+      }
+      return verifications.get(key);
+    };
+
+    // Write queued track items with a single multi-row insert, queueing
+    // their destination messages in the same transaction
+    const flushTracks = async () => {
+      if (pendingTracks.length === 0) {
+        return;
+      }
+      const chunk = pendingTracks;
+      pendingTracks = [];
+      try {
+        await client.query('BEGIN');
+        const inserted = await batchInsertEvents(schema, chunk.map(entry => entry.event), client);
+        await enqueueMessages(client, req.tenant.id, inserted.rows.map((row, i) => trackMessage(row, chunk[i].profile)));
+        await client.query('COMMIT');
+        inserted.rows.forEach((row, i) => {
+          results[chunk[i].index] = { index: chunk[i].index, status: 'ok', id: row.id };
+          stored.push(row);
+        });
+
+        const activity = new Map();
+        for (const { event } of chunk) {
+          if (!activity.has(event.sessionId)) {
+            activity.set(event.sessionId, []);
+          }
+          activity.get(event.sessionId).push(event);
+        }
+        for (const [sessionId, events] of activity) {
+          await recordSessionActivity(client, schema, sessionId, events).catch(err => {
+            // The events are stored; only the session's summary lags behind
+            logger.error('Error recording session activity:', err);
+          });
+        }
+      } catch (err) {
+        await client.query('ROLLBACK');
+        logger.error('Error inserting batch events:', err);
+        for (const entry of chunk) {
+          results[entry.index] = { index: entry.index, status: 'error', error: 'Failed to store event' };
+        }
+      }
+    };
+
+    for (const [index, item] of batch.entries()) {
+      if (results[index].status !== 'pending') {
+        continue;
+      }
+
+      const session = sessions.get(item.sessionId);
+      if (!session) {
+        results[index] = { index, status: 'error', error: 'Invalid session' };
+        continue;
+      }
+
+      // Queued events replay into ended sessions, but not past a consent
+      // change: those belong to the session started under the new consent
+      if (session.end_reason === 'consent' &&
+          new Date(item.timestamp ?? Date.now()) > new Date(session.ended_at)) {
+        results[index] = { index, status: 'error', error: 'Session ended after a consent change' };
+        continue;
+      }
+      if (item.type === 'identify' && session.anonymous) {
+        results[index] = { index, status: 'error', error: 'Cannot identify an anonymous session' };
+        continue;
+      }
+
+      // Verify visitor ID if provided
+      if (item.requestId && item.visitorId &&
+          !await verify(item.sessionId, session, item.requestId, item.visitorId)) {
+        results[index] = { index, status: 'error', error: 'Invalid visitor ID' };
+        continue;
+      }
+
+      // Registered schemas are checked per item; strict mode rejects the item
+      let validationErrors;
+      try {
+        validationErrors = item.type === 'track'
+          ? await validateEvent(req.tenant, item.eventName, item.properties || {})
+          : item.type === 'identify' ? await validateTraits(req.tenant, item.userData) : undefined;
+      } catch (err) {
+        if (!(err instanceof HttpError)) {
+          throw err;
+        }
+        results[index] = { index, status: 'error', error: err.message, details: err.details };
+        continue;
+      }
+
+      if (item.type === 'track') {
+        const { identityMatch, network, profile } = await getContext(item.sessionId, session);
+        pendingTracks.push({
+          index,
+          profile,
+          event: {
+            sessionId: item.sessionId,
+            visitorId: session.visitor_id,
+            eventName: item.eventName,
+            properties: item.properties || {},
+            profileId: profile.id,
+            groupId: session.group_id,
+            ipAddress: network.ip,
+            browserDetails: session.browser_details,
+            confidenceScore: identityMatch?.confidence || session.confidence_score,
+            identificationMethod: session.identification_method,
+            geolocation: network.geolocation,
+            riskScore: session.risk_score,
+            riskStatus: session.risk_status,
+            validationErrors,
+            timestamp: item.timestamp
+          }
+        });
+        continue;
+      }
+
+      // Earlier track items must be stored under the session's previous group
+      if (item.type === 'group') {
+        await flushTracks();
+        try {
+          await client.query('BEGIN');
+          const { eventId, eventTimestamp, profile, group } = await groupSession(
+            client, schema, item.sessionId, session, item.groupId, item.traits || {},
+            { tenant: req.tenant, timestamp: item.timestamp }
+          );
+          await enqueueMessages(client, req.tenant.id, [groupMessage({
+            eventId,
+            sessionId: item.sessionId,
+            visitorId: session.visitor_id,
+            profile,
+            groupId: group.id,
+            traits: group.traits
+          })]);
+          await recordSessionActivity(client, schema, item.sessionId, [{ timestamp: item.timestamp }]);
+          await client.query('COMMIT');
+          session.group_id = item.groupId;
+          results[index] = { index, status: 'ok', id: eventId };
+          stored.push({ id: eventId, timestamp: eventTimestamp });
+        } catch (err) {
+          await client.query('ROLLBACK');
+          logger.error('Error grouping user in batch:', err);
+          results[index] = { index, status: 'error', error: 'Failed to group user' };
+        }
+        continue;
+      }
+
+      // Earlier track items must be stored before an identify rewrites them
+      await flushTracks();
+      try {
+        await client.query('BEGIN');
+        const { eventId, eventTimestamp, profileId, traits, merges } = await identifySession(client, schema, item.sessionId, session, item.userData, {
+          tenant: req.tenant,
+          rules: settings.identityResolution,
+          traitSettings: settings.traits,
+          unsetTraits: item.unsetTraits,
+          timestamp: item.timestamp,
+          validationErrors
+        });
+        await enqueueMessages(client, req.tenant.id, [
+          identifyMessage({ eventId, sessionId: item.sessionId, visitorId: session.visitor_id, profileId, traits }),
+          ...merges.map(merge => mergeMessage({ ...merge, targetProfileId: profileId, traits }))
+        ]);
+        await recordSessionActivity(client, schema, item.sessionId, [{ timestamp: item.timestamp }]);
+        await client.query('COMMIT');
+        results[index] = { index, status: 'ok', id: eventId };
+        stored.push({ id: eventId, timestamp: eventTimestamp });
+      } catch (err) {
+        await client.query('ROLLBACK');
+        logger.error('Error identifying user in batch:', err);
+        results[index] = { index, status: 'error', error: 'Failed to identify user' };
+      }
+
+      // Identify can stitch other visitors too, so later events in this
+      // batch re-resolve their identity
+      contexts.clear();
+    }
+
+    await flushTracks();
+
+    const accepted = results.filter(result => result.status === 'ok').length;
+    res.json({
+      accepted,
+      rejected: results.length - accepted,
+      results
+    });
+    published = stored;
+  } catch (err) {
+    logger.error('Error processing batch:', err);
+    res.status(500).json({ error: 'Failed to process batch' });
+  } finally {
+    client?.release();
+  }
+
+  // After the response, so a throw here cannot answer it a second time
+  if (published) {
+    publishEvents(req.tenant.id, published);
+    for (const result of results) {
+      if (result.status === 'ok') {
+        eventsIngested.inc({ tenant: req.tenant.id, type: batch[result.index].type });
+      }
+    }
+  }
+});
+
+export default router;
@@ -0,0 +1,42 @@
+import express from 'express';
+import { requireApiKey } from '../middleware/auth.js';
+import { MAX_LIMIT, parseEventQuery, queryEvents } from '../services/event-query.js';
+import { sendError } from '../services/errors.js';
+import { logger } from '../services/logger.js';
+
+const router = express.Router();
+
+router.use(requireApiKey('read'));
+
+// Query events with filters and cursor pagination
+router.get('/', async (req, res) => {
+  try {
+    const query = parseEventQuery(req.query);
+    res.json(await queryEvents(req.tenant.schema, query));
+  } catch (err) {
+    logger.error('Error querying events:', err);
+    sendError(res, err, 'Failed to query events');
+  }
+});
+
+// Get all events for a session. Kept returning a plain array; when more
+// events exist than `limit`, X-Next-Cursor continues on GET /?sessionId=
+router.get('/:sessionId', async (req, res) => {
+  try {
+    const query = parseEventQuery({
+      limit: String(MAX_LIMIT),
+      ...req.query,
+      sessionId: req.params.sessionId
+    });
+    const { data, nextCursor } = await queryEvents(req.tenant.schema, query);
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor);
+    }
+    res.json(data);
+  } catch (err) {
+    logger.error('Error fetching events:', err);
+    sendError(res, err, 'Failed to fetch events');
+  }
+});
+
+export default router;
@@ -0,0 +1,46 @@
+import express from 'express';
+import zlib from 'zlib';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { requireApiKey } from '../middleware/auth.js';
+import { FORMATS, formatRows, openExport, parseExportOptions } from '../services/export.js';
+import { sendError } from '../services/errors.js';
+import { logger } from '../services/logger.js';
+
+const router = express.Router();
+
+router.use(requireApiKey('read'));
+
+// Stream one dataset (events, sessions, identity_mappings, profiles or
+// groups) as NDJSON or CSV. X-Export-Watermark is passed back as `since` next
+// time.
+router.get('/:dataset', async (req, res) => {
+  let exported;
+  try {
+    const options = parseExportOptions({ ...req.query, dataset: req.params.dataset });
+    exported = await openExport(req.tenant.schema, options);
+
+    const gzip = req.query.gzip === 'true';
+    const filename = `${req.params.dataset}.${FORMATS[options.format].extension}${gzip ? '.gz' : ''}`;
+    res.set({
+      'Content-Type': gzip ? 'application/gzip' : FORMATS[options.format].contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      ...(exported.watermark ? { 'X-Export-Watermark': exported.watermark } : {})
+    });
+
+    const body = Readable.from(formatRows(exported.rows, options.format, exported.columns));
+    await pipeline(...(gzip ? [body, zlib.createGzip(), res] : [body, res]));
+  } catch (err) {
+    logger.error('Error exporting data:', err);
+    if (res.headersSent) {
+      // Too late for an error response; a cut-off body tells the client
+      res.destroy(err);
+    } else {
+      sendError(res, err, 'Failed to export data');
+    }
+  } finally {
+    await exported?.close();
+  }
+});
+
+export default router;
@@ -0,0 +1,25 @@
+import express from 'express';
+import { requireApiKey } from '../middleware/auth.js';
+import { getGroup } from '../services/groups.js';
+import { sendError } from '../services/errors.js';
+import { logger } from '../services/logger.js';
+
+const router = express.Router();
+
+router.use(requireApiKey('read'));
+
+// Get a group with its traits and member count
+router.get('/:groupId', async (req, res) => {
+  try {
+    const group = await getGroup(req.tenant.schema, req.params.groupId);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    res.json(group);
+  } catch (err) {
+    logger.error('Error fetching group:', err);
+    sendError(res, err, 'Failed to fetch group');
+  }
+});
+
+export default router;
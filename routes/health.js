@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import express from 'express';
+import { pool } from '../db/connection.js';
+import { checkProviders, getProvider } from '../services/fingerprint.js';
+import { ingestionStatus } from '../services/ingest-queue.js';
+import { renderMetrics } from '../services/metrics.js';
+
+const CHECK_TIMEOUT_MS = 2000;
+
+const router = express.Router();
+
+// Run a check, failing it if it takes longer than CHECK_TIMEOUT_MS
+async function runCheck(check) {
+  const startedAt = Date.now();
+  let timer;
+  try {
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Timed out')), CHECK_TIMEOUT_MS);
+    });
+    const detail = await Promise.race([check(), timeout]);
+    return { status: 'ok', latencyMs: Date.now() - startedAt, ...detail };
+  } catch (err) {
+    return { status: 'error', latencyMs: Date.now() - startedAt, error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function checkDatabase() {
+  await pool.query('SELECT 1');
+}
+
+// Not ready while shutting down, or when /track would turn events away
+async function checkIngestion() {
+  const { accepting, full, queued, capacity, spilledBytes } = ingestionStatus();
+  if (!accepting) {
+    throw new Error('Shutting down');
+  }
+  if (full) {
+    throw new Error('Ingestion queue is full');
+  }
+  return { queued, capacity, spilledBytes };
+}
+
+function sendChecks(res, checks) {
+  const healthy = Object.values(checks).every(check => check.status === 'ok');
+  res.status(healthy ? 200 : 503).json({ status: healthy ? 'ok' : 'error', checks });
+}
+
+// Liveness: the database answers and the default fingerprint provider is
+// configured. Does not call the provider, so it is cheap to probe often.
+router.get('/healthz', async (req, res) => {
+  sendChecks(res, {
+    database: await runCheck(checkDatabase),
+    fingerprint: await runCheck(async () => ({ provider: getProvider().name }))
+  });
+});
+
+// Readiness: the database answers, every fingerprint provider in use passes
+// its own health check (results are cached briefly) and the ingestion queue
+// takes events
+router.get('/readyz', async (req, res) => {
+  const [database, fingerprint, ingestion] = await Promise.all([
+    runCheck(checkDatabase),
+    runCheck(async () => {
+      const providers = await checkProviders();
+      const failed = Object.entries(providers).filter(([, result]) => result.status !== 'ok');
+      if (failed.length > 0) {
+        throw new Error(failed.map(([key, result]) => `${key}: ${result.error}`).join('; '));
+      }
+      return { providers: Object.keys(providers) };
+    }),
+    runCheck(checkIngestion)
+  ]);
+  sendChecks(res, { database, fingerprint, ingestion });
+});
+
+// Prometheus scrape endpoint. Labels name tenants, so METRICS_TOKEN (when
+// set) must be presented as a bearer token.
+router.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const [scheme, provided] = (req.get('authorization') || '').split(' ');
+    const expected = Buffer.from(token);
+    const given = Buffer.from(provided || '');
+    if (scheme !== 'Bearer' || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+export default router;
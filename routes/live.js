@@ -0,0 +1,50 @@
+import express from 'express';
+import { requireApiKey } from '../middleware/auth.js';
+import { parseLiveFilters, subscribe } from '../services/live-events.js';
+import { sendError } from '../services/errors.js';
+import { logger } from '../services/logger.js';
+
+const HEARTBEAT_INTERVAL = 15 * 1000;
+// A client that stops reading is disconnected rather than buffered for
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+const router = express.Router();
+
+router.use(requireApiKey('read', { queryKey: true }));
+
+// Stream the tenant's events as Server-Sent Events while they are written,
+// filtered by session, visitor, identity and event name
+router.get('/', (req, res) => {
+  try {
+    const filters = parseLiveFilters(req.query);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Keeps proxies such as nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = subscribe(req.tenant, filters, event => {
+      if (res.writableLength > MAX_BUFFERED_BYTES) {
+        res.end();
+        return;
+      }
+      res.write(`id: ${event.id}\nevent: event\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (err) {
+    logger.error('Error opening live stream:', err);
+    sendError(res, err, 'Failed to open live stream');
+  }
+});
+
+export default router;
@@ -0,0 +1,62 @@
+import express from 'express';
+import { requireApiKey } from '../middleware/auth.js';
+import { findProfile, getProfile } from '../services/identity-graph.js';
+import { getTraitHistory } from '../services/traits.js';
+import { sendError } from '../services/errors.js';
+import { logger } from '../services/logger.js';
+
+const router = express.Router();
+
+router.use(requireApiKey('read'));
+
+// Look up the profile for a visitor, session or user ID
+router.get('/', async (req, res) => {
+  const { visitorId, sessionId, userId } = req.query;
+
+  if (!visitorId && !sessionId && !userId) {
+    return res.status(400).json({ error: 'visitorId, sessionId or userId is required' });
+  }
+
+  try {
+    const profile = await findProfile(req.tenant.schema, { visitorId, sessionId, userId });
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json(profile);
+  } catch (err) {
+    logger.error('Error looking up profile:', err);
+    sendError(res, err, 'Failed to look up profile');
+  }
+});
+
+// Get a profile with its identity links. Merged profile IDs resolve to the
+// profile they were merged into.
+router.get('/:profileId', async (req, res) => {
+  try {
+    const profile = await getProfile(req.tenant.schema, req.params.profileId);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json(profile);
+  } catch (err) {
+    logger.error('Error fetching profile:', err);
+    sendError(res, err, 'Failed to fetch profile');
+  }
+});
+
+// Trait changes of a profile, including those of profiles merged into it,
+// newest first. Filter with ?trait=; ?limit= defaults to 100.
+router.get('/:profileId/traits/history', async (req, res) => {
+  try {
+    const history = await getTraitHistory(req.tenant.schema, req.params.profileId, req.query);
+    if (!history) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json({ profileId: req.params.profileId, changes: history });
+  } catch (err) {
+    logger.error('Error fetching trait history:', err);
+    sendError(res, err, 'Failed to fetch trait history');
+  }
+});
+
+export default router;
@@ -0,0 +1,59 @@
+import express from 'express';
+import { pool } from '../db/connection.js';
+import { requireApiKey } from '../middleware/auth.js';
+import { endSession, getSessionSummary, listSessionSummaries } from '../services/sessions.js';
+import { sendError } from '../services/errors.js';
+import { logger } from '../services/logger.js';
+
+const router = express.Router();
+
+// End a session explicitly (e.g. on logout); later events for it are
+// rotated into a new session or rejected per the tenant's settings
+router.post('/:sessionId/end', requireApiKey('write'), async (req, res) => {
+  try {
+    const ended = await endSession(pool, req.tenant.schema, req.params.sessionId);
+    if (!ended) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(await getSessionSummary(req.tenant.schema, req.params.sessionId, req.tenant.settings.sessions));
+  } catch (err) {
+    logger.error('Error ending session:', err);
+    sendError(res, err, 'Failed to end session');
+  }
+});
+
+// List a visitor's session summaries, newest first
+router.get('/', requireApiKey('read'), async (req, res) => {
+  const { visitorId } = req.query;
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+  if (!visitorId) {
+    return res.status(400).json({ error: 'visitorId is required' });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 500' });
+  }
+
+  try {
+    res.json(await listSessionSummaries(req.tenant.schema, visitorId, req.tenant.settings.sessions, { limit }));
+  } catch (err) {
+    logger.error('Error listing sessions:', err);
+    sendError(res, err, 'Failed to list sessions');
+  }
+});
+
+// Get a session's summary
+router.get('/:sessionId', requireApiKey('read'), async (req, res) => {
+  try {
+    const summary = await getSessionSummary(req.tenant.schema, req.params.sessionId, req.tenant.settings.sessions);
+    if (!summary) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(summary);
+  } catch (err) {
+    logger.error('Error fetching session:', err);
+    sendError(res, err, 'Failed to fetch session');
+  }
+});
+
+export default router;
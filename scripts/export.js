@@ -0,0 +1,110 @@
+import fs from 'fs';
+import zlib from 'zlib';
+import dotenv from 'dotenv';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { parseArgs } from 'util';
+import { pool } from '../db/connection.js';
+import { quoteIdent } from '../db/identifiers.js';
+import { getTenant } from '../services/tenants.js';
+import { DATASETS, exportToFiles, formatRows, openExport, parseExportOptions } from '../services/export.js';
+
+dotenv.config();
+
+const USAGE = `Usage: npm run export -- --tenant <id> [options]
+
+  --dataset <name>   ${Object.keys(DATASETS).join(', ')} (repeatable; default: all with --out)
+  --format <format>  ndjson (default) or csv
+  --from, --to       Time range (ISO 8601)
+  --since <mark>     Continue after a watermark from an earlier export
+  --state <file>     Read and update watermarks in a JSON file (for nightly jobs)
+  --out <dir>        Write files partitioned by UTC day instead of stdout
+  --gzip             Compress the output`;
+
+const { values: args } = parseArgs({
+  options: {
+    tenant: { type: 'string' },
+    dataset: { type: 'string', multiple: true },
+    format: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    since: { type: 'string' },
+    state: { type: 'string' },
+    out: { type: 'string' },
+    gzip: { type: 'boolean', default: false },
+    help: { type: 'boolean', default: false }
+  }
+});
+
+function readState(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return {};
+    }
+    throw err;
+  }
+}
+
+// Export a tenant's data to stdout or to day-partitioned files
+try {
+  const datasets = args.dataset || (args.out ? Object.keys(DATASETS) : []);
+  if (args.help || !args.tenant || datasets.length === 0) {
+    console.error(USAGE);
+    process.exitCode = args.help ? 0 : 1;
+  } else if (!args.out && datasets.length > 1) {
+    throw new Error('Only one --dataset can be written to stdout; use --out for several');
+  } else if (args.since && datasets.length > 1) {
+    throw new Error('--since applies to a single --dataset; use --state for several');
+  } else {
+    if (!await getTenant(args.tenant)) {
+      throw new Error(`Unknown tenant: ${args.tenant}`);
+    }
+    const schema = quoteIdent(args.tenant);
+    const state = args.state ? readState(args.state) : {};
+    const watermarks = state[args.tenant] || {};
+
+    for (const dataset of datasets) {
+      const options = parseExportOptions({
+        dataset,
+        format: args.format,
+        from: args.from,
+        to: args.to,
+        since: args.since || watermarks[dataset]
+      });
+
+      let watermark;
+      if (args.out) {
+        const result = await exportToFiles(schema, options, { dir: args.out, gzip: args.gzip });
+        for (const { file, rows } of result.files) {
+          console.error(`${file}: ${rows} row(s)`);
+        }
+        console.error(`${dataset}: exported ${result.rows} row(s)`);
+        watermark = result.watermark;
+      } else {
+        const exported = await openExport(schema, options);
+        try {
+          const body = Readable.from(formatRows(exported.rows, options.format, exported.columns));
+          await pipeline(...(args.gzip ? [body, zlib.createGzip(), process.stdout] : [body, process.stdout]));
+        } finally {
+          await exported.close();
+        }
+        watermark = exported.watermark;
+      }
+
+      console.error(`${dataset}: watermark ${watermark ?? '(none)'}`);
+      if (args.state && watermark) {
+        // Saved after each dataset so a failure does not lose earlier progress
+        watermarks[dataset] = watermark;
+        state[args.tenant] = watermarks;
+        fs.writeFileSync(args.state, `${JSON.stringify(state, null, 2)}\n`);
+      }
+    }
+  }
+} catch (err) {
+  console.error('Error exporting data:', err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,56 @@
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { pool } from '../db/connection.js';
+import { getTenant } from '../services/tenants.js';
+import { maintainTenant, runMaintenance } from '../services/maintenance.js';
+
+dotenv.config();
+
+const { values: args } = parseArgs({
+  options: {
+    tenant: { type: 'string' }
+  }
+});
+
+function describe({ partitionsCreated, backfilledEvents, expiredEvents, scrubbedIpData }) {
+  const parts = [`${partitionsCreated.length} partition(s) created`];
+  if (backfilledEvents) {
+    parts.push(`${backfilledEvents} event(s) moved from before partitioning`);
+  }
+  if (expiredEvents) {
+    parts.push(`${expiredEvents.removed} event(s) removed (${expiredEvents.partitionsDropped.length} partition(s) dropped)`);
+  }
+  if (scrubbedIpData) {
+    parts.push(`IP data cleared from ${scrubbedIpData.events} event(s), ${scrubbedIpData.sessions} session(s) and ${scrubbedIpData.visitors} visitor(s)`);
+  }
+  return parts.join(', ');
+}
+
+// Run maintenance for one tenant or every active tenant, e.g. from cron
+try {
+  let results;
+  if (args.tenant) {
+    if (!await getTenant(args.tenant)) {
+      throw new Error(`Unknown tenant: ${args.tenant}`);
+    }
+    results = [{ tenantId: args.tenant, report: await maintainTenant(args.tenant) }];
+  } else {
+    results = await runMaintenance();
+  }
+
+  for (const { tenantId, report, error } of results) {
+    if (error) {
+      console.error(`${tenantId}: failed: ${error}`);
+      process.exitCode = 1;
+    } else if (!report) {
+      console.log(`${tenantId}: skipped, maintenance already running`);
+    } else {
+      console.log(`${tenantId}: ${describe(report)}`);
+    }
+  }
+} catch (err) {
+  console.error('Error running maintenance:', err);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
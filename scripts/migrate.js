@@ -0,0 +1,19 @@
+import dotenv from 'dotenv';
+import { pool } from '../db/connection.js';
+import { migrateAll } from '../services/tenants.js';
+
+dotenv.config();
+
+// Apply pending control and tenant migrations, then exit
+try {
+  const results = await migrateAll();
+  for (const { tenantId, version } of results) {
+    console.log(`${tenantId}: schema version ${version}`);
+  }
+  console.log(`Migrated ${results.length} tenant(s)`);
+} catch (err) {
+  console.error('Error running migrations:', err);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -1,210 +1,213 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import crypto from 'crypto';
 import { pool, getClient } from './db/connection.js';
-import { getVisitorData, verifyVisitorId } from './services/fingerprint.js';
+import { fingerprintContext, getProvider, getVisitorData } from './services/fingerprint.js';
+import { migrateAll } from './services/tenants.js';
+import { aliasIdentifier, createProfile, getLinkedProfile, linkIdentifier } from './services/identity-graph.js';
+import { activeGroupId, addGroupMember, groupSession } from './services/groups.js';
+import { requireApiKey } from './middleware/auth.js';
+import { scoreRisk } from './services/risk.js';
+import { endSession, ensureActiveSession, expiryReason, generateSessionId, recordSessionActivity } from './services/sessions.js';
+import { HttpError, sendError } from './services/errors.js';
+import { enqueueMessages, groupMessage, identifyMessage, mergeMessage } from './services/destinations.js';
+import { startDeliveryWorker } from './services/delivery-worker.js';
+import { startMaintenanceJob } from './services/maintenance.js';
+import { publishEvents, startLiveEvents } from './services/live-events.js';
+import { validateEvent, validateTraits } from './services/event-schemas.js';
+import { parseUnsetTraits } from './services/traits.js';
+import { anonymousVisitorId, consentPolicy, networkData, parseConsent } from './services/consent.js';
+import { logger } from './services/logger.js';
+import { eventsIngested } from './services/metrics.js';
+import { requestContext } from './middleware/request-context.js';
+import { rateLimit } from './middleware/rate-limit.js';
+import { checkPayload } from './services/rate-limits.js';
+import { enqueueTrack, ingestionStatus, startIngestion, stopIngestion } from './services/ingest-queue.js';
+import {
+  bindVerifiedRequest,
+  findExistingIdentity,
+  getSession,
+  identifySession,
+  resolveVisitorProfile,
+  verifySessionVisitor
+} from './services/identity.js';
+import adminRouter from './routes/admin.js';
+import analyticsRouter from './routes/analytics.js';
+import batchRouter from './routes/batch.js';
+import eventsRouter from './routes/events.js';
+import exportRouter from './routes/export.js';
+import groupsRouter from './routes/groups.js';
+import liveRouter from './routes/live.js';
+import profilesRouter from './routes/profiles.js';
+import sessionsRouter from './routes/sessions.js';
+import healthRouter from './routes/health.js';
 
 dotenv.config();
 
 const app = express();
+// Behind a load balancer, TRUST_PROXY (e.g. 'true' or a hop count) makes
+// req.ip the client's address, which per-IP rate limits depend on
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+app.use(requestContext);
 app.use(cors());
+// Batches get a larger body limit; body-parser skips already-parsed bodies.
+// The SDK's sendBeacon batches arrive as text/plain to avoid a CORS preflight.
+app.use('/eventTracking/batch', express.json({ limit: '1mb', type: ['application/json', 'text/plain'] }));
 app.use(express.json());
 app.use(express.static('public'));
+app.use(healthRouter);
+app.use('/admin', adminRouter);
+app.use('/eventTracking/batch', batchRouter);
+app.use('/eventTracking/events', eventsRouter);
+app.use('/eventTracking/export', exportRouter);
+app.use('/eventTracking/groups', groupsRouter);
+app.use('/eventTracking/live', liveRouter);
+app.use('/eventTracking/analytics', analyticsRouter);
+app.use('/eventTracking/profiles', profilesRouter);
+app.use('/eventTracking/sessions', sessionsRouter);
 
-// Helper function to generate session ID
-function generateSessionId() {
-  return crypto.randomBytes(32).toString('hex');
-}
-
-// Helper function to find existing identity with confidence scoring
-async function findExistingIdentity(tenantId, visitorId, ip, browserDetails) {
-  const client = await getClient();
-  try {
-    // First try to find exact fingerprint match
-    const fingerprintMatch = await client.query(
-      `SELECT identity, confidence_score, identification_method, browser_details 
-       FROM ${tenantId}.identity_mappings 
-       WHERE visitor_id = $1 
-       ORDER BY last_seen_at DESC 
-       LIMIT 1`,
-      [visitorId]
-    );
-
-    if (fingerprintMatch.rows[0]) {
-      return {
-        ...fingerprintMatch.rows[0],
-        matchType: 'fingerprint',
-        confidence: Math.max(fingerprintMatch.rows[0].confidence_score || 0.8, 0.8) // High confidence for fingerprint matches
-      };
-    }
-
-    // Then try IP match with browser fingerprint correlation
-    const ipMatches = await client.query(
-      `SELECT identity, confidence_score, identification_method, browser_details 
-       FROM ${tenantId}.identity_mappings 
-       WHERE ip_address = $1 
-       ORDER BY last_seen_at DESC`,
-      [ip]
-    );
-
-    if (ipMatches.rows.length > 0) {
-      // If we have browser details, try to correlate them
-      if (browserDetails) {
-        for (const match of ipMatches.rows) {
-          if (match.browser_details && 
-              match.browser_details.browserName === browserDetails.browserName &&
-              match.browser_details.os === browserDetails.os) {
-            return {
-              ...match,
-              matchType: 'ip_browser',
-              confidence: Math.max(match.confidence_score || 0.6, 0.6) // Medium-high confidence for IP + browser match
-            };
-          }
-        }
-      }
-
-      // Return the most recent IP match if no browser match found
-      return {
-        ...ipMatches.rows[0],
-        matchType: 'ip',
-        confidence: Math.max(ipMatches.rows[0].confidence_score || 0.4, 0.4) // Medium confidence for IP-only match
-      };
-    }
-
-    return null;
-  } catch (error) {
-    console.error('Error finding existing identity:', error);
-    return null;
-  } finally {
-    client.release();
-  }
-}
 
 // Initialize session
-app.post('/eventTracking/init', async (req, res) => {
+app.post('/eventTracking/init', requireApiKey('write'), rateLimit(), async (req, res) => {
   try {
-    const { requestId, visitorId, tenantId } = req.body;
+    const { requestId, visitorId } = req.body;
+    const { schema, settings } = req.tenant;
     
-    if (!requestId || !visitorId || !tenantId) {
-      return res.status(400).json({ error: 'requestId, visitorId, and tenantId are required' });
+    // Providers that derive the visitor ID on the server (such as 'local')
+    // have no claimed ID to check; the derived one is returned instead
+    const derivesVisitorId = getProvider(settings.fingerprint).derivesVisitorId === true;
+    if (!requestId || (!visitorId && !derivesVisitorId)) {
+      return res.status(400).json({
+        error: derivesVisitorId ? 'requestId is required' : 'requestId and visitorId are required'
+      });
     }
+    const consent = parseConsent(req.body.consent);
+    const policy = consentPolicy(settings.privacy, consent);
 
-    // Get verified visitor data from FingerprintJS Pro
-    const visitorData = await getVisitorData(requestId);
+    // Get verified visitor data from the tenant's fingerprint provider
+    const visitorData = await getVisitorData(requestId, {
+      settings: settings.fingerprint,
+      context: fingerprintContext(req)
+    });
     
-    // Verify the claimed visitor ID matches the one from FingerprintJS Pro
-    if (visitorData.visitorId !== visitorId) {
+    // Verify the claimed visitor ID matches the one from the provider
+    if (!derivesVisitorId && visitorData.visitorId !== visitorId) {
       return res.status(403).json({ error: 'Invalid visitor ID' });
     }
 
+    // Score the visitor's bot/VPN/spoofing signals against the tenant's policy
+    const risk = scoreRisk(visitorData.signals, settings.risk);
+    if (risk.status === 'rejected') {
+      return res.status(403).json({
+        error: 'Request rejected by risk policy',
+        risk: { score: risk.score, reasons: risk.reasons }
+      });
+    }
+
     const sessionId = generateSessionId();
 
+    // Only what the visitor's consent allows is stored, and anonymous
+    // sessions get a session-scoped visitor ID
+    const network = networkData(req.tenant, consent, {
+      ip: visitorData.ip,
+      geolocation: visitorData.geolocation,
+      asn: visitorData.asn
+    });
+    const sessionVisitorId = policy.anonymous ? anonymousVisitorId(sessionId) : visitorData.visitorId;
+
     // Check if this visitor/IP is already identified
-    const identityMatch = await findExistingIdentity(
-      tenantId,
-      visitorData.visitorId, 
-      visitorData.ip,
-      visitorData.browserDetails
-    );
+    const identityMatch = policy.stitch ? await findExistingIdentity(pool, schema, settings.identityResolution, {
+      visitorId: visitorData.visitorId,
+      ip: network.ip,
+      browserDetails: visitorData.browserDetails,
+      geolocation: network.geolocation,
+      asn: network.asn
+    }) : null;
 
     // Get database client
     const client = await getClient();
+    let profile;
+    let groupId;
     try {
       await client.query('BEGIN');
 
-      // Create tables if they don't exist
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS ${tenantId}.identity_mappings (
-          id SERIAL PRIMARY KEY,
-          visitor_id TEXT UNIQUE,
-          ip_address TEXT,
-          browser_details JSONB,
-          confidence_score FLOAT,
-          first_seen_at TIMESTAMP WITH TIME ZONE,
-          last_seen_at TIMESTAMP WITH TIME ZONE,
-          geolocation JSONB,
-          asn JSONB,
-          identification_method TEXT,
-          identity JSONB
+      // Update or insert identity mapping; anonymous sessions have none
+      if (!policy.anonymous) {
+        await client.query(
+          `INSERT INTO ${schema}.identity_mappings 
+           (visitor_id, ip_address, browser_details, confidence_score, 
+            first_seen_at, last_seen_at, geolocation, asn, identification_method)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           ON CONFLICT (visitor_id) 
+           DO UPDATE SET 
+             ip_address = EXCLUDED.ip_address,
+             browser_details = EXCLUDED.browser_details,
+             confidence_score = EXCLUDED.confidence_score,
+             last_seen_at = EXCLUDED.last_seen_at,
+             geolocation = EXCLUDED.geolocation,
+             asn = EXCLUDED.asn,
+             identification_method = EXCLUDED.identification_method
+           RETURNING *`,
+          [
+            visitorData.visitorId,
+            network.ip,
+            visitorData.browserDetails,
+            visitorData.confidence?.score || 1.0,
+            visitorData.firstSeenAt?.global || new Date(),
+            visitorData.lastSeenAt?.global || new Date(),
+            network.geolocation,
+            network.asn,
+            'fingerprint'
+          ]
         );
+      }
 
-        CREATE TABLE IF NOT EXISTS ${tenantId}.session_mappings (
-          id SERIAL PRIMARY KEY,
-          session_id TEXT UNIQUE,
-          visitor_id TEXT,
-          ip_address TEXT,
-          browser_details JSONB,
-          confidence_score FLOAT,
-          identification_method TEXT
-        );
+      // Link the visitor and session into the identity graph. Without
+      // consent to stitching the session gets a profile of its own.
+      profile = policy.stitch
+        ? await resolveVisitorProfile(client, schema, visitorData.visitorId, identityMatch, {
+          confidence: visitorData.confidence?.score || 1.0
+        })
+        : await createProfile(client, schema);
+      await linkIdentifier(client, schema, profile.id, 'session', sessionId, {
+        reason: 'session',
+        confidence: 1.0
+      });
 
-        CREATE TABLE IF NOT EXISTS ${tenantId}.events (
-          id SERIAL PRIMARY KEY,
-          session_id TEXT,
-          visitor_id TEXT,
-          event_name TEXT,
-          properties JSONB,
-          identity JSONB,
-          ip_address TEXT,
-          browser_details JSONB,
-          confidence_score FLOAT,
-          identification_method TEXT,
-          geolocation JSONB,
-          asn JSONB,
-          first_seen_at TIMESTAMP WITH TIME ZONE,
-          last_seen_at TIMESTAMP WITH TIME ZONE,
-          timestamp TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Update or insert identity mapping
-      await client.query(
-        `INSERT INTO ${tenantId}.identity_mappings 
-         (visitor_id, ip_address, browser_details, confidence_score, 
-          first_seen_at, last_seen_at, geolocation, asn, identification_method, identity)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-         ON CONFLICT (visitor_id) 
-         DO UPDATE SET 
-           ip_address = EXCLUDED.ip_address,
-           browser_details = EXCLUDED.browser_details,
-           confidence_score = EXCLUDED.confidence_score,
-           last_seen_at = EXCLUDED.last_seen_at,
-           geolocation = EXCLUDED.geolocation,
-           asn = EXCLUDED.asn,
-           identification_method = EXCLUDED.identification_method,
-           identity = COALESCE(identity_mappings.identity, EXCLUDED.identity)
-         RETURNING *`,
-        [
-          visitorData.visitorId,
-          visitorData.ip,
-          visitorData.browserDetails,
-          visitorData.confidence?.score || 1.0,
-          visitorData.firstSeenAt?.global || new Date(),
-          visitorData.lastSeenAt?.global || new Date(),
-          visitorData.geolocation,
-          visitorData.asn,
-          'fingerprint',
-          identityMatch?.identity
-        ]
-      );
+      // New sessions act for the group the profile last acted for
+      groupId = await activeGroupId(client, schema, profile.id);
 
       // Store session mapping with verified data
       await client.query(
-        `INSERT INTO ${tenantId}.session_mappings 
+        `INSERT INTO ${schema}.session_mappings 
          (session_id, visitor_id, ip_address, browser_details, 
-          confidence_score, identification_method)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
+          confidence_score, identification_method,
+          risk_score, risk_status, risk_signals, group_id, consent, anonymous)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
         [
           sessionId,
-          visitorData.visitorId,
-          visitorData.ip,
-          visitorData.browserDetails,
+          sessionVisitorId,
+          network.ip,
+          policy.anonymous ? null : visitorData.browserDetails,
           visitorData.confidence?.score || 1.0,
-          'fingerprint'
+          'fingerprint',
+          risk.score,
+          risk.status,
+          policy.anonymous ? null : visitorData.signals || null,
+          groupId,
+          consent,
+          policy.anonymous
         ]
       );
 
+      // Later track/identify calls with this requestId are verified locally
+      if (!policy.anonymous) {
+        await bindVerifiedRequest(client, schema, requestId, sessionId, visitorData.visitorId);
+      }
+
       await client.query('COMMIT');
     } catch (err) {
       await client.query('ROLLBACK');
@@ -215,10 +218,21 @@ app.post('/eventTracking/init', async (req, res) => {
 
     res.json({ 
       sessionId, 
-      identity: identityMatch?.identity || null,
+      ...(derivesVisitorId ? { visitorId: sessionVisitorId } : {}),
+      profileId: profile.id,
+      groupId,
+      consent,
+      anonymous: policy.anonymous,
+      identity: Object.keys(profile.traits).length > 0 ? profile.traits : null,
       identityMatch: {
         type: identityMatch?.matchType || 'new_visitor',
-        confidence: identityMatch?.confidence || 1.0
+        confidence: identityMatch?.confidence || 1.0,
+        explanation: identityMatch?.explanation || null
+      },
+      risk: {
+        score: risk.score,
+        status: risk.status,
+        reasons: risk.reasons
       },
       visitorData: {
         visitorId: visitorData.visitorId,
@@ -231,265 +245,435 @@ app.post('/eventTracking/init', async (req, res) => {
       }
     });
   } catch (err) {
-    console.error('Error initializing session:', err);
-    res.status(500).json({ error: 'Failed to initialize session' });
+    logger.error('Error initializing session:', err);
+    sendError(res, err, 'Failed to initialize session');
   }
 });
 
-// Track events
-app.post('/eventTracking/track', async (req, res) => {
-  const { sessionId, eventName, properties = {}, requestId, visitorId, tenantId } = req.body;
-  
-  if (!tenantId) {
-    return res.status(400).json({ error: 'tenantId is required' });
+// Seconds clients are asked to wait when the ingestion queue is full
+const QUEUE_RETRY_AFTER = 1;
+
+// Track an event. The event is checked and acknowledged with a 202, then
+// stored by the ingestion workers (services/ingest-queue.js).
+app.post('/eventTracking/track', requireApiKey('write'), rateLimit(), async (req, res) => {
+  const { sessionId, eventName, properties = {}, requestId, visitorId } = req.body;
+  const { schema, settings } = req.tenant;
+
+  // Checked here as well as by the schema, which may be off: the event is
+  // acknowledged before it is stored
+  if (!sessionId || typeof sessionId !== 'string') {
+    return res.status(400).json({ error: 'sessionId is required' });
   }
-  
+  if (!eventName || typeof eventName !== 'string') {
+    return res.status(400).json({ error: 'eventName is required' });
+  }
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    return res.status(400).json({ error: 'properties must be an object' });
+  }
+
+  let client;
   try {
-    // Get database client
-    const client = await getClient();
-    
-    // Get visitor details from session
-    const sessionResult = await client.query(
-      `SELECT visitor_id, ip_address, browser_details, 
-              confidence_score, identification_method 
-       FROM ${tenantId}.session_mappings 
-       WHERE session_id = $1`,
-      [sessionId]
-    );
-
-    if (sessionResult.rows.length === 0) {
+    checkPayload(settings.rateLimits, 'properties', properties);
+
+    // Check the event against its registered schema; strict mode rejects it
+    const validationErrors = await validateEvent(req.tenant, eventName, properties);
+
+    client = await getClient();
+    const currentSession = await getSession(client, schema, sessionId);
+
+    if (!currentSession) {
       return res.status(400).json({ error: 'Invalid session' });
     }
 
-    const session = sessionResult.rows[0];
-
     // Verify visitor ID if provided
     if (requestId && visitorId) {
-      const isValid = await verifyVisitorId(requestId, visitorId);
+      const isValid = await verifySessionVisitor(client, schema, sessionId, currentSession, requestId, visitorId, {
+        settings: settings.fingerprint,
+        context: fingerprintContext(req)
+      });
       if (!isValid) {
         return res.status(403).json({ error: 'Invalid visitor ID' });
       }
     }
-    
-    // Check for existing identity
-    const identityMatch = await findExistingIdentity(
-      tenantId,
-      session.visitor_id, 
-      session.ip_address,
-      session.browser_details
-    );
-    
-    // Get the latest geolocation data
-    const geoResult = await client.query(
-      `SELECT geolocation, asn FROM ${tenantId}.identity_mappings 
-       WHERE visitor_id = $1 
-       ORDER BY last_seen_at DESC 
-       LIMIT 1`,
-      [session.visitor_id]
-    );
-
-    const geoData = geoResult.rows[0] || {};
-
-    // Store event with all available context including geolocation
-    const result = await client.query(
-      `INSERT INTO ${tenantId}.events 
-       (session_id, visitor_id, event_name, properties, identity, 
-        ip_address, browser_details, confidence_score, 
-        identification_method, geolocation) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) 
-       RETURNING *`,
-      [
-        sessionId,
-        session.visitor_id,
-        eventName,
-        properties,
-        identityMatch?.identity,
-        session.ip_address,
-        session.browser_details,
-        identityMatch?.confidence || session.confidence_score,
-        session.identification_method,
-        geoData.geolocation
-      ]
-    );
 
-    res.json({
-      ...result.rows[0],
-      identityMatch: identityMatch ? {
-        type: identityMatch.matchType,
-        confidence: identityMatch.confidence
-      } : null
+    // Expired sessions are rotated or rejected per the tenant's settings
+    const { session, rotatedFrom } = await ensureActiveSession(client, schema, currentSession, settings.sessions);
+
+    // Identity resolution and the insert happen in the ingestion workers
+    const queued = enqueueTrack({
+      tenantId: req.tenant.id,
+      sessionId: session.session_id,
+      eventName,
+      properties,
+      validationErrors,
+      timestamp: new Date().toISOString()
+    });
+    if (!queued) {
+      res.set('Retry-After', String(QUEUE_RETRY_AFTER));
+      return res.status(503).json({
+        error: ingestionStatus().accepting ? 'Ingestion queue is full' : 'Server is shutting down',
+        details: { retryAfter: QUEUE_RETRY_AFTER }
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      sessionId: session.session_id,
+      rotatedFrom,
+      validationErrors
     });
   } catch (err) {
-    console.error('Error tracking event:', err);
-    res.status(500).json({ error: 'Failed to track event' });
+    logger.error('Error tracking event:', err);
+    sendError(res, err, 'Failed to track event');
+  } finally {
+    client?.release();
   }
 });
 
 // Identify user
-app.post('/eventTracking/identify', async (req, res) => {
-  const { sessionId, userData, requestId, visitorId, tenantId } = req.body;
-  
-  if (!tenantId) {
-    return res.status(400).json({ error: 'tenantId is required' });
+app.post('/eventTracking/identify', requireApiKey('write'), rateLimit(), async (req, res) => {
+  const { sessionId, userData, requestId, visitorId } = req.body;
+  const { schema, settings } = req.tenant;
+
+  if (!userData || typeof userData !== 'object' || Array.isArray(userData)) {
+    return res.status(400).json({ error: 'userData must be an object' });
   }
   
+  let client;
+  let published = null;
   try {
+    checkPayload(settings.rateLimits, 'userData', userData);
+    const unsetTraits = parseUnsetTraits(req.body.unsetTraits);
+
     // Get database client
-    const client = await getClient();
+    client = await getClient();
     
     // Get visitor details
-    const sessionResult = await client.query(
-      `SELECT visitor_id, ip_address, browser_details, 
-              confidence_score, identification_method 
-       FROM ${tenantId}.session_mappings 
-       WHERE session_id = $1`,
-      [sessionId]
-    );
-
-    if (sessionResult.rows.length === 0) {
+    const currentSession = await getSession(client, schema, sessionId);
+
+    if (!currentSession) {
       return res.status(400).json({ error: 'Invalid session' });
     }
-
-    const session = sessionResult.rows[0];
+    if (currentSession.anonymous) {
+      return res.status(403).json({ error: 'Cannot identify an anonymous session' });
+    }
 
     // Verify visitor ID if provided
     if (requestId && visitorId) {
-      const isValid = await verifyVisitorId(requestId, visitorId);
+      const isValid = await verifySessionVisitor(client, schema, sessionId, currentSession, requestId, visitorId, {
+        settings: settings.fingerprint,
+        context: fingerprintContext(req)
+      });
       if (!isValid) {
         return res.status(403).json({ error: 'Invalid visitor ID' });
       }
     }
+
+    const { session, rotatedFrom } = await ensureActiveSession(client, schema, currentSession, settings.sessions);
+
+    const validationErrors = await validateTraits(req.tenant, userData);
     
     // Start transaction
+    let identified;
     try {
       await client.query('BEGIN');
       
-      // Update identity mapping for this visitor
-      await client.query(
-        `UPDATE ${tenantId}.identity_mappings 
-         SET identity = $1,
-             last_seen_at = CURRENT_TIMESTAMP
-         WHERE visitor_id = $2`,
-        [userData, session.visitor_id]
+      identified = await identifySession(
+        client, schema, session.session_id, session, userData,
+        { tenant: req.tenant, rules: settings.identityResolution, traitSettings: settings.traits, unsetTraits, validationErrors }
       );
+      await enqueueMessages(client, req.tenant.id, [
+        identifyMessage({ ...identified, sessionId: session.session_id, visitorId: session.visitor_id }),
+        ...identified.merges.map(merge => mergeMessage({
+          ...merge,
+          targetProfileId: identified.profileId,
+          traits: identified.traits
+        }))
+      ]);
+      await recordSessionActivity(client, schema, session.session_id, [{}]);
+      
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    }
 
-      // Get all related identities (by IP and browser fingerprint)
-      const relatedIdentities = await client.query(
-        `SELECT DISTINCT visitor_id 
-         FROM ${tenantId}.identity_mappings 
-         WHERE ip_address = $1 
-         AND visitor_id != $2
-         AND browser_details->>'browserName' = $3
-         AND browser_details->>'os' = $4`,
-        [
-          session.ip_address,
-          session.visitor_id,
-          session.browser_details.browserName,
-          session.browser_details.os
-        ]
-      );
+    const { eventId, eventTimestamp, profileId, traits, relatedIdentitiesUpdated } = identified;
+    res.json({ 
+      success: true, 
+      sessionId: session.session_id,
+      rotatedFrom,
+      profileId,
+      identity: traits,
+      relatedIdentitiesUpdated,
+      validationErrors
+    });
+    published = [{ id: eventId, timestamp: eventTimestamp }];
+  } catch (err) {
+    logger.error('Error identifying user:', err);
+    sendError(res, err, 'Failed to identify user');
+  } finally {
+    client?.release();
+  }
 
-      // Update related identities
-      if (relatedIdentities.rows.length > 0) {
-        const relatedVisitorIds = relatedIdentities.rows.map(row => row.visitor_id);
-        await client.query(
-          `UPDATE ${tenantId}.identity_mappings 
-           SET identity = $1,
-               last_seen_at = CURRENT_TIMESTAMP
-           WHERE visitor_id = ANY($2)`,
-          [userData, relatedVisitorIds]
-        );
+  // After the response, so a throw here cannot reach sendError
+  if (published) {
+    publishEvents(req.tenant.id, published);
+    eventsIngested.inc({ tenant: req.tenant.id, type: 'identify' });
+  }
+});
 
-        // Update events for all related identities
-        await client.query(
-          `UPDATE ${tenantId}.events 
-           SET identity = $1 
-           WHERE visitor_id = ANY($2)`,
-          [userData, [...relatedVisitorIds, session.visitor_id]]
-        );
-      } else {
-        // Update events just for this visitor
-        await client.query(
-          `UPDATE ${tenantId}.events 
-           SET identity = $1 
-           WHERE visitor_id = $2`,
-          [userData, session.visitor_id]
-        );
+// Add a user to a group (an account such as a company or workspace). With a
+// sessionId the group also becomes the one the session's events are recorded
+// for; backends can add a known userId instead.
+app.post('/eventTracking/group', requireApiKey('write'), rateLimit(), async (req, res) => {
+  const { sessionId, userId, groupId, traits = {}, requestId, visitorId } = req.body;
+  const { schema, settings } = req.tenant;
+
+  if (!groupId || typeof groupId !== 'string') {
+    return res.status(400).json({ error: 'groupId is required' });
+  }
+  if (!traits || typeof traits !== 'object' || Array.isArray(traits)) {
+    return res.status(400).json({ error: 'traits must be an object' });
+  }
+  if (!sessionId === (userId === undefined || userId === null || userId === '')) {
+    return res.status(400).json({ error: 'Exactly one of sessionId or userId is required' });
+  }
+
+  let client;
+  let published = null;
+  try {
+    checkPayload(settings.rateLimits, 'traits', traits);
+    client = await getClient();
+
+    if (!sessionId) {
+      const profile = await getLinkedProfile(client, schema, 'user', String(userId));
+      if (!profile) {
+        return res.status(404).json({ error: 'Unknown user ID' });
       }
 
-      // Get the latest geolocation data
-      const geoResult = await client.query(
-        `SELECT geolocation, asn FROM ${tenantId}.identity_mappings 
-         WHERE visitor_id = $1 
-         ORDER BY last_seen_at DESC 
-         LIMIT 1`,
-        [session.visitor_id]
-      );
+      let group;
+      try {
+        await client.query('BEGIN');
+        group = await addGroupMember(client, schema, profile.id, groupId, traits);
+        await enqueueMessages(client, req.tenant.id, [groupMessage({ profile, groupId, traits: group.traits })]);
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+      }
 
-      const geoData = geoResult.rows[0] || {};
+      res.json({ success: true, profileId: profile.id, group });
+      return;
+    }
 
-      // Track identify event with geolocation
-      await client.query(
-        `INSERT INTO ${tenantId}.events 
-         (session_id, visitor_id, event_name, properties, identity, 
-          ip_address, browser_details, confidence_score, identification_method,
-          geolocation) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
-        [
-          sessionId,
-          session.visitor_id,
-          'identify',
-          userData,
-          userData,
-          session.ip_address,
-          session.browser_details,
-          session.confidence_score,
-          session.identification_method,
-          geoData.geolocation
-        ]
-      );
-      
-      await client.query('COMMIT');
-      res.json({ 
-        success: true, 
-        identity: userData,
-        relatedIdentitiesUpdated: relatedIdentities.rows.length
+    const currentSession = await getSession(client, schema, sessionId);
+    if (!currentSession) {
+      return res.status(400).json({ error: 'Invalid session' });
+    }
+
+    if (requestId && visitorId) {
+      const isValid = await verifySessionVisitor(client, schema, sessionId, currentSession, requestId, visitorId, {
+        settings: settings.fingerprint,
+        context: fingerprintContext(req)
       });
+      if (!isValid) {
+        return res.status(403).json({ error: 'Invalid visitor ID' });
+      }
+    }
+
+    const { session, rotatedFrom } = await ensureActiveSession(client, schema, currentSession, settings.sessions);
+
+    let grouped;
+    try {
+      await client.query('BEGIN');
+      grouped = await groupSession(client, schema, session.session_id, session, groupId, traits, { tenant: req.tenant });
+      await enqueueMessages(client, req.tenant.id, [groupMessage({
+        eventId: grouped.eventId,
+        sessionId: session.session_id,
+        visitorId: session.visitor_id,
+        profile: grouped.profile,
+        groupId,
+        traits: grouped.group.traits
+      })]);
+      await recordSessionActivity(client, schema, session.session_id, [{}]);
+      await client.query('COMMIT');
     } catch (err) {
       await client.query('ROLLBACK');
       throw err;
-    } finally {
-      client.release();
     }
+
+    const { eventId, eventTimestamp, profile, group } = grouped;
+    res.json({
+      success: true,
+      sessionId: session.session_id,
+      rotatedFrom,
+      profileId: profile.id,
+      group
+    });
+    published = [{ id: eventId, timestamp: eventTimestamp }];
   } catch (err) {
-    console.error('Error identifying user:', err);
-    res.status(500).json({ error: 'Failed to identify user' });
+    logger.error('Error grouping user:', err);
+    sendError(res, err, 'Failed to group user');
+  } finally {
+    client?.release();
+  }
+
+  // After the response, so a throw here cannot reach sendError
+  if (published) {
+    publishEvents(req.tenant.id, published);
+    eventsIngested.inc({ tenant: req.tenant.id, type: 'group' });
   }
 });
 
-// Get all events for a session
-app.get('/eventTracking/events/:sessionId', async (req, res) => {
-  const { sessionId } = req.params;
-  const { tenantId } = req.query;
-  
-  if (!tenantId) {
-    return res.status(400).json({ error: 'tenantId is required' });
+// Alias a previous visitor, session or user ID to a user ID, linking a user's
+// devices and logins deterministically
+app.post('/eventTracking/alias', requireApiKey('write'), rateLimit(), async (req, res) => {
+  const { userId, previousUserId, previousVisitorId, previousSessionId } = req.body;
+  const previous = [
+    ['user', previousUserId],
+    ['visitor', previousVisitorId],
+    ['session', previousSessionId]
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  if (userId === undefined || userId === null || userId === '') {
+    return res.status(400).json({ error: 'userId is required' });
   }
-  
+  if (previous.length !== 1) {
+    return res.status(400).json({ error: 'Exactly one of previousUserId, previousVisitorId or previousSessionId is required' });
+  }
+
   try {
-    const client = await getClient();
-    const result = await client.query(
-      `SELECT * FROM ${tenantId}.events WHERE session_id = $1 ORDER BY timestamp DESC`,
-      [sessionId]
-    );
-    res.json(result.rows);
+    const [kind, value] = previous[0];
+    if (kind === 'session' && (await getSession(pool, req.tenant.schema, String(value)))?.anonymous) {
+      return res.status(403).json({ error: 'Cannot alias an anonymous session' });
+    }
+    const { profile, mergedProfileId } = await aliasIdentifier(req.tenant.schema, { kind, value: String(value) }, String(userId), {
+      traitSettings: req.tenant.settings.traits,
+      tenantId: req.tenant.id
+    });
+    res.json({ success: true, profileId: profile.id, mergedProfileId });
   } catch (err) {
-    console.error('Error fetching events:', err);
-    res.status(500).json({ error: 'Failed to fetch events' });
+    logger.error('Error aliasing user:', err);
+    sendError(res, err, 'Failed to alias user');
   }
 });
 
-const PORT = process.env.PORT || 3008;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+// Update a session's consent. A change to whether the session is anonymous or
+// may be stitched ends it, so the visitor starts a new session under the new
+// consent; other changes apply to the session from now on.
+app.post('/eventTracking/consent', requireApiKey('write'), rateLimit(), async (req, res) => {
+  const { sessionId } = req.body;
+  const { schema, settings } = req.tenant;
+
+  if (!sessionId) {
+    return res.status(400).json({ error: 'sessionId is required' });
+  }
+
+  let client;
+  try {
+    const update = parseConsent(req.body.consent);
+    client = await getClient();
+
+    let result;
+    try {
+      await client.query('BEGIN');
+      const current = await client.query(
+        `SELECT session_id, ip_address, consent, anonymous, ended_at, end_reason
+         FROM ${schema}.session_mappings
+         WHERE session_id = $1
+         FOR UPDATE`,
+        [sessionId]
+      );
+      const session = current.rows[0];
+      if (!session) {
+        throw new HttpError(400, 'Invalid session');
+      }
+      if (session.ended_at) {
+        throw new HttpError(410, 'Session expired', { reason: expiryReason(session) });
+      }
+
+      const consent = { ...session.consent, ...update };
+      const before = consentPolicy(settings.privacy, session.consent);
+      const after = consentPolicy(settings.privacy, consent);
+      const sessionEnded = before.anonymous !== after.anonymous || before.stitch !== after.stitch;
+
+      // An IP kept in full is anonymized once consent to keep it is withdrawn
+      await client.query(
+        `UPDATE ${schema}.session_mappings
+         SET consent = $2, consent_updated_at = CURRENT_TIMESTAMP, ip_address = $3
+         WHERE session_id = $1`,
+        [sessionId, consent, networkData(req.tenant, consent, { ip: session.ip_address }).ip]
+      );
+      if (sessionEnded) {
+        await endSession(client, schema, sessionId, { reason: 'consent' });
+      }
+      await client.query('COMMIT');
+      result = { consent, anonymous: after.anonymous, sessionEnded };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    }
+
+    res.json({ success: true, sessionId, ...result });
+  } catch (err) {
+    logger.error('Error updating consent:', err);
+    sendError(res, err, 'Failed to update consent');
+  } finally {
+    client?.release();
+  }
 });
+
+const PORT = process.env.PORT || 3008;
+
+// Open requests (including live streams) get this long to finish on shutdown
+const CLOSE_TIMEOUT_MS = 5000;
+
+// Stop taking requests, store the queued events, then stop the background
+// jobs and close the database pool
+async function shutdown(server, stopJobs, signal) {
+  logger.info('Shutting down', { signal });
+  try {
+    let timer;
+    await Promise.race([
+      new Promise(resolve => server.close(resolve)),
+      new Promise(resolve => {
+        timer = setTimeout(resolve, CLOSE_TIMEOUT_MS);
+      })
+    ]);
+    clearTimeout(timer);
+    server.closeAllConnections();
+
+    await stopIngestion();
+    stopJobs.forEach(stop => stop());
+    await pool.end();
+    process.exit(0);
+  } catch (err) {
+    logger.error('Error shutting down:', err);
+    process.exit(1);
+  }
+}
+
+// Bring the control schema and all tenant schemas up to date before serving
+migrateAll()
+  .then(() => {
+    const server = app.listen(PORT, () => {
+      logger.info('Server running', { port: PORT });
+    });
+    startIngestion();
+    const stopJobs = [startDeliveryWorker(), startMaintenanceJob(), startLiveEvents()];
+
+    let stopping = false;
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.on(signal, () => {
+        if (!stopping) {
+          stopping = true;
+          shutdown(server, stopJobs, signal);
+        }
+      });
+    }
+  })
+  .catch(err => {
+    logger.error('Error running migrations:', err);
+    process.exit(1);
+  });
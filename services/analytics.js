@@ -0,0 +1,462 @@
+import { pool } from '../db/connection.js';
+import { HttpError } from './errors.js';
+import { eventsWithProfile } from './identity.js';
+import { riskFilter } from './risk.js';
+
+// Aggregations over a tenant's events, computed in Postgres. "Actors" are
+// canonical profiles (so stitched visitors count once), raw visitor IDs or
+// the groups (accounts) events were recorded for. Quarantined events are left
+// out unless asked for.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVAL_MS = { hour: 60 * 60 * 1000, day: DAY_MS, week: 7 * DAY_MS };
+const MAX_BUCKETS = 5000;
+const MAX_FUNNEL_STEPS = 10;
+const MAX_RETENTION_PERIODS = 52;
+const MAX_ACCOUNTS = 1000;
+
+const ACTORS = {
+    profile: 'COALESCE(c.id, e.visitor_id)',
+    visitor: 'e.visitor_id',
+    group: 'e.group_id'
+};
+
+// Cache for analytics results per tenant and query (TTL: 1 minute by default)
+const resultCache = new Map();
+const CACHE_TTL = Number(process.env.ANALYTICS_CACHE_TTL_MS) || 60 * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+
+function toList(value) {
+    if (value === undefined) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+function parseTime(value, name, fallback) {
+    if (value === undefined) {
+        return fallback;
+    }
+    const time = new Date(String(value));
+    if (Number.isNaN(time.getTime())) {
+        throw new HttpError(400, `${name} must be an ISO 8601 date`);
+    }
+    return time;
+}
+
+function parseInteger(value, name, { min, max, fallback }) {
+    if (value === undefined) {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new HttpError(400, `${name} must be an integer between ${min} and ${max}`);
+    }
+    return number;
+}
+
+// Options shared by every analytics query: time range (default: the last 30
+// days), actor kind and risk filtering. The default end is rounded up to the
+// minute so repeated queries can be served from the cache.
+function parseCommon(query, intervals = Object.keys(INTERVAL_MS)) {
+    const to = parseTime(query.to, 'to', new Date(Math.ceil(Date.now() / 60000) * 60000));
+    const from = parseTime(query.from, 'from', new Date(to.getTime() - 30 * DAY_MS));
+    if (from >= to) {
+        throw new HttpError(400, 'from must be before to');
+    }
+
+    // Queries that are not bucketed by time pass no intervals
+    const interval = intervals ? query.interval || 'day' : null;
+    if (intervals && !intervals.includes(interval)) {
+        throw new HttpError(400, `interval must be one of: ${intervals.join(', ')}`);
+    }
+    if (interval && (to - from) / INTERVAL_MS[interval] > MAX_BUCKETS) {
+        throw new HttpError(400, `Time range spans more than ${MAX_BUCKETS} ${interval}s`);
+    }
+
+    const identity = query.identity || 'profile';
+    if (!ACTORS[identity]) {
+        throw new HttpError(400, "identity must be 'profile', 'visitor' or 'group'");
+    }
+
+    const maxRisk = query.maxRisk === undefined ? undefined : Number(query.maxRisk);
+    if (Number.isNaN(maxRisk)) {
+        throw new HttpError(400, 'maxRisk must be a number');
+    }
+
+    return {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        interval,
+        identity,
+        includeQuarantined: query.includeQuarantined === 'true',
+        maxRisk,
+        groupId: query.groupId ? String(query.groupId) : null
+    };
+}
+
+// WHERE conditions for the time range, risk filter and group. Events without
+// a group have no actor when counting groups.
+function baseConditions(params, options) {
+    params.push(options.from, options.to);
+    const conditions = [
+        `e.timestamp >= $${params.length - 1}`,
+        `e.timestamp < $${params.length}`,
+        riskFilter(params, options)
+    ];
+    if (options.groupId) {
+        params.push(options.groupId);
+        conditions.push(`e.group_id = $${params.length}`);
+    }
+    if (options.identity === 'group') {
+        conditions.push('e.group_id IS NOT NULL');
+    }
+    return conditions;
+}
+
+// Run a query once per tenant and options within the cache TTL
+async function cached(tenantId, kind, options, compute) {
+    const cacheKey = `${tenantId}:${kind}:${JSON.stringify(options)}`;
+    const entry = resultCache.get(cacheKey);
+    if (entry && Date.now() - entry.timestamp < CACHE_TTL) {
+        return entry.data;
+    }
+
+    const data = await compute();
+    // Maps iterate in insertion order, so the first key is the oldest
+    if (resultCache.size >= CACHE_MAX_ENTRIES) {
+        resultCache.delete(resultCache.keys().next().value);
+    }
+    resultCache.set(cacheKey, { data, timestamp: Date.now() });
+    return data;
+}
+
+/**
+ * Event counts per time bucket, optionally per event name and property value
+ */
+export async function eventCounts(tenant, query) {
+    const options = {
+        ...parseCommon(query),
+        eventNames: toList(query.eventName),
+        groupBy: query.groupBy ? String(query.groupBy) : null
+    };
+
+    return cached(tenant.id, 'counts', options, async () => {
+        const params = [options.interval];
+        const conditions = baseConditions(params, options);
+        if (options.eventNames.length > 0) {
+            params.push(options.eventNames);
+            conditions.push(`e.event_name = ANY($${params.length})`);
+        }
+
+        let groupColumn = 'NULL::text';
+        if (options.groupBy) {
+            params.push(options.groupBy.split('.'));
+            groupColumn = `e.properties #>> $${params.length}::text[]`;
+        }
+
+        const result = await pool.query(
+            `SELECT date_trunc($1, e.timestamp AT TIME ZONE 'UTC') AT TIME ZONE 'UTC' AS bucket,
+                    ${groupColumn} AS group_value,
+                    COUNT(*)::int AS count,
+                    COUNT(DISTINCT ${ACTORS[options.identity]})::int AS actors
+             FROM ${eventsWithProfile(tenant.schema)}
+             WHERE ${conditions.join(' AND ')}
+             GROUP BY 1, 2
+             ORDER BY 1, 2`,
+            params
+        );
+
+        return {
+            interval: options.interval,
+            from: options.from,
+            to: options.to,
+            groupBy: options.groupBy,
+            buckets: result.rows.map(row => ({
+                bucket: row.bucket,
+                ...(options.groupBy ? { group: row.group_value } : {}),
+                count: row.count,
+                actors: row.actors
+            }))
+        };
+    });
+}
+
+/**
+ * Ordered funnel: how many actors did step 1, then step 2 after it, and so
+ * on, each within conversionWindow seconds of their first step 1 event
+ */
+export async function funnel(tenant, query) {
+    const steps = toList(query.steps);
+    if (steps.length < 2 || steps.length > MAX_FUNNEL_STEPS) {
+        throw new HttpError(400, `steps must list 2 to ${MAX_FUNNEL_STEPS} event names`);
+    }
+    const options = {
+        ...parseCommon(query, null),
+        steps,
+        conversionWindow: parseInteger(query.conversionWindow, 'conversionWindow', {
+            min: 1, max: 90 * 24 * 60 * 60, fallback: 7 * 24 * 60 * 60
+        })
+    };
+
+    return cached(tenant.id, 'funnel', options, async () => {
+        const params = [];
+        const conditions = baseConditions(params, options);
+        params.push(steps);
+        conditions.push(`e.event_name = ANY($${params.length})`);
+        params.push(options.conversionWindow);
+        const windowParam = `$${params.length}`;
+
+        const stepParams = steps.map(step => {
+            params.push(step);
+            return `$${params.length}`;
+        });
+
+        // Each step is the earliest matching event after the previous step
+        const ctes = [
+            `base AS (
+               SELECT ${ACTORS[options.identity]} AS actor, e.event_name, e.timestamp
+               FROM ${eventsWithProfile(tenant.schema)}
+               WHERE ${conditions.join(' AND ')}
+             )`,
+            `step1 AS (
+               SELECT actor, MIN(timestamp) AS started_at, MIN(timestamp) AS at, NULL::timestamptz AS previous_at
+               FROM base WHERE event_name = ${stepParams[0]}
+               GROUP BY actor
+             )`
+        ];
+        for (let i = 1; i < steps.length; i++) {
+            ctes.push(`step${i + 1} AS (
+               SELECT s.actor, s.started_at, MIN(b.timestamp) AS at, s.at AS previous_at
+               FROM step${i} s
+               JOIN base b ON b.actor = s.actor
+                 AND b.event_name = ${stepParams[i]}
+                 AND b.timestamp > s.at
+                 AND b.timestamp <= s.started_at + ${windowParam}::int * INTERVAL '1 second'
+               GROUP BY s.actor, s.started_at, s.at
+             )`);
+        }
+
+        const result = await pool.query(
+            `WITH ${ctes.join(',\n             ')}
+             ${steps.map((_, i) => `SELECT ${i + 1} AS step, COUNT(*)::int AS actors,
+                    AVG(EXTRACT(EPOCH FROM at - previous_at))::float AS avg_seconds
+             FROM step${i + 1}`).join('\n             UNION ALL ')}
+             ORDER BY step`,
+            params
+        );
+
+        const first = result.rows[0].actors;
+        return {
+            from: options.from,
+            to: options.to,
+            conversionWindow: options.conversionWindow,
+            steps: result.rows.map((row, i) => ({
+                eventName: steps[i],
+                actors: row.actors,
+                conversionRate: first > 0 ? row.actors / first : 0,
+                stepConversionRate: i === 0 ? 1
+                    : result.rows[i - 1].actors > 0 ? row.actors / result.rows[i - 1].actors : 0,
+                avgSecondsFromPreviousStep: row.avg_seconds
+            }))
+        };
+    });
+}
+
+/**
+ * Cohort retention: actors are grouped by the period of their first
+ * startEvent in the range, then counted in each later period in which they
+ * did returnEvent (any event when not given)
+ */
+export async function retention(tenant, query) {
+    const options = {
+        ...parseCommon(query, ['day', 'week']),
+        startEvent: query.startEvent ? String(query.startEvent) : null,
+        returnEvent: query.returnEvent ? String(query.returnEvent) : null,
+        periods: parseInteger(query.periods, 'periods', { min: 1, max: MAX_RETENTION_PERIODS, fallback: 8 })
+    };
+
+    return cached(tenant.id, 'retention', options, async () => {
+        const params = [options.interval];
+        const conditions = baseConditions(params, options);
+
+        params.push(options.startEvent);
+        const startParam = `$${params.length}`;
+        params.push(options.returnEvent);
+        const returnParam = `$${params.length}`;
+        params.push(INTERVAL_MS[options.interval] / 1000);
+        const secondsParam = `$${params.length}`;
+        params.push(options.periods);
+        const periodsParam = `$${params.length}`;
+
+        const result = await pool.query(
+            `WITH activity AS (
+               SELECT ${ACTORS[options.identity]} AS actor, e.event_name,
+                      date_trunc($1, e.timestamp AT TIME ZONE 'UTC') AS period
+               FROM ${eventsWithProfile(tenant.schema)}
+               WHERE ${conditions.join(' AND ')}
+             ),
+             cohorts AS (
+               SELECT actor, MIN(period) AS cohort
+               FROM activity
+               WHERE ${startParam}::text IS NULL OR event_name = ${startParam}
+               GROUP BY actor
+             ),
+             returns AS (
+               SELECT DISTINCT a.actor, c.cohort,
+                      ROUND(EXTRACT(EPOCH FROM a.period - c.cohort) / ${secondsParam}::numeric)::int AS period_offset
+               FROM activity a
+               JOIN cohorts c ON c.actor = a.actor AND a.period >= c.cohort
+               WHERE ${returnParam}::text IS NULL OR a.event_name = ${returnParam}
+             )
+             SELECT s.cohort AT TIME ZONE 'UTC' AS cohort, s.size, r.period_offset, r.actors
+             FROM (SELECT cohort, COUNT(*)::int AS size FROM cohorts GROUP BY cohort) s
+             LEFT JOIN (
+               SELECT cohort, period_offset, COUNT(*)::int AS actors
+               FROM returns
+               WHERE period_offset < ${periodsParam}
+               GROUP BY cohort, period_offset
+             ) r ON r.cohort = s.cohort
+             ORDER BY s.cohort, r.period_offset`,
+            params
+        );
+
+        const cohorts = new Map();
+        for (const row of result.rows) {
+            const key = row.cohort.toISOString();
+            if (!cohorts.has(key)) {
+                cohorts.set(key, { cohort: row.cohort, size: row.size, retained: new Array(options.periods).fill(0) });
+            }
+            if (row.period_offset !== null) {
+                cohorts.get(key).retained[row.period_offset] = row.actors;
+            }
+        }
+
+        return {
+            interval: options.interval,
+            from: options.from,
+            to: options.to,
+            periods: options.periods,
+            cohorts: [...cohorts.values()].map(cohort => ({
+                ...cohort,
+                retentionRate: cohort.retained.map(actors => cohort.size > 0 ? actors / cohort.size : 0)
+            }))
+        };
+    });
+}
+
+/**
+ * Activity per group (account) in the time range: events, visitors,
+ * profiles and sessions, most active first
+ */
+export async function accounts(tenant, query) {
+    const options = {
+        ...parseCommon(query, null),
+        eventNames: toList(query.eventName),
+        limit: parseInteger(query.limit, 'limit', { min: 1, max: MAX_ACCOUNTS, fallback: 100 })
+    };
+
+    return cached(tenant.id, 'accounts', options, async () => {
+        const params = [];
+        const conditions = baseConditions(params, options);
+        conditions.push('e.group_id IS NOT NULL');
+        if (options.eventNames.length > 0) {
+            params.push(options.eventNames);
+            conditions.push(`e.event_name = ANY($${params.length})`);
+        }
+        params.push(options.limit);
+
+        const result = await pool.query(
+            `SELECT e.group_id, g.traits,
+                    COUNT(*)::int AS events,
+                    COUNT(DISTINCT e.visitor_id)::int AS visitors,
+                    COUNT(DISTINCT ${ACTORS.profile})::int AS profiles,
+                    COUNT(DISTINCT e.session_id)::int AS sessions,
+                    MIN(e.timestamp) AS first_seen_at,
+                    MAX(e.timestamp) AS last_seen_at
+             FROM ${eventsWithProfile(tenant.schema)}
+             LEFT JOIN ${tenant.schema}.groups g ON g.id = e.group_id
+             WHERE ${conditions.join(' AND ')}
+             GROUP BY e.group_id, g.id
+             ORDER BY events DESC, e.group_id
+             LIMIT $${params.length}`,
+            params
+        );
+
+        return {
+            from: options.from,
+            to: options.to,
+            accounts: result.rows.map(row => ({
+                groupId: row.group_id,
+                traits: row.traits ?? {},
+                events: row.events,
+                visitors: row.visitors,
+                profiles: row.profiles,
+                sessions: row.sessions,
+                firstSeenAt: row.first_seen_at,
+                lastSeenAt: row.last_seen_at
+            }))
+        };
+    });
+}
+
+/**
+ * Daily counts per event name of events that retention rolled up before
+ * removing them (default range: the last year)
+ */
+export async function rollups(tenant, query) {
+    const to = parseTime(query.to, 'to', new Date(Math.ceil(Date.now() / DAY_MS) * DAY_MS));
+    const from = parseTime(query.from, 'from', new Date(to.getTime() - 365 * DAY_MS));
+    if (from >= to) {
+        throw new HttpError(400, 'from must be before to');
+    }
+    const options = {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        eventNames: toList(query.eventName)
+    };
+
+    return cached(tenant.id, 'rollups', options, async () => {
+        const params = [options.from, options.to];
+        const conditions = [
+            "day >= ($1::timestamptz AT TIME ZONE 'UTC')::date",
+            "day < ($2::timestamptz AT TIME ZONE 'UTC')::date"
+        ];
+        if (options.eventNames.length > 0) {
+            params.push(options.eventNames);
+            conditions.push(`event_name = ANY($${params.length})`);
+        }
+
+        const result = await pool.query(
+            `SELECT day::text AS day, event_name, events, visitors, sessions
+             FROM ${tenant.schema}.event_rollups
+             WHERE ${conditions.join(' AND ')}
+             ORDER BY day, event_name`,
+            params
+        );
+
+        return {
+            from: options.from,
+            to: options.to,
+            days: result.rows.map(row => ({
+                day: row.day,
+                eventName: row.event_name,
+                events: row.events,
+                visitors: row.visitors,
+                sessions: row.sessions
+            }))
+        };
+    });
+}
+
+// Clear expired cache entries periodically
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, value] of resultCache.entries()) {
+        if (now - value.timestamp > CACHE_TTL) {
+            resultCache.delete(key);
+        }
+    }
+}, CACHE_TTL).unref();
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import { pool } from '../db/connection.js';
+import { HttpError } from './errors.js';
+
+// Publishable write keys are embedded in the browser SDK; secret read keys
+// must stay server-side
+const KEY_PREFIXES = {
+    write: 'pk_',
+    read: 'sk_'
+};
+
+const KEY_COLUMNS = 'id, tenant_id, type, name, key_prefix, created_at, expires_at, revoked_at, replaced_by';
+
+// Cache for key lookups (TTL: 30 seconds) so revocation takes effect quickly
+const keyCache = new Map();
+const CACHE_TTL = 30 * 1000;
+// Unknown keys are cached too, so a client sending random keys must not grow
+// the cache without bound
+const CACHE_MAX_ENTRIES = 1000;
+
+function hashKey(rawKey) {
+    return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+function generateKey(type) {
+    return KEY_PREFIXES[type] + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Issue a new API key. The raw key is only ever returned here.
+ */
+export async function createApiKey(tenantId, { type, name } = {}) {
+    if (!KEY_PREFIXES[type]) {
+        throw new HttpError(400, "type must be 'write' or 'read'");
+    }
+
+    const rawKey = generateKey(type);
+    const result = await pool.query(
+        `INSERT INTO public.tenant_api_keys (id, tenant_id, type, name, key_prefix, key_hash)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${KEY_COLUMNS}`,
+        [
+            `key_${crypto.randomBytes(8).toString('hex')}`,
+            tenantId,
+            type,
+            name || null,
+            rawKey.slice(0, 10),
+            hashKey(rawKey)
+        ]
+    );
+
+    return { ...result.rows[0], key: rawKey };
+}
+
+/**
+ * List a tenant's keys (without secrets)
+ */
+export async function listApiKeys(tenantId) {
+    const result = await pool.query(
+        `SELECT ${KEY_COLUMNS} FROM public.tenant_api_keys
+         WHERE tenant_id = $1
+         ORDER BY created_at DESC`,
+        [tenantId]
+    );
+    return result.rows;
+}
+
+/**
+ * Revoke a key immediately
+ */
+export async function revokeApiKey(tenantId, keyId) {
+    const result = await pool.query(
+        `UPDATE public.tenant_api_keys
+         SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+         WHERE tenant_id = $1 AND id = $2
+         RETURNING ${KEY_COLUMNS}`,
+        [tenantId, keyId]
+    );
+
+    if (!result.rows[0]) {
+        throw new HttpError(404, 'Unknown API key');
+    }
+    keyCache.clear();
+    return result.rows[0];
+}
+
+/**
+ * Replace a key with a new one of the same type. The old key keeps working
+ * for `gracePeriodSeconds` so deployed clients can be updated.
+ */
+export async function rotateApiKey(tenantId, keyId, { gracePeriodSeconds = 0 } = {}) {
+    const grace = Number(gracePeriodSeconds);
+    if (!Number.isFinite(grace) || grace < 0) {
+        throw new HttpError(400, 'gracePeriodSeconds must be a non-negative number');
+    }
+
+    const existing = await pool.query(
+        `SELECT ${KEY_COLUMNS} FROM public.tenant_api_keys
+         WHERE tenant_id = $1 AND id = $2 AND revoked_at IS NULL`,
+        [tenantId, keyId]
+    );
+
+    if (!existing.rows[0]) {
+        throw new HttpError(404, 'Unknown or revoked API key');
+    }
+
+    const replacement = await createApiKey(tenantId, {
+        type: existing.rows[0].type,
+        name: existing.rows[0].name
+    });
+
+    await pool.query(
+        `UPDATE public.tenant_api_keys
+         SET expires_at = LEAST(
+               COALESCE(expires_at, 'infinity'),
+               CURRENT_TIMESTAMP + make_interval(secs => $3)
+             ),
+             replaced_by = $4
+         WHERE tenant_id = $1 AND id = $2`,
+        [tenantId, keyId, grace, replacement.id]
+    );
+    keyCache.clear();
+
+    return replacement;
+}
+
+/**
+ * Resolve a raw key to its tenant. Returns null for unknown, revoked or
+ * expired keys.
+ */
+export async function resolveApiKey(rawKey) {
+    if (typeof rawKey !== 'string' || !rawKey) {
+        return null;
+    }
+
+    const keyHash = hashKey(rawKey);
+    const cached = keyCache.get(keyHash);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+        return cached.data;
+    }
+
+    const result = await pool.query(
+        `SELECT k.id, k.tenant_id, k.type, t.status AS tenant_status
+         FROM public.tenant_api_keys k
+         JOIN public.tenants t ON t.id = k.tenant_id
+         WHERE k.key_hash = $1
+         AND k.revoked_at IS NULL
+         AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP)`,
+        [keyHash]
+    );
+
+    const data = result.rows[0] || null;
+    // Maps iterate in insertion order, so the first key is the oldest
+    if (keyCache.size >= CACHE_MAX_ENTRIES) {
+        keyCache.delete(keyCache.keys().next().value);
+    }
+    keyCache.set(keyHash, { data, timestamp: Date.now() });
+    return data;
+}
+
+// Clear expired cache entries periodically
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, value] of keyCache.entries()) {
+        if (now - value.timestamp > CACHE_TTL) {
+            keyCache.delete(key);
+        }
+    }
+}, CACHE_TTL).unref();
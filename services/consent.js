@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import net from 'net';
+import { HttpError } from './errors.js';
+
+// Consent-aware tracking. Visitors grant consent categories (e.g.
+// { "analytics": true, "marketing": false }), stored on their session. The
+// tenant's privacy policy names the category each use of their data needs:
+// without `trackingConsent` a session is anonymous and session-scoped (no
+// visitor ID, IP, geolocation or browser details, and its own profile);
+// without `stitchingConsent` it is not stitched to other sessions by
+// fingerprint or heuristics; without `fullDataConsent` IPs and geolocation
+// are stored as `ipAddresses` and `geolocation` say.
+
+export const DEFAULT_PRIVACY_SETTINGS = {
+    // 'full', 'truncate' (last IPv4 octet or last 80 IPv6 bits zeroed),
+    // 'hash' (keyed with IP_HASH_SECRET, per tenant) or 'drop'
+    ipAddresses: 'full',
+    // 'full', 'country' (country only, no ASN) or 'drop'
+    geolocation: 'full',
+    // Consent category that keeps IPs and geolocation in full; null applies
+    // the modes above to everyone
+    fullDataConsent: null,
+    // Consent category required to stitch visitors; null stitches everyone
+    stitchingConsent: null,
+    // Consent category required to track visitors across sessions; null
+    // tracks everyone
+    trackingConsent: null
+};
+
+const IP_MODES = ['full', 'truncate', 'hash', 'drop'];
+const GEOLOCATION_MODES = ['full', 'country', 'drop'];
+const CONSENT_FIELDS = ['fullDataConsent', 'stitchingConsent', 'trackingConsent'];
+
+const MAX_CATEGORIES = 50;
+
+/**
+ * Validate a tenant's privacy settings
+ */
+export function validatePrivacySettings(settings) {
+    if (!IP_MODES.includes(settings.ipAddresses)) {
+        throw new HttpError(400, `privacy.ipAddresses must be one of: ${IP_MODES.join(', ')}`);
+    }
+    if (settings.ipAddresses === 'hash' && !process.env.IP_HASH_SECRET) {
+        throw new HttpError(400, "privacy.ipAddresses 'hash' requires IP_HASH_SECRET to be set on the server");
+    }
+    if (!GEOLOCATION_MODES.includes(settings.geolocation)) {
+        throw new HttpError(400, `privacy.geolocation must be one of: ${GEOLOCATION_MODES.join(', ')}`);
+    }
+    for (const field of CONSENT_FIELDS) {
+        if (settings[field] !== null && (typeof settings[field] !== 'string' || settings[field] === '')) {
+            throw new HttpError(400, `privacy.${field} must be a consent category or null`);
+        }
+    }
+}
+
+/**
+ * Validate consent categories: an object of category names to booleans
+ */
+export function parseConsent(value) {
+    if (value === undefined || value === null) {
+        return {};
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new HttpError(400, 'consent must be an object of categories to true or false');
+    }
+    const entries = Object.entries(value);
+    if (entries.length > MAX_CATEGORIES ||
+        !entries.every(([category, granted]) => category !== '' && typeof granted === 'boolean')) {
+        throw new HttpError(400, 'consent must be an object of categories to true or false');
+    }
+    return value;
+}
+
+function granted(consent, category) {
+    return category === null || consent?.[category] === true;
+}
+
+/**
+ * What a session with this consent allows under the tenant's policy
+ */
+export function consentPolicy(settings, consent) {
+    const anonymous = !granted(consent, settings.trackingConsent);
+    return {
+        anonymous,
+        stitch: !anonymous && granted(consent, settings.stitchingConsent),
+        fullData: !anonymous && settings.fullDataConsent !== null && granted(consent, settings.fullDataConsent)
+    };
+}
+
+// Expand an IPv6 address to its eight 16-bit groups
+function ipv6Groups(ip) {
+    const [head, tail = ''] = ip.includes('::') ? ip.split('::') : [ip, null];
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = 8 - headGroups.length - tailGroups.length;
+    return [...headGroups, ...new Array(Math.max(missing, 0)).fill('0'), ...tailGroups];
+}
+
+/**
+ * Store an IP address as the mode says. Values that are not IP addresses
+ * (already hashed) are left alone, so applying a mode twice is harmless.
+ */
+export function anonymizeIp(ip, mode, tenantId) {
+    if (!ip || mode === 'drop') {
+        return null;
+    }
+    const version = net.isIP(ip);
+    if (mode === 'full' || version === 0) {
+        return ip;
+    }
+
+    if (mode === 'hash') {
+        const digest = crypto.createHmac('sha256', process.env.IP_HASH_SECRET)
+            .update(`${tenantId}:${ip}`)
+            .digest('hex');
+        return `iphash_${digest.slice(0, 32)}`;
+    }
+
+    // IPv4, including IPv4-mapped IPv6 addresses
+    const v4 = ip.match(/^(.*?)(\d+\.\d+\.\d+)\.\d+$/);
+    if (v4) {
+        return `${v4[1]}${v4[2]}.0`;
+    }
+    const groups = ipv6Groups(ip).slice(0, 3);
+    return `${groups.join(':')}::`;
+}
+
+/**
+ * IP address, geolocation and ASN as far as the tenant's policy lets a
+ * session with this consent keep them
+ */
+export function networkData(tenant, consent, { ip, geolocation, asn }) {
+    const settings = tenant.settings.privacy;
+    const policy = consentPolicy(settings, consent);
+    if (policy.anonymous) {
+        return { ip: null, geolocation: null, asn: null };
+    }
+    if (policy.fullData) {
+        return { ip: ip ?? null, geolocation: geolocation ?? null, asn: asn ?? null };
+    }
+
+    let kept = null;
+    if (settings.geolocation === 'full') {
+        kept = geolocation ?? null;
+    } else if (settings.geolocation === 'country' && geolocation?.country) {
+        kept = { country: geolocation.country };
+    }
+    return {
+        ip: anonymizeIp(ip, settings.ipAddresses, tenant.id),
+        geolocation: kept,
+        asn: settings.geolocation === 'full' ? asn ?? null : null
+    };
+}
+
+/**
+ * Session-scoped stand-in for the visitor ID of an anonymous session
+ */
+export function anonymousVisitorId(sessionId) {
+    return `anon_${crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 20)}`;
+}
@@ -0,0 +1,146 @@
+import { HttpError } from './errors.js';
+import { addDays, listEventPartitions, partitionDay } from '../db/partitions.js';
+
+// Data retention. Raw events are kept for eventDays days and then dropped a
+// whole day partition at a time, in 'aggregate' mode after adding them to
+// daily counts per event name. IP addresses, geolocation and ASN are cleared
+// from events, sessions and visitors after ipDays days. `schema` is always
+// an already-quoted tenant schema.
+
+export const DEFAULT_RETENTION_SETTINGS = {
+    // Days raw events are kept; null keeps them forever
+    eventDays: null,
+    // 'drop' deletes expired events, 'aggregate' keeps daily counts of them
+    expiredEvents: 'drop',
+    // Days IP addresses and geolocation are kept; null keeps them forever
+    ipDays: null
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCRUB_BATCH_SIZE = 10000;
+
+const IP_DATA_CONDITION = 'ip_address IS NOT NULL OR geolocation IS NOT NULL OR asn IS NOT NULL';
+
+/**
+ * Validate a tenant's retention settings
+ */
+export function validateRetentionSettings(settings) {
+    for (const field of ['eventDays', 'ipDays']) {
+        const value = settings[field];
+        if (value !== null && !(Number.isInteger(value) && value > 0)) {
+            throw new HttpError(400, `retention.${field} must be a positive integer or null`);
+        }
+    }
+    if (!['drop', 'aggregate'].includes(settings.expiredEvents)) {
+        throw new HttpError(400, "retention.expiredEvents must be 'drop' or 'aggregate'");
+    }
+}
+
+// Count the rows `expired` (a query returning timestamp, event_name,
+// visitor_id and session_id) yields, adding them to the daily rollups first
+// when aggregating
+async function expire(client, schema, expired, params, aggregate) {
+    const rollUp = aggregate ? `,
+        rolled_up AS (
+          INSERT INTO ${schema}.event_rollups (day, event_name, events, visitors, sessions)
+          SELECT (timestamp AT TIME ZONE 'UTC')::date, COALESCE(event_name, ''),
+                 COUNT(*), COUNT(DISTINCT visitor_id), COUNT(DISTINCT session_id)
+          FROM expired
+          GROUP BY 1, 2
+          ON CONFLICT (day, event_name) DO UPDATE
+          SET events = event_rollups.events + EXCLUDED.events,
+              visitors = event_rollups.visitors + EXCLUDED.visitors,
+              sessions = event_rollups.sessions + EXCLUDED.sessions
+        )` : '';
+    const result = await client.query(
+        `WITH expired AS (${expired})${rollUp}
+         SELECT COUNT(*)::int AS count FROM expired`,
+        params
+    );
+    return result.rows[0].count;
+}
+
+/**
+ * Remove events older than `cutoff`. Day partitions that ended before it
+ * are dropped; late events in the default partition are deleted by row.
+ */
+async function expireEvents(client, schema, cutoff, aggregate) {
+    const partitionsDropped = [];
+    let removed = 0;
+
+    for (const name of await listEventPartitions(client, schema)) {
+        const day = partitionDay(name);
+        if (!day || Date.parse(`${addDays(day, 1)}T00:00:00Z`) > cutoff.getTime()) {
+            continue;
+        }
+        try {
+            await client.query('BEGIN');
+            removed += await expire(client, schema,
+                `SELECT timestamp, event_name, visitor_id, session_id FROM ${schema}.${name}`, [], aggregate);
+            await client.query(`DROP TABLE ${schema}.${name}`);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+        partitionsDropped.push(name);
+    }
+
+    removed += await expire(client, schema,
+        `DELETE FROM ${schema}.events_default WHERE timestamp < $1
+         RETURNING timestamp, event_name, visitor_id, session_id`,
+        [cutoff], aggregate);
+
+    return { cutoff, partitionsDropped, removed };
+}
+
+/**
+ * Clear IP addresses, geolocation and ASN recorded before `cutoff`. Events
+ * are updated in batches so no single statement holds locks for long.
+ */
+async function scrubIpData(client, schema, cutoff) {
+    let events = 0;
+    let updated;
+    do {
+        updated = await client.query(
+            `UPDATE ${schema}.events
+             SET ip_address = NULL, geolocation = NULL, asn = NULL
+             WHERE (id, timestamp) IN (
+               SELECT id, timestamp FROM ${schema}.events
+               WHERE timestamp < $1 AND (${IP_DATA_CONDITION})
+               LIMIT $2
+             )`,
+            [cutoff, SCRUB_BATCH_SIZE]
+        );
+        events += updated.rowCount;
+    } while (updated.rowCount === SCRUB_BATCH_SIZE);
+
+    const sessions = await client.query(
+        `UPDATE ${schema}.session_mappings
+         SET ip_address = NULL
+         WHERE ip_address IS NOT NULL AND COALESCE(last_activity_at, started_at) < $1`,
+        [cutoff]
+    );
+    const visitors = await client.query(
+        `UPDATE ${schema}.identity_mappings
+         SET ip_address = NULL, geolocation = NULL, asn = NULL
+         WHERE COALESCE(last_seen_at, first_seen_at) < $1 AND (${IP_DATA_CONDITION})`,
+        [cutoff]
+    );
+
+    return { cutoff, events, sessions: sessions.rowCount, visitors: visitors.rowCount };
+}
+
+/**
+ * Apply a tenant's retention settings. Returns what was removed; a section
+ * is null when its retention is not configured.
+ */
+export async function applyRetention(client, schema, settings, now = Date.now()) {
+    const expiredEvents = settings.eventDays === null ? null : await expireEvents(
+        client, schema, new Date(now - settings.eventDays * DAY_MS), settings.expiredEvents === 'aggregate'
+    );
+    const scrubbedIpData = settings.ipDays === null ? null : await scrubIpData(
+        client, schema, new Date(now - settings.ipDays * DAY_MS)
+    );
+    return { expiredEvents, scrubbedIpData };
+}
@@ -0,0 +1,118 @@
+import { pool } from '../db/connection.js';
+import { quoteIdent } from '../db/identifiers.js';
+import { listTenants } from './tenants.js';
+import { getDestinationType } from './destinations.js';
+import { logger } from './logger.js';
+
+// Sends queued deliveries. Deliveries are claimed with SKIP LOCKED and a
+// lease, so several server instances can run the worker side by side; a
+// crashed instance's claims are picked up again once the lease runs out.
+
+const POLL_INTERVAL = Number(process.env.DELIVERY_POLL_INTERVAL_MS) || 5 * 1000;
+const BATCH_SIZE = 50;
+const LEASE_SECONDS = 60;
+const MAX_ATTEMPTS = 10;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Delay before the next attempt: exponential from 30 seconds, capped at 6
+ * hours, with jitter so failing destinations are not retried in lockstep
+ */
+export function backoffDelay(attempts) {
+    const delay = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempts - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+async function claimDeliveries(schema) {
+    const result = await pool.query(
+        `UPDATE ${schema}.deliveries d
+         SET locked_until = CURRENT_TIMESTAMP + $2::int * INTERVAL '1 second'
+         FROM ${schema}.destinations dest
+         WHERE d.destination_id = dest.id
+         AND d.id IN (
+           SELECT q.id FROM ${schema}.deliveries q
+           JOIN ${schema}.destinations qd ON qd.id = q.destination_id AND qd.enabled
+           WHERE q.status = 'pending'
+           AND q.next_attempt_at <= CURRENT_TIMESTAMP
+           AND (q.locked_until IS NULL OR q.locked_until < CURRENT_TIMESTAMP)
+           ORDER BY q.next_attempt_at
+           LIMIT $1
+           FOR UPDATE OF q SKIP LOCKED
+         )
+         RETURNING d.id, d.payload, d.attempts, dest.id AS destination_id, dest.type, dest.config`,
+        [BATCH_SIZE, LEASE_SECONDS]
+    );
+    return result.rows;
+}
+
+async function deliver(schema, delivery) {
+    const destination = { id: delivery.destination_id, type: delivery.type, config: delivery.config };
+    try {
+        const type = getDestinationType(destination.type);
+        if (!type) {
+            throw new Error(`Unknown destination type: ${destination.type}`);
+        }
+        await type.send(destination, delivery);
+        await pool.query(
+            `UPDATE ${schema}.deliveries
+             SET status = 'delivered', attempts = attempts + 1, delivered_at = CURRENT_TIMESTAMP,
+                 locked_until = NULL, last_error = NULL
+             WHERE id = $1`,
+            [delivery.id]
+        );
+    } catch (err) {
+        const attempts = delivery.attempts + 1;
+        await pool.query(
+            `UPDATE ${schema}.deliveries
+             SET status = $2, attempts = $3, last_error = $4, locked_until = NULL,
+                 next_attempt_at = CURRENT_TIMESTAMP + $5::int * INTERVAL '1 millisecond'
+             WHERE id = $1`,
+            [delivery.id, attempts >= MAX_ATTEMPTS ? 'dead' : 'pending', attempts, err.message, backoffDelay(attempts)]
+        );
+    }
+}
+
+/**
+ * Send every due delivery for all active tenants once
+ */
+export async function processDeliveries() {
+    let sent = 0;
+    for (const tenant of await listTenants({ status: 'active' })) {
+        const schema = quoteIdent(tenant.id);
+        let claimed;
+        do {
+            claimed = await claimDeliveries(schema);
+            await Promise.all(claimed.map(delivery => deliver(schema, delivery)));
+            sent += claimed.length;
+        } while (claimed.length === BATCH_SIZE);
+    }
+    return sent;
+}
+
+/**
+ * Poll for due deliveries until the returned stop function is called
+ */
+export function startDeliveryWorker({ interval = POLL_INTERVAL } = {}) {
+    let timer;
+    let stopped = false;
+
+    const tick = async () => {
+        try {
+            await processDeliveries();
+        } catch (err) {
+            logger.error('Error processing deliveries:', err);
+        }
+        if (!stopped) {
+            timer = setTimeout(tick, interval);
+            timer.unref();
+        }
+    };
+    timer = setTimeout(tick, interval);
+    timer.unref();
+
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+}
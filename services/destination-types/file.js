@@ -0,0 +1,34 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { HttpError } from '../errors.js';
+
+// Files are always written below this directory
+const baseDir = () => path.resolve(process.env.DESTINATION_FILE_DIR || 'data/destinations');
+
+function resolvePath(file) {
+    const resolved = path.resolve(baseDir(), file);
+    if (!resolved.startsWith(baseDir() + path.sep)) {
+        throw new HttpError(400, 'config.path must stay within DESTINATION_FILE_DIR');
+    }
+    return resolved;
+}
+
+/**
+ * NDJSON file sink: appends one JSON line per message. A `{date}`
+ * placeholder in the path starts a new file per UTC day.
+ */
+export const fileDestination = {
+    validate(config) {
+        if (!config.path || typeof config.path !== 'string') {
+            throw new HttpError(400, 'config.path is required');
+        }
+        resolvePath(config.path);
+    },
+
+    async send(destination, delivery) {
+        const file = resolvePath(destination.config.path
+            .replace('{date}', new Date().toISOString().slice(0, 10)));
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(file, `${JSON.stringify(delivery.payload)}\n`);
+    }
+};
@@ -0,0 +1,62 @@
+import crypto from 'crypto';
+import { HttpError } from '../errors.js';
+
+const TIMEOUT_MS = 10 * 1000;
+
+/**
+ * HTTP webhook: POSTs each message as JSON. The body is signed with the
+ * destination's secret as HMAC-SHA256 over `<timestamp>.<body>`, sent in
+ * X-Webhook-Signature with the timestamp in X-Webhook-Timestamp.
+ */
+export const webhookDestination = {
+    validate(config) {
+        let url;
+        try {
+            url = new URL(config.url);
+        } catch {
+            throw new HttpError(400, 'config.url must be a valid URL');
+        }
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            throw new HttpError(400, 'config.url must be an http(s) URL');
+        }
+        if (config.headers !== undefined &&
+            (typeof config.headers !== 'object' || config.headers === null || Array.isArray(config.headers))) {
+            throw new HttpError(400, 'config.headers must be an object');
+        }
+    },
+
+    // Every webhook gets a signing secret unless one is supplied
+    prepare(config) {
+        return { ...config, secret: config.secret || `whsec_${crypto.randomBytes(24).toString('hex')}` };
+    },
+
+    // Secrets are only shown when a destination is created
+    redact(config) {
+        return { ...config, secret: config.secret ? `${config.secret.slice(0, 10)}...` : undefined };
+    },
+
+    async send(destination, delivery) {
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const signature = crypto.createHmac('sha256', destination.config.secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+
+        const response = await fetch(destination.config.url, {
+            method: 'POST',
+            headers: {
+                ...destination.config.headers,
+                'Content-Type': 'application/json',
+                'X-Webhook-Id': String(delivery.id),
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': `sha256=${signature}`
+            },
+            body,
+            signal: AbortSignal.timeout(TIMEOUT_MS)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Webhook responded with ${response.status}`);
+        }
+    }
+};
@@ -0,0 +1,341 @@
+import crypto from 'crypto';
+import { pool } from '../db/connection.js';
+import { quoteIdent } from '../db/identifiers.js';
+import { HttpError } from './errors.js';
+import { webhookDestination } from './destination-types/webhook.js';
+import { fileDestination } from './destination-types/file.js';
+
+// Outbound destinations. Tracked events, identifies and profile merges are
+// written to a per-tenant delivery queue (one row per matching destination)
+// in the transaction that stores them, and sent by the delivery worker, so
+// ingestion never waits on them and a stored event is never left unsent.
+
+// A destination type validates its config and sends one delivery:
+// { validate(config), send(destination, delivery), prepare?, redact? }
+const destinationTypes = new Map([
+    ['webhook', webhookDestination],
+    ['file', fileDestination]
+]);
+
+const MESSAGE_TYPES = ['track', 'identify', 'merge', 'group'];
+const IDENTITY_STATES = ['any', 'identified', 'anonymous'];
+
+const DESTINATION_COLUMNS = `id, type, name, config, message_types, event_names, identity_state,
+                enabled, created_at, updated_at`;
+
+// Cache for enabled destinations per tenant (TTL: 30 seconds)
+const destinationCache = new Map();
+const CACHE_TTL = 30 * 1000;
+
+/**
+ * Register an additional destination type
+ */
+export function registerDestinationType(name, type) {
+    destinationTypes.set(name, type);
+}
+
+export function getDestinationType(name) {
+    return destinationTypes.get(name);
+}
+
+function generateDestinationId() {
+    return `dest_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function toList(value, name, allowed) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        throw new HttpError(400, `${name} must be an array of strings`);
+    }
+    for (const item of allowed ? value : []) {
+        if (!allowed.includes(item)) {
+            throw new HttpError(400, `${name} must only contain: ${allowed.join(', ')}`);
+        }
+    }
+    return value;
+}
+
+function validateFilters({ messageTypes, eventNames, identityState }) {
+    if (identityState !== undefined && !IDENTITY_STATES.includes(identityState)) {
+        throw new HttpError(400, `identityState must be one of: ${IDENTITY_STATES.join(', ')}`);
+    }
+    return {
+        messageTypes: toList(messageTypes, 'messageTypes', MESSAGE_TYPES),
+        eventNames: toList(eventNames, 'eventNames')
+    };
+}
+
+// Hide secrets in API responses
+function present(row) {
+    const type = destinationTypes.get(row.type);
+    return {
+        id: row.id,
+        type: row.type,
+        name: row.name,
+        config: type?.redact ? type.redact(row.config) : row.config,
+        messageTypes: row.message_types,
+        eventNames: row.event_names,
+        identityState: row.identity_state,
+        enabled: row.enabled,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Create a destination. The response includes generated secrets, which are
+ * not shown again.
+ */
+export async function createDestination(tenantId, { type, name, config = {}, messageTypes, eventNames, identityState = 'any' }) {
+    const destinationType = destinationTypes.get(type);
+    if (!destinationType) {
+        throw new HttpError(400, `Unknown destination type: ${type}`);
+    }
+    if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+        throw new HttpError(400, 'config must be an object');
+    }
+    destinationType.validate(config);
+    const filters = validateFilters({ messageTypes, eventNames, identityState });
+    const prepared = destinationType.prepare ? destinationType.prepare(config) : config;
+
+    const result = await pool.query(
+        `INSERT INTO ${quoteIdent(tenantId)}.destinations
+         (id, type, name, config, message_types, event_names, identity_state)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING ${DESTINATION_COLUMNS}`,
+        [generateDestinationId(), type, name || null, prepared, filters.messageTypes, filters.eventNames, identityState]
+    );
+    destinationCache.delete(tenantId);
+    return { ...present(result.rows[0]), config: prepared };
+}
+
+/**
+ * List a tenant's destinations
+ */
+export async function listDestinations(tenantId) {
+    const result = await pool.query(
+        `SELECT ${DESTINATION_COLUMNS} FROM ${quoteIdent(tenantId)}.destinations ORDER BY created_at`
+    );
+    return result.rows.map(present);
+}
+
+/**
+ * Update a destination's name, config, filters or enabled flag
+ */
+export async function updateDestination(tenantId, destinationId, patch) {
+    const schema = quoteIdent(tenantId);
+    const current = await pool.query(
+        `SELECT ${DESTINATION_COLUMNS} FROM ${schema}.destinations WHERE id = $1`,
+        [destinationId]
+    );
+    const row = current.rows[0];
+    if (!row) {
+        throw new HttpError(404, 'Unknown destination');
+    }
+
+    const config = patch.config !== undefined ? { ...row.config, ...patch.config } : row.config;
+    destinationTypes.get(row.type).validate(config);
+    const identityState = patch.identityState ?? row.identity_state;
+    const filters = validateFilters({
+        messageTypes: patch.messageTypes !== undefined ? patch.messageTypes : row.message_types,
+        eventNames: patch.eventNames !== undefined ? patch.eventNames : row.event_names,
+        identityState
+    });
+    if (patch.enabled !== undefined && typeof patch.enabled !== 'boolean') {
+        throw new HttpError(400, 'enabled must be a boolean');
+    }
+
+    const result = await pool.query(
+        `UPDATE ${schema}.destinations
+         SET name = $2, config = $3, message_types = $4, event_names = $5,
+             identity_state = $6, enabled = $7, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${DESTINATION_COLUMNS}`,
+        [
+            destinationId,
+            patch.name !== undefined ? patch.name : row.name,
+            config,
+            filters.messageTypes,
+            filters.eventNames,
+            identityState,
+            patch.enabled ?? row.enabled
+        ]
+    );
+    destinationCache.delete(tenantId);
+    return present(result.rows[0]);
+}
+
+/**
+ * Delete a destination and its queued deliveries
+ */
+export async function deleteDestination(tenantId, destinationId) {
+    const result = await pool.query(
+        `DELETE FROM ${quoteIdent(tenantId)}.destinations WHERE id = $1 RETURNING id`,
+        [destinationId]
+    );
+    if (!result.rows[0]) {
+        throw new HttpError(404, 'Unknown destination');
+    }
+    destinationCache.delete(tenantId);
+}
+
+async function getEnabledDestinations(client, tenantId) {
+    const cached = destinationCache.get(tenantId);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+        return cached.data;
+    }
+    const result = await client.query(
+        `SELECT ${DESTINATION_COLUMNS} FROM ${quoteIdent(tenantId)}.destinations WHERE enabled`
+    );
+    destinationCache.set(tenantId, { data: result.rows, timestamp: Date.now() });
+    return result.rows;
+}
+
+function matches(destination, message) {
+    if (destination.message_types && !destination.message_types.includes(message.type)) {
+        return false;
+    }
+    if (destination.event_names && !destination.event_names.includes(message.eventName)) {
+        return false;
+    }
+    if (destination.identity_state === 'identified') {
+        return message.identified;
+    }
+    if (destination.identity_state === 'anonymous') {
+        return !message.identified;
+    }
+    return true;
+}
+
+/**
+ * Queue messages for every matching destination. A message is
+ * `{ type, eventName, identified, payload }`. Must run inside the
+ * transaction that stores what the messages describe.
+ */
+export async function enqueueMessages(client, tenantId, messages) {
+    if (messages.length === 0) {
+        return 0;
+    }
+    const destinations = await getEnabledDestinations(client, tenantId);
+    if (destinations.length === 0) {
+        return 0;
+    }
+
+    const rows = [];
+    for (const message of messages) {
+        const payload = {
+            id: crypto.randomUUID(),
+            type: message.type,
+            tenantId,
+            sentAt: new Date().toISOString(),
+            ...message.payload
+        };
+        for (const destination of destinations) {
+            if (matches(destination, message)) {
+                rows.push([destination.id, message.type, payload]);
+            }
+        }
+    }
+    if (rows.length === 0) {
+        return 0;
+    }
+
+    const placeholders = rows.map((_, i) => `($${i * 3 + 1}, $${i * 3 + 2}, $${i * 3 + 3})`).join(', ');
+    await client.query(
+        `INSERT INTO ${quoteIdent(tenantId)}.deliveries (destination_id, message_type, payload)
+         VALUES ${placeholders}`,
+        rows.flat()
+    );
+    return rows.length;
+}
+
+function isIdentified(traits) {
+    return !!traits && Object.keys(traits).length > 0;
+}
+
+/**
+ * Message for a stored event and the profile it belongs to
+ */
+export function trackMessage(event, profile) {
+    return {
+        type: 'track',
+        eventName: event.event_name ?? event.eventName,
+        identified: isIdentified(profile?.traits),
+        payload: {
+            event,
+            profileId: profile?.id ?? null,
+            identity: profile?.traits ?? null
+        }
+    };
+}
+
+/**
+ * Message for an identify call
+ */
+export function identifyMessage({ eventId, sessionId, visitorId, profileId, traits }) {
+    return {
+        type: 'identify',
+        eventName: 'identify',
+        identified: true,
+        payload: { eventId, sessionId, visitorId, profileId, traits }
+    };
+}
+
+/**
+ * Message for a profile joining (or acting for) a group
+ */
+export function groupMessage({ eventId = null, sessionId = null, visitorId = null, profile, groupId, traits }) {
+    return {
+        type: 'group',
+        eventName: 'group',
+        identified: isIdentified(profile.traits),
+        payload: { eventId, sessionId, visitorId, profileId: profile.id, identity: profile.traits, groupId, traits }
+    };
+}
+
+/**
+ * Message for a profile merged into another
+ */
+export function mergeMessage({ sourceProfileId, targetProfileId, reason, confidence, traits }) {
+    return {
+        type: 'merge',
+        eventName: 'merge',
+        identified: isIdentified(traits),
+        payload: { sourceProfileId, targetProfileId, reason, confidence, identity: traits ?? null }
+    };
+}
+
+/**
+ * List a destination's deliveries, newest first (status 'dead' is the
+ * dead-letter view)
+ */
+export async function listDeliveries(tenantId, destinationId, { status = 'dead', limit = 100 } = {}) {
+    const result = await pool.query(
+        `SELECT id, destination_id, message_type, payload, status, attempts,
+                next_attempt_at, last_error, created_at, delivered_at
+         FROM ${quoteIdent(tenantId)}.deliveries
+         WHERE destination_id = $1 AND status = $2
+         ORDER BY created_at DESC
+         LIMIT $3`,
+        [destinationId, status, limit]
+    );
+    return result.rows;
+}
+
+/**
+ * Put dead deliveries back in the queue: the given IDs, or all of the
+ * destination's dead deliveries. Returns how many were requeued.
+ */
+export async function replayDeliveries(tenantId, destinationId, { deliveryIds } = {}) {
+    const result = await pool.query(
+        `UPDATE ${quoteIdent(tenantId)}.deliveries
+         SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP,
+             locked_until = NULL, last_error = NULL
+         WHERE destination_id = $1 AND status = 'dead'
+         AND ($2::bigint[] IS NULL OR id = ANY($2))`,
+        [destinationId, deliveryIds || null]
+    );
+    return result.rowCount;
+}
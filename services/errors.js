@@ -0,0 +1,24 @@
+/**
+ * Error carrying the HTTP status a route should respond with
+ */
+export class HttpError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Send an HttpError as JSON, or fall back to a generic 500
+ */
+export function sendError(res, err, fallbackMessage) {
+    if (err instanceof HttpError) {
+        return res.status(err.status).json({
+            error: err.message,
+            ...(err.details ? { details: err.details } : {})
+        });
+    }
+    return res.status(500).json({ error: fallbackMessage });
+}
@@ -0,0 +1,303 @@
+import { pool } from '../db/connection.js';
+import { HttpError } from './errors.js';
+import { eventsWithProfile } from './identity.js';
+import { riskFilter } from './risk.js';
+
+// Selectable event fields. profile_id and identity come from the canonical
+// profile rather than the legacy columns on the event.
+export const FIELDS = {
+    id: 'e.id',
+    session_id: 'e.session_id',
+    visitor_id: 'e.visitor_id',
+    event_name: 'e.event_name',
+    properties: 'e.properties',
+    profile_id: 'c.id AS profile_id',
+    group_id: 'e.group_id',
+    identity: 'COALESCE(c.traits, e.identity) AS identity',
+    ip_address: 'e.ip_address',
+    browser_details: 'e.browser_details',
+    confidence_score: 'e.confidence_score',
+    identification_method: 'e.identification_method',
+    geolocation: 'e.geolocation',
+    risk_score: 'e.risk_score',
+    risk_status: 'e.risk_status',
+    validation_errors: 'e.validation_errors',
+    timestamp: 'e.timestamp'
+};
+
+const PROPERTY_OPERATORS = {
+    eq: '=',
+    ne: '!=',
+    gt: '>',
+    gte: '>=',
+    lt: '<',
+    lte: '<='
+};
+
+const DEFAULT_LIMIT = 100;
+export const MAX_LIMIT = 1000;
+
+function toList(value) {
+    if (value === undefined) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+// Express turns a repeated parameter (?sessionId=a&sessionId=b) into an
+// array and a bracketed one into an object; filters that take one value
+// reject both rather than pass them on to Postgres
+function singleValue(value, name) {
+    if (value !== undefined && typeof value !== 'string') {
+        throw new HttpError(400, `${name} must be a single value`);
+    }
+    return value;
+}
+
+function parseTime(value, name) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const time = new Date(String(value));
+    if (Number.isNaN(time.getTime())) {
+        throw new HttpError(400, `${name} must be an ISO 8601 date`);
+    }
+    return time.toISOString();
+}
+
+// Cursors carry the last row's exact timestamp (as Postgres text, so no
+// microseconds are lost) and ID
+function encodeCursor(row) {
+    return Buffer.from(JSON.stringify([row.cursor_timestamp, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [timestamp, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        // A forged timestamp would otherwise fail the timestamptz cast in
+        // Postgres with a 500
+        if (typeof timestamp === 'string' && !Number.isNaN(Date.parse(timestamp)) && Number.isInteger(id)) {
+            return { timestamp, id };
+        }
+    } catch {
+        // Fall through to the error below
+    }
+    throw new HttpError(400, 'Invalid cursor');
+}
+
+/**
+ * Parse and validate event query parameters (as parsed by Express)
+ */
+export function parseEventQuery(query) {
+    const fields = toList(query.fields);
+    for (const field of fields) {
+        if (!FIELDS[field]) {
+            throw new HttpError(400, `Unknown field: ${field}`);
+        }
+    }
+
+    const sort = query.sort || 'desc';
+    if (sort !== 'asc' && sort !== 'desc') {
+        throw new HttpError(400, "sort must be 'asc' or 'desc'");
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new HttpError(400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+
+    if (query.invalid !== undefined && query.invalid !== 'true' && query.invalid !== 'false') {
+        throw new HttpError(400, "invalid must be 'true' or 'false'");
+    }
+
+    const maxRisk = query.maxRisk === undefined ? undefined : Number(query.maxRisk);
+    if (Number.isNaN(maxRisk)) {
+        throw new HttpError(400, 'maxRisk must be a number');
+    }
+
+    const identity = { ...(typeof query.identity === 'object' ? query.identity : {}) };
+    for (const [trait, value] of Object.entries(identity)) {
+        singleValue(value, `identity.${trait}`);
+    }
+    if (query.email !== undefined) {
+        identity.email = singleValue(query.email, 'email');
+    }
+
+    let propertiesContain;
+    if (query.propertiesContain !== undefined) {
+        try {
+            propertiesContain = JSON.parse(query.propertiesContain);
+        } catch {
+            throw new HttpError(400, 'propertiesContain must be a JSON object');
+        }
+        if (!propertiesContain || typeof propertiesContain !== 'object' || Array.isArray(propertiesContain)) {
+            throw new HttpError(400, 'propertiesContain must be a JSON object');
+        }
+    }
+
+    return {
+        sessionId: singleValue(query.sessionId, 'sessionId'),
+        visitorId: singleValue(query.visitorId, 'visitorId'),
+        profileId: singleValue(query.profileId, 'profileId'),
+        userId: singleValue(query.userId, 'userId'),
+        groupId: singleValue(query.groupId, 'groupId'),
+        identity,
+        eventNames: toList(query.eventName),
+        from: parseTime(query.from, 'from'),
+        to: parseTime(query.to, 'to'),
+        properties: typeof query.properties === 'object' ? query.properties : {},
+        propertiesContain,
+        invalid: query.invalid === undefined ? undefined : query.invalid === 'true',
+        includeQuarantined: query.includeQuarantined === 'true',
+        maxRisk,
+        fields,
+        sort,
+        limit,
+        cursor: query.cursor !== undefined ? decodeCursor(singleValue(query.cursor, 'cursor')) : undefined
+    };
+}
+
+// Conditions on `properties`: `{ plan: 'pro' }` compares as text and
+// `{ amount: { gte: '10' } }` compares numerically. Dotted keys address
+// nested properties.
+function propertyConditions(params, properties) {
+    const conditions = [];
+    for (const [key, predicate] of Object.entries(properties)) {
+        params.push(key.split('.'));
+        const path = `$${params.length}::text[]`;
+
+        if (predicate === null || typeof predicate !== 'object' || Array.isArray(predicate)) {
+            params.push(String(predicate));
+            conditions.push(`e.properties #>> ${path} = $${params.length}`);
+            continue;
+        }
+
+        for (const [operator, value] of Object.entries(predicate)) {
+            if (operator === 'exists') {
+                conditions.push(`(e.properties #> ${path}) IS ${value === 'false' ? '' : 'NOT '}NULL`);
+                continue;
+            }
+            if (!PROPERTY_OPERATORS[operator]) {
+                throw new HttpError(400, `Unknown property operator: ${operator}`);
+            }
+            if (operator === 'eq' || operator === 'ne') {
+                params.push(String(value));
+                conditions.push(`e.properties #>> ${path} ${PROPERTY_OPERATORS[operator]} $${params.length}`);
+                continue;
+            }
+            const number = Number(value);
+            if (Number.isNaN(number)) {
+                throw new HttpError(400, `properties.${key}.${operator} must be a number`);
+            }
+            params.push(number);
+            conditions.push(`CASE WHEN jsonb_typeof(e.properties #> ${path}) = 'number'
+                THEN (e.properties #>> ${path})::numeric END ${PROPERTY_OPERATORS[operator]} $${params.length}`);
+        }
+    }
+    return conditions;
+}
+
+/**
+ * Query a tenant's events. Results are ordered by timestamp (then ID) and
+ * paginated with an opaque cursor; `nextCursor` is null on the last page.
+ */
+export async function queryEvents(schema, query) {
+    const params = [];
+    const conditions = [riskFilter(params, query)];
+
+    if (query.sessionId) {
+        params.push(query.sessionId);
+        conditions.push(`e.session_id = $${params.length}`);
+    }
+    if (query.visitorId) {
+        params.push(query.visitorId);
+        conditions.push(`e.visitor_id = $${params.length}`);
+    }
+    if (query.groupId) {
+        params.push(String(query.groupId));
+        conditions.push(`e.group_id = $${params.length}`);
+    }
+    if (query.eventNames.length > 0) {
+        params.push(query.eventNames);
+        conditions.push(`e.event_name = ANY($${params.length})`);
+    }
+    if (query.from) {
+        params.push(query.from);
+        conditions.push(`e.timestamp >= $${params.length}`);
+    }
+    if (query.to) {
+        params.push(query.to);
+        conditions.push(`e.timestamp < $${params.length}`);
+    }
+    if (query.propertiesContain) {
+        params.push(query.propertiesContain);
+        conditions.push(`e.properties @> $${params.length}`);
+    }
+    conditions.push(...propertyConditions(params, query.properties));
+    if (query.invalid !== undefined) {
+        conditions.push(`e.validation_errors IS ${query.invalid ? 'NOT ' : ''}NULL`);
+    }
+
+    // Profile filters select canonical profiles; events match through any
+    // profile merged into them
+    const canonical = [];
+    if (query.profileId) {
+        params.push(query.profileId);
+        canonical.push(`SELECT canonical_id FROM ${schema}.profiles WHERE id = $${params.length}`);
+    }
+    if (query.userId) {
+        params.push(String(query.userId));
+        canonical.push(`SELECT lp.canonical_id FROM ${schema}.identity_links l
+            JOIN ${schema}.profiles lp ON lp.id = l.profile_id
+            WHERE l.kind = 'user' AND l.value = $${params.length} AND l.removed_at IS NULL`);
+    }
+    for (const [field, value] of Object.entries(query.identity)) {
+        // email is spelled out so profiles_email_idx can be used
+        let trait = "traits ->> 'email'";
+        if (field !== 'email') {
+            params.push(field);
+            trait = `traits ->> $${params.length}::text`;
+        }
+        params.push(String(value));
+        canonical.push(`SELECT id FROM ${schema}.profiles
+            WHERE id = canonical_id AND ${trait} = $${params.length}`);
+    }
+    for (const subquery of canonical) {
+        conditions.push(`e.profile_id IN (
+            SELECT id FROM ${schema}.profiles WHERE canonical_id IN (${subquery})
+        )`);
+    }
+
+    const direction = query.sort === 'asc' ? 'ASC' : 'DESC';
+    if (query.cursor) {
+        params.push(query.cursor.timestamp, query.cursor.id);
+        conditions.push(`(e.timestamp, e.id) ${direction === 'ASC' ? '>' : '<'}
+            ($${params.length - 1}::timestamptz, $${params.length})`);
+    }
+
+    // id and timestamp are always returned so the cursor can be built
+    const fields = query.fields.length > 0
+        ? [...new Set(['id', 'timestamp', ...query.fields])]
+        : Object.keys(FIELDS);
+
+    params.push(query.limit + 1);
+    const result = await pool.query(
+        `SELECT ${fields.map(field => FIELDS[field]).join(', ')},
+                e.timestamp::text AS cursor_timestamp
+         FROM ${eventsWithProfile(schema)}
+         WHERE ${conditions.join('\n         AND ')}
+         ORDER BY e.timestamp ${direction}, e.id ${direction}
+         LIMIT $${params.length}`,
+        params
+    );
+
+    const rows = result.rows.slice(0, query.limit);
+    const nextCursor = result.rows.length > query.limit ? encodeCursor(rows[rows.length - 1]) : null;
+
+    return {
+        data: rows.map(({ cursor_timestamp: _, ...row }) => row),
+        nextCursor
+    };
+}
@@ -0,0 +1,266 @@
+import { pool } from '../db/connection.js';
+import { quoteIdent } from '../db/identifiers.js';
+import { HttpError } from './errors.js';
+import { checkSchema, validate } from './json-schema.js';
+
+// Per-tenant event schema registry. Each event name can have a JSON Schema
+// for its properties, and the tenant can have one schema for identify
+// traits. The validation settings decide what happens to payloads that do
+// not match: 'off' skips validation, 'warn' stores them tagged with their
+// validation errors and 'strict' rejects them.
+
+export const DEFAULT_VALIDATION_SETTINGS = {
+    mode: 'off',
+    // Whether events without a registered definition pass validation
+    allowUnknownEvents: true
+};
+
+const MODES = ['off', 'warn', 'strict'];
+
+// The traits schema is stored next to event definitions as kind 'traits'
+const TRAITS = { kind: 'traits', name: '' };
+
+const SCHEMA_COLUMNS = 'kind, name, schema, description, created_at, updated_at';
+
+// Cache for registered schemas per tenant (TTL: 30 seconds)
+const schemaCache = new Map();
+const CACHE_TTL = 30 * 1000;
+
+/**
+ * Validate a tenant's validation settings
+ */
+export function validateValidationSettings(settings) {
+    if (!MODES.includes(settings.mode)) {
+        throw new HttpError(400, `validation.mode must be one of: ${MODES.join(', ')}`);
+    }
+    if (typeof settings.allowUnknownEvents !== 'boolean') {
+        throw new HttpError(400, 'validation.allowUnknownEvents must be a boolean');
+    }
+}
+
+function present(row) {
+    return {
+        ...(row.kind === 'event' ? { eventName: row.name } : {}),
+        schema: row.schema,
+        description: row.description,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+async function putSchema(tenantId, { kind, name }, { schema, description }) {
+    checkSchema(schema, 'schema');
+    const result = await pool.query(
+        `INSERT INTO ${quoteIdent(tenantId)}.event_schemas (kind, name, schema, description)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (kind, name) DO UPDATE
+         SET schema = EXCLUDED.schema, description = EXCLUDED.description, updated_at = CURRENT_TIMESTAMP
+         RETURNING ${SCHEMA_COLUMNS}`,
+        [kind, name, schema, description || null]
+    );
+    schemaCache.delete(tenantId);
+    return present(result.rows[0]);
+}
+
+async function deleteSchema(tenantId, { kind, name }, notFound) {
+    const result = await pool.query(
+        `DELETE FROM ${quoteIdent(tenantId)}.event_schemas WHERE kind = $1 AND name = $2 RETURNING name`,
+        [kind, name]
+    );
+    if (!result.rows[0]) {
+        throw new HttpError(404, notFound);
+    }
+    schemaCache.delete(tenantId);
+}
+
+/**
+ * Register (or replace) the properties schema of an event
+ */
+export function putEventSchema(tenantId, eventName, definition) {
+    return putSchema(tenantId, { kind: 'event', name: eventName }, definition);
+}
+
+/**
+ * Remove an event's definition
+ */
+export function deleteEventSchema(tenantId, eventName) {
+    return deleteSchema(tenantId, { kind: 'event', name: eventName }, 'Unknown event definition');
+}
+
+/**
+ * List registered event definitions
+ */
+export async function listEventSchemas(tenantId) {
+    const result = await pool.query(
+        `SELECT ${SCHEMA_COLUMNS} FROM ${quoteIdent(tenantId)}.event_schemas
+         WHERE kind = 'event'
+         ORDER BY name`
+    );
+    return result.rows.map(present);
+}
+
+/**
+ * Register (or replace) the identify traits schema
+ */
+export function putTraitsSchema(tenantId, definition) {
+    return putSchema(tenantId, TRAITS, definition);
+}
+
+/**
+ * Remove the identify traits schema
+ */
+export function deleteTraitsSchema(tenantId) {
+    return deleteSchema(tenantId, TRAITS, 'No traits schema registered');
+}
+
+/**
+ * Get the identify traits schema, or null when none is registered
+ */
+export async function getTraitsSchema(tenantId) {
+    const result = await pool.query(
+        `SELECT ${SCHEMA_COLUMNS} FROM ${quoteIdent(tenantId)}.event_schemas
+         WHERE kind = $1 AND name = $2`,
+        [TRAITS.kind, TRAITS.name]
+    );
+    return result.rows[0] ? present(result.rows[0]) : null;
+}
+
+async function getRegisteredSchemas(tenantId) {
+    const cached = schemaCache.get(tenantId);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+        return cached.data;
+    }
+    const result = await pool.query(
+        `SELECT kind, name, schema FROM ${quoteIdent(tenantId)}.event_schemas`
+    );
+    const data = { events: new Map(), traits: null };
+    for (const row of result.rows) {
+        if (row.kind === 'event') {
+            data.events.set(row.name, row.schema);
+        } else {
+            data.traits = row.schema;
+        }
+    }
+    schemaCache.set(tenantId, { data, timestamp: Date.now() });
+    return data;
+}
+
+// Reject in strict mode; otherwise the errors are stored with the event
+function enforce(settings, errors, message) {
+    if (errors.length === 0) {
+        return null;
+    }
+    if (settings.mode === 'strict') {
+        throw new HttpError(400, message, { errors });
+    }
+    return errors;
+}
+
+/**
+ * Check a tracked event against its definition. `tenant` is `req.tenant`.
+ * Returns the validation errors to store with the event (null when valid or
+ * validation is off) and throws a 400 in strict mode.
+ */
+export async function validateEvent(tenant, eventName, properties) {
+    const settings = tenant.settings.validation;
+    if (settings.mode === 'off') {
+        return null;
+    }
+    if (typeof eventName !== 'string' || eventName === '') {
+        return enforce(settings, [{ path: '/eventName', message: 'is required' }], 'Event failed validation');
+    }
+    if (properties === null || typeof properties !== 'object' || Array.isArray(properties)) {
+        return enforce(settings, [{ path: '/', message: 'properties must be an object' }], 'Event failed validation');
+    }
+
+    const { events } = await getRegisteredSchemas(tenant.id);
+    const schema = events.get(eventName);
+    if (!schema) {
+        return enforce(settings, settings.allowUnknownEvents ? [] : [
+            { path: '/eventName', message: `'${eventName}' is not a registered event` }
+        ], 'Event failed validation');
+    }
+    return enforce(settings, validate(schema, properties), 'Event failed validation');
+}
+
+/**
+ * Check identify traits against the tenant's traits schema, like
+ * validateEvent
+ */
+export async function validateTraits(tenant, traits) {
+    const settings = tenant.settings.validation;
+    if (settings.mode === 'off') {
+        return null;
+    }
+    if (traits === null || typeof traits !== 'object' || Array.isArray(traits)) {
+        return enforce(settings, [{ path: '/', message: 'userData must be an object' }], 'Traits failed validation');
+    }
+
+    const { traits: schema } = await getRegisteredSchemas(tenant.id);
+    return enforce(settings, schema ? validate(schema, traits) : [], 'Traits failed validation');
+}
+
+/**
+ * Summarize the event names and top-level property types seen between
+ * `from` and `to`, with a starting schema for each event. Identify events
+ * list the traits they were sent with.
+ */
+export async function observedSchemas(tenantId, { from, to }) {
+    const schema = quoteIdent(tenantId);
+    const [events, properties, registered] = await Promise.all([
+        pool.query(
+            `SELECT event_name, count(*)::int AS count, max(timestamp) AS last_seen
+             FROM ${schema}.events
+             WHERE timestamp >= $1 AND timestamp < $2
+             GROUP BY event_name
+             ORDER BY count DESC`,
+            [from, to]
+        ),
+        pool.query(
+            `SELECT e.event_name, p.key, jsonb_typeof(p.value) AS type, count(*)::int AS count
+             FROM ${schema}.events e
+             CROSS JOIN LATERAL jsonb_each(
+               CASE WHEN jsonb_typeof(e.properties) = 'object' THEN e.properties ELSE '{}' END
+             ) p
+             WHERE e.timestamp >= $1 AND e.timestamp < $2
+             GROUP BY e.event_name, p.key, jsonb_typeof(p.value)`,
+            [from, to]
+        ),
+        getRegisteredSchemas(tenantId)
+    ]);
+
+    const byEvent = new Map(events.rows.map(row => [row.event_name, {
+        eventName: row.event_name,
+        count: row.count,
+        lastSeen: row.last_seen,
+        registered: registered.events.has(row.event_name),
+        properties: {}
+    }]));
+
+    for (const row of properties.rows) {
+        const event = byEvent.get(row.event_name);
+        if (!event) {
+            continue;
+        }
+        const property = event.properties[row.key] ||= { count: 0, types: {} };
+        property.count += row.count;
+        property.types[row.type] = row.count;
+    }
+
+    return [...byEvent.values()].map(event => ({ ...event, suggestedSchema: suggestSchema(event) }));
+}
+
+// A permissive schema matching what was observed: every property seen on all
+// events is required, and each allows every type it was seen with
+function suggestSchema(event) {
+    const properties = {};
+    const required = [];
+    for (const [key, { count, types }] of Object.entries(event.properties)) {
+        const seen = Object.keys(types).sort();
+        properties[key] = { type: seen.length === 1 ? seen[0] : seen };
+        if (count === event.count && !types.null) {
+            required.push(key);
+        }
+    }
+    return { type: 'object', properties, ...(required.length > 0 ? { required: required.sort() } : {}) };
+}
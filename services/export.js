@@ -0,0 +1,305 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { once } from 'events';
+import { pool } from '../db/connection.js';
+import { HttpError } from './errors.js';
+
+// Bulk export of a tenant's raw tables. Rows are read through a server-side
+// cursor inside a read-only snapshot, so memory use does not grow with the
+// export. Exports are incremental: each one returns a watermark, and passing
+// it back as `since` continues with the rows added after it. `schema` is
+// always an already-quoted tenant schema.
+
+const FETCH_SIZE = 1000;
+
+// `time` is the column `from`/`to` and day partitions use; `order` is the
+// keyset (column and type) the watermark is built from
+export const DATASETS = {
+    events: {
+        table: 'events',
+        time: 'timestamp',
+        order: [['id', 'bigint']],
+        columns: [
+            'id', 'session_id', 'visitor_id', 'profile_id', 'group_id', 'event_name', 'properties', 'identity',
+            'ip_address', 'browser_details', 'confidence_score', 'identification_method',
+            'geolocation', 'asn', 'risk_score', 'risk_status', 'validation_errors', 'timestamp'
+        ]
+    },
+    sessions: {
+        table: 'session_mappings',
+        time: 'started_at',
+        order: [['id', 'bigint']],
+        columns: [
+            'id', 'session_id', 'visitor_id', 'ip_address', 'browser_details', 'confidence_score',
+            'identification_method', 'risk_score', 'risk_status', 'started_at', 'last_activity_at',
+            'ended_at', 'end_reason', 'rotated_to', 'event_count', 'landing_page', 'exit_page', 'referrer',
+            'group_id', 'consent', 'consent_updated_at', 'anonymous'
+        ]
+    },
+    identity_mappings: {
+        table: 'identity_mappings',
+        time: 'first_seen_at',
+        order: [['id', 'bigint']],
+        columns: [
+            'id', 'visitor_id', 'ip_address', 'browser_details', 'confidence_score', 'first_seen_at',
+            'last_seen_at', 'geolocation', 'asn', 'identification_method', 'identity'
+        ]
+    },
+    // Profiles change in place, so their watermark follows updated_at and an
+    // incremental export includes every profile changed since the last one
+    profiles: {
+        table: 'profiles',
+        time: 'updated_at',
+        order: [['updated_at', 'timestamptz'], ['id', 'text']],
+        columns: [
+            'id', 'canonical_id', 'merged_into', 'merge_reason', 'merge_confidence', 'merged_at',
+            'traits', 'created_at', 'updated_at'
+        ]
+    },
+    groups: {
+        table: 'groups',
+        time: 'updated_at',
+        order: [['updated_at', 'timestamptz'], ['id', 'text']],
+        columns: ['id', 'traits', 'created_at', 'updated_at']
+    }
+};
+
+export const FORMATS = {
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+    csv: { contentType: 'text/csv', extension: 'csv' }
+};
+
+function parseTime(value, name) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const time = new Date(String(value));
+    if (Number.isNaN(time.getTime())) {
+        throw new HttpError(400, `${name} must be an ISO 8601 date`);
+    }
+    return time.toISOString();
+}
+
+// Watermarks carry the last exported row's order values; timestamps are kept
+// as Postgres text so no microseconds are lost
+function encodeWatermark(dataset, values) {
+    return Buffer.from(JSON.stringify([dataset, ...values])).toString('base64url');
+}
+
+function decodeWatermark(dataset, watermark) {
+    try {
+        const [name, ...values] = JSON.parse(Buffer.from(String(watermark), 'base64url').toString('utf8'));
+        if (name === dataset && values.length === DATASETS[dataset].order.length) {
+            return values;
+        }
+    } catch {
+        // Fall through to the error below
+    }
+    throw new HttpError(400, `Invalid watermark for ${dataset}`);
+}
+
+/**
+ * Parse and validate export options (as parsed by Express or the CLI)
+ */
+export function parseExportOptions(options) {
+    const dataset = options.dataset;
+    if (!DATASETS[dataset]) {
+        throw new HttpError(400, `dataset must be one of: ${Object.keys(DATASETS).join(', ')}`);
+    }
+    const format = options.format || 'ndjson';
+    if (!FORMATS[format]) {
+        throw new HttpError(400, `format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return {
+        dataset,
+        format,
+        from: parseTime(options.from, 'from'),
+        to: parseTime(options.to, 'to'),
+        since: options.since ? decodeWatermark(dataset, options.since) : undefined
+    };
+}
+
+/**
+ * Start an export. Returns the watermark the export ends at (known up front,
+ * so it can be sent before the rows) and an async iterator of rows. The
+ * export holds a pooled connection until the rows are read; call `close()`
+ * when done (including after errors) to release it.
+ */
+export async function openExport(schema, { dataset, from, to, since }) {
+    const { table, time, order, columns } = DATASETS[dataset];
+    const params = [];
+    const conditions = [];
+    if (from) {
+        params.push(from);
+        conditions.push(`${time} >= $${params.length}`);
+    }
+    if (to) {
+        params.push(to);
+        conditions.push(`${time} < $${params.length}`);
+    }
+    if (since) {
+        const placeholders = order.map(([, type], i) => {
+            params.push(since[i]);
+            return `$${params.length}::${type}`;
+        });
+        conditions.push(`(${order.map(([column]) => column).join(', ')}) > (${placeholders.join(', ')})`);
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+
+        // The snapshot's last row bounds the export and becomes the watermark
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const last = await client.query(
+            `SELECT ${order.map(([column]) => `${column}::text`).join(', ')}
+             FROM ${schema}.${table} ${where}
+             ORDER BY ${order.map(([column]) => `${column} DESC`).join(', ')}
+             LIMIT 1`,
+            params
+        );
+        const end = last.rows[0] ? order.map(([column]) => last.rows[0][column]) : null;
+
+        await client.query(
+            `DECLARE export_cursor NO SCROLL CURSOR FOR
+             SELECT ${columns.join(', ')} FROM ${schema}.${table} ${where}
+             ORDER BY ${order.map(([column]) => column).join(', ')}`,
+            params
+        );
+
+        let closed = false;
+        const close = async (failed = false) => {
+            if (closed) {
+                return;
+            }
+            closed = true;
+            await client.query(failed ? 'ROLLBACK' : 'COMMIT').catch(() => {});
+            client.release(failed || undefined);
+        };
+
+        return {
+            columns,
+            // Nothing new keeps the previous watermark
+            watermark: end ? encodeWatermark(dataset, end) : (since ? encodeWatermark(dataset, since) : null),
+            rows: readCursor(client, close),
+            close
+        };
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        client.release();
+        throw error;
+    }
+}
+
+async function* readCursor(client, close) {
+    try {
+        for (;;) {
+            const batch = await client.query(`FETCH ${FETCH_SIZE} FROM export_cursor`);
+            yield* batch.rows;
+            if (batch.rows.length < FETCH_SIZE) {
+                break;
+            }
+        }
+    } catch (error) {
+        await close(true);
+        throw error;
+    }
+    await close();
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatRow(row, format, columns) {
+    return format === 'csv'
+        ? `${columns.map(column => csvValue(row[column])).join(',')}\n`
+        : `${JSON.stringify(row)}\n`;
+}
+
+/**
+ * Serialize rows as lines of the given format (CSV starts with a header)
+ */
+export async function* formatRows(rows, format, columns) {
+    if (format === 'csv') {
+        yield `${columns.join(',')}\n`;
+    }
+    for await (const row of rows) {
+        yield formatRow(row, format, columns);
+    }
+}
+
+function partitionOf(value) {
+    return value ? new Date(value).toISOString().slice(0, 10) : 'unknown';
+}
+
+async function write(stream, chunk) {
+    if (!stream.write(chunk)) {
+        await once(stream, 'drain');
+    }
+}
+
+/**
+ * Export into one file per UTC day below `dir`:
+ * `<dir>/<dataset>/date=<YYYY-MM-DD>/<dataset>-<run>.<format>[.gz]`. Rows
+ * without a time go to `date=unknown`. Returns the watermark and the files
+ * written.
+ */
+export async function exportToFiles(schema, options, { dir, gzip = false }) {
+    const { dataset, format } = options;
+    const { columns, watermark, rows, close } = await openExport(schema, options);
+    const run = `${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}-${crypto.randomBytes(3).toString('hex')}`;
+    const extension = `${FORMATS[format].extension}${gzip ? '.gz' : ''}`;
+    const partitions = new Map();
+
+    const open = async day => {
+        const file = path.join(dir, dataset, `date=${day}`, `${dataset}-${run}.${extension}`);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const output = fs.createWriteStream(file);
+        const stream = gzip ? zlib.createGzip() : output;
+        if (gzip) {
+            stream.pipe(output);
+        }
+        const partition = { file, stream, output, rows: 0 };
+        if (format === 'csv') {
+            await write(stream, `${columns.join(',')}\n`);
+        }
+        partitions.set(day, partition);
+        return partition;
+    };
+
+    try {
+        for await (const row of rows) {
+            const day = partitionOf(row[DATASETS[dataset].time]);
+            const partition = partitions.get(day) || await open(day);
+            await write(partition.stream, formatRow(row, format, columns));
+            partition.rows += 1;
+        }
+    } finally {
+        await close();
+        await Promise.all([...partitions.values()].map(partition => {
+            partition.stream.end();
+            return once(partition.output, 'close');
+        }));
+    }
+
+    const files = [...partitions.values()].map(({ file, rows: count }) => ({ file, rows: count }));
+    return {
+        watermark,
+        rows: files.reduce((total, file) => total + file.rows, 0),
+        files
+    };
+}
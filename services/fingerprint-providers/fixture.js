@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+
+/**
+ * Fixture provider for tests: returns canned visitor data per requestId and
+ * derives a deterministic visitor for any other requestId. Request IDs
+ * starting with "invalid" fail like an unknown Pro request would.
+ */
+export function createFixtureProvider({ fixtures = {} } = {}) {
+    async function getVisitorData(requestId) {
+        if (String(requestId).startsWith('invalid')) {
+            throw new Error(`Unknown requestId: ${requestId}`);
+        }
+
+        const hash = crypto.createHash('sha256').update(String(requestId)).digest('hex');
+        const defaults = {
+            visitorId: `fixture_${hash.slice(0, 16)}`,
+            ip: '192.0.2.1',
+            browserDetails: {
+                browserName: 'Chrome',
+                browserMajorVersion: '120',
+                os: 'Mac OS X',
+                osVersion: '10.15.7',
+                device: 'Other',
+                userAgent: 'fixture'
+            },
+            incognito: false,
+            firstSeenAt: { global: '2024-01-01T00:00:00.000Z' },
+            lastSeenAt: { global: '2024-01-01T00:00:00.000Z' },
+            confidence: { score: 1 },
+            geolocation: {
+                country: { code: 'US', name: 'United States' },
+                city: { name: 'New York' }
+            },
+            asn: { asn: '64496', name: 'Documentation ASN' },
+            signals: {
+                bot: 'notDetected',
+                vpn: false,
+                proxy: false,
+                tor: false,
+                incognito: false,
+                tampering: false,
+                locationSpoofing: false
+            },
+            requestId
+        };
+
+        return { ...defaults, ...fixtures[requestId], requestId, raw: { fixture: true } };
+    }
+
+    return {
+        name: 'fixture',
+        cacheable: true,
+        getVisitorData
+    };
+}
@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+
+const BROWSERS = [
+    ['Edge', /Edg(?:e|A|iOS)?\/(\d+)/],
+    ['Opera', /OPR\/(\d+)/],
+    ['Firefox', /(?:Firefox|FxiOS)\/(\d+)/],
+    ['Chrome', /(?:Chrome|CriOS)\/(\d+)/],
+    ['Safari', /Version\/(\d+).*Safari/]
+];
+
+const OPERATING_SYSTEMS = [
+    ['Windows', /Windows NT ([\d.]+)/],
+    ['iOS', /(?:iPhone|iPad|iPod).*OS ([\d_]+)/],
+    ['Mac OS X', /Mac OS X ([\d_.]+)/],
+    ['Android', /Android ([\d.]+)/],
+    ['Linux', /Linux/]
+];
+
+// Helper function to derive browser details from a user agent string
+function parseUserAgent(userAgent = '') {
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+    const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+    return {
+        browserName: browser ? browser[0] : 'Other',
+        browserMajorVersion: browser ? userAgent.match(browser[1])[1] : '',
+        os: os ? os[0] : 'Other',
+        osVersion: os ? (userAgent.match(os[1])[1] || '').replace(/_/g, '.') : '',
+        device: /Mobi|Android|iPhone|iPad/.test(userAgent) ? 'Mobile' : 'Other',
+        userAgent
+    };
+}
+
+// Automation tools announce themselves in the user agent; crawlers are
+// reported as 'good' bots like FingerprintJS Pro does
+const BAD_BOTS = /HeadlessChrome|PhantomJS|Puppeteer|Playwright|Selenium|curl\/|python-requests|node-fetch/i;
+const GOOD_BOTS = /bot\b|crawler|spider|Googlebot|bingbot/i;
+
+function detectBot(userAgent) {
+    if (!userAgent || BAD_BOTS.test(userAgent)) {
+        return 'bad';
+    }
+    return GOOD_BOTS.test(userAgent) ? 'good' : 'notDetected';
+}
+
+// Serialize client-sent components with sorted keys so property order
+// does not change the visitor ID
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Local provider: derives a visitor ID from request headers and the
+ * components the client sends, without calling any external service. IDs
+ * are far less stable than FingerprintJS Pro, so matches get a lower
+ * confidence. Meant for development and air-gapped deployments.
+ */
+export function createLocalProvider({ salt = process.env.LOCAL_FINGERPRINT_SALT || '' } = {}) {
+    async function getVisitorData(requestId, context = {}) {
+        const headers = context.headers || {};
+        const userAgent = headers['user-agent'] || '';
+
+        const visitorId = crypto.createHash('sha256')
+            .update(salt)
+            .update(userAgent)
+            .update(headers['accept-language'] || '')
+            .update(stableStringify(context.components || {}))
+            .digest('hex')
+            .slice(0, 20);
+
+        const now = new Date().toISOString();
+        return {
+            visitorId,
+            ip: context.ip,
+            browserDetails: parseUserAgent(userAgent),
+            incognito: false,
+            firstSeenAt: { global: null },
+            lastSeenAt: { global: now },
+            confidence: { score: 0.5 },
+            geolocation: undefined,
+            asn: undefined,
+            // Only bot detection can be approximated locally
+            signals: {
+                bot: detectBot(userAgent),
+                vpn: null,
+                proxy: null,
+                tor: null,
+                incognito: null,
+                tampering: null,
+                locationSpoofing: null
+            },
+            requestId,
+            raw: { components: context.components || {} }
+        };
+    }
+
+    return {
+        name: 'local',
+        // Derived from each request's own headers, so never cached
+        cacheable: false,
+        // The client cannot compute the salted ID, so /init returns it
+        derivesVisitorId: true,
+        getVisitorData
+    };
+}
@@ -0,0 +1,87 @@
+import { FingerprintJsServerApiClient, Region } from '@fingerprintjs/fingerprintjs-pro-server-api';
+
+const REGIONS = {
+    global: Region.Global,
+    eu: Region.EU,
+    ap: Region.AP
+};
+
+/**
+ * FingerprintJS Pro provider: looks the requestId up with the Server API
+ */
+export function createProProvider({ apiKey = process.env.FPJS_PRIVATE_API_KEY, region = 'global' } = {}) {
+    let fpClient;
+
+    // Created on first use so the server can start without an API key when
+    // another provider is configured
+    function getClient() {
+        if (!fpClient) {
+            if (!apiKey) {
+                throw new Error('FPJS_PRIVATE_API_KEY is not set');
+            }
+            fpClient = new FingerprintJsServerApiClient({
+                apiKey,
+                region: REGIONS[region] || Region.Global
+            });
+        }
+        return fpClient;
+    }
+
+    async function getVisitorData(requestId) {
+        const event = await getClient().getEvent(requestId);
+
+        // Extract identification data from the nested structure
+        const identificationData = event.products?.identification?.data;
+        if (!identificationData) {
+            throw new Error('No identification data found in the response');
+        }
+
+        // Extract IP info data
+        const ipInfoData = event.products?.ipInfo?.data?.v4;
+
+        // Smart signals; products the subscription does not include are null
+        const products = event.products || {};
+        const signals = {
+            bot: products.botd?.data?.bot?.result ?? null,
+            vpn: products.vpn?.data?.result ?? null,
+            proxy: products.proxy?.data?.result ?? null,
+            tor: products.tor?.data?.result ?? null,
+            incognito: products.incognito?.data?.result ?? identificationData.incognito ?? null,
+            tampering: products.tampering?.data?.result ?? null,
+            locationSpoofing: products.locationSpoofing?.data?.result ?? null
+        };
+
+        return {
+            visitorId: identificationData.visitorId,
+            ip: identificationData.ip,
+            browserDetails: identificationData.browserDetails,
+            incognito: identificationData.incognito,
+            firstSeenAt: identificationData.firstSeenAt,
+            lastSeenAt: identificationData.lastSeenAt,
+            confidence: identificationData.confidence,
+            // Additional data from ipInfo if available
+            geolocation: ipInfoData?.geolocation,
+            asn: ipInfoData?.asn,
+            signals,
+            requestId,
+            // Include raw data for debugging
+            raw: {
+                identification: identificationData,
+                ipInfo: ipInfoData
+            }
+        };
+    }
+
+    // The smallest authenticated request the Server API offers
+    async function checkHealth() {
+        await getClient().searchEvents({ limit: 1 });
+    }
+
+    return {
+        name: 'fingerprintjs-pro',
+        // Events for a requestId never change, so lookups can be cached
+        cacheable: true,
+        getVisitorData,
+        checkHealth
+    };
+}
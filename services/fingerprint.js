@@ -1,66 +1,193 @@
-import { FingerprintJsServerApiClient, Region } from '@fingerprintjs/fingerprintjs-pro-server-api';
+import fs from 'fs';
+import { createProProvider } from './fingerprint-providers/pro.js';
+import { createLocalProvider } from './fingerprint-providers/local.js';
+import { createFixtureProvider } from './fingerprint-providers/fixture.js';
+import { HttpError } from './errors.js';
+import { logger } from './logger.js';
+import { fingerprintDuration, fingerprintErrors, timed } from './metrics.js';
 
-const fpClient = new FingerprintJsServerApiClient({
-    apiKey: process.env.FPJS_PRIVATE_API_KEY,
-    region: Region.Global
-});
+// A provider turns a requestId (plus the HTTP request context) into verified
+// visitor data: { name, cacheable, getVisitorData(requestId, context) }.
+// Providers that depend on a remote service may add checkHealth(), which
+// throws when the service cannot be used.
+const providerFactories = new Map([
+    ['fingerprintjs-pro', options => createProProvider(options)],
+    ['local', options => createLocalProvider(options)],
+    ['fixture', options => createFixtureProvider({
+        fixtures: process.env.FINGERPRINT_FIXTURES
+            ? JSON.parse(fs.readFileSync(process.env.FINGERPRINT_FIXTURES, 'utf8'))
+            : {},
+        ...options
+    })]
+]);
 
-export async function getVisitorData(requestId) {
-    console.count('times')
-    try {
-        console.log('Fetching visitor data for requestId:', requestId);
-        
-        // Get the event data
-        const event = await fpClient.getEvent(requestId);
-        console.log('Event data:', event);
-        
-        // Extract identification data from the nested structure
-        const identificationData = event.products?.identification?.data;
-        console.log(JSON.stringify(identificationData));
-        if (!identificationData) {
-            throw new Error('No identification data found in the response');
+// Provider instances, keyed by name and region
+const providers = new Map();
+
+// Cache for verified visitor data per provider and requestId (TTL: 10
+// minutes by default), plus lookups in flight so concurrent calls for the
+// same requestId share one API request
+const visitorCache = new Map();
+const inFlight = new Map();
+const CACHE_TTL = Number(process.env.FINGERPRINT_CACHE_TTL_MS) || 10 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 10000;
+
+// Results of provider health checks (TTL: 30 seconds), so frequent probes
+// do not use up API quota
+const healthCache = new Map();
+const HEALTH_TTL = 30 * 1000;
+
+export const DEFAULT_FINGERPRINT_SETTINGS = {
+    // null uses FINGERPRINT_PROVIDER (default 'fingerprintjs-pro')
+    provider: null,
+    region: 'global'
+};
+
+/**
+ * Register an additional provider factory
+ */
+export function registerProvider(name, factory) {
+    providerFactories.set(name, factory);
+    for (const key of providers.keys()) {
+        if (key.startsWith(`${name}:`)) {
+            providers.delete(key);
         }
+    }
+}
+
+/**
+ * Validate a tenant's fingerprint settings
+ */
+export function validateFingerprintSettings(settings) {
+    if (settings.provider !== null && !providerFactories.has(settings.provider)) {
+        throw new HttpError(400, `Unknown fingerprint provider: ${settings.provider}`);
+    }
+    if (!['global', 'eu', 'ap'].includes(settings.region)) {
+        throw new HttpError(400, "fingerprint.region must be 'global', 'eu' or 'ap'");
+    }
+}
 
-        // Extract IP info data
-        const ipInfoData = event.products?.ipInfo?.data?.v4;
-        console.log({ipInfoData})
-        console.log("Location Spoofing => ", JSON.stringify(event.products?.locationSpoofing));
-        
-        return {
-            visitorId: identificationData.visitorId,
-            ip: identificationData.ip,
-            browserDetails: identificationData.browserDetails,
-            incognito: identificationData.incognito,
-            firstSeenAt: identificationData.firstSeenAt,
-            lastSeenAt: identificationData.lastSeenAt,
-            confidence: identificationData.confidence,
-            // Additional data from ipInfo if available
-            geolocation: ipInfoData?.geolocation,
-            asn: ipInfoData?.asn,
-            requestId,
-            // Include raw data for debugging
-            raw: {
-                identification: identificationData,
-                ipInfo: ipInfoData
-            }
+/**
+ * Get the provider for a tenant's fingerprint settings, falling back to the
+ * environment's default
+ */
+export function getProvider(settings = DEFAULT_FINGERPRINT_SETTINGS) {
+    const name = settings.provider || process.env.FINGERPRINT_PROVIDER || 'fingerprintjs-pro';
+    const region = settings.region || 'global';
+    const key = `${name}:${region}`;
+
+    if (!providers.has(key)) {
+        const factory = providerFactories.get(name);
+        if (!factory) {
+            throw new Error(`Unknown fingerprint provider: ${name}`);
         }
+        providers.set(key, factory({ region }));
+    }
+    return providers.get(key);
+}
+
+/**
+ * Context the local provider derives visitor IDs from
+ */
+export function fingerprintContext(req) {
+    return {
+        ip: req.ip,
+        headers: {
+            'user-agent': req.get('user-agent'),
+            'accept-language': req.get('accept-language')
+        },
+        components: req.body?.components
+    };
+}
+
+export async function getVisitorData(requestId, { settings, context } = {}) {
+    const provider = getProvider(settings);
+    if (!provider.cacheable) {
+        return fetchVisitorData(provider, requestId, context);
+    }
+
+    const cacheKey = `${provider.name}:${settings?.region || 'global'}:${requestId}`;
+    const cached = visitorCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+        return cached.data;
+    }
+
+    if (!inFlight.has(cacheKey)) {
+        const lookup = fetchVisitorData(provider, requestId, context)
+            .then(data => {
+                // Maps iterate in insertion order, so the first key is the oldest
+                if (visitorCache.size >= CACHE_MAX_ENTRIES) {
+                    visitorCache.delete(visitorCache.keys().next().value);
+                }
+                visitorCache.set(cacheKey, { data, timestamp: Date.now() });
+                return data;
+            })
+            .finally(() => inFlight.delete(cacheKey));
+        inFlight.set(cacheKey, lookup);
+    }
+    return inFlight.get(cacheKey);
+}
+
+async function fetchVisitorData(provider, requestId, context) {
+    try {
+        return await timed(fingerprintDuration, fingerprintErrors, { provider: provider.name }, () =>
+            provider.getVisitorData(requestId, context)
+        );
     } catch (error) {
-        console.error('Error getting visitor data:', error);
+        logger.error('Error getting visitor data:', { provider: provider.name, err: error });
         throw error;
     }
 }
 
+/**
+ * Check the default provider and every provider tenants have used since
+ * startup. Returns each one's status, keyed by name and region.
+ */
+export async function checkProviders() {
+    getProvider();
+
+    const results = {};
+    await Promise.all([...providers.entries()].map(async ([key, provider]) => {
+        const cached = healthCache.get(key);
+        if (cached && Date.now() - cached.timestamp < HEALTH_TTL) {
+            results[key] = cached.result;
+            return;
+        }
+
+        let result;
+        try {
+            await provider.checkHealth?.();
+            result = { status: 'ok' };
+        } catch (error) {
+            result = { status: 'error', error: error.message };
+        }
+        healthCache.set(key, { result, timestamp: Date.now() });
+        results[key] = result;
+    }));
+    return results;
+}
+
 // Helper function to verify visitor ID
-export async function verifyVisitorId(requestId, claimedVisitorId) {
+export async function verifyVisitorId(requestId, claimedVisitorId, options = {}) {
     try {
-        const visitorData = await getVisitorData(requestId);
+        const visitorData = await getVisitorData(requestId, options);
         return visitorData.visitorId === claimedVisitorId;
     } catch (error) {
-        console.error('Error verifying visitor ID:', error);
+        logger.error('Error verifying visitor ID:', error);
         return false;
     }
 }
 
+// Clear expired cache entries periodically
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, value] of visitorCache.entries()) {
+        if (now - value.timestamp > CACHE_TTL) {
+            visitorCache.delete(key);
+        }
+    }
+}, CACHE_TTL).unref();
+
 export default {
     getVisitorData,
     verifyVisitorId
@@ -0,0 +1,163 @@
+import { pool } from '../db/connection.js';
+import { getSessionNetwork, getSessionProfile } from './identity.js';
+import { DEFAULT_TRAIT_SETTINGS, combineTraits, timedTraits } from './traits.js';
+
+// Groups are the accounts (companies, workspaces, ...) of B2B tenants,
+// identified by the tenant's own group IDs. A profile can belong to several
+// groups; the one a session last acted for is its active group and is
+// recorded on the session's events. Group traits are combined trait by trait
+// like profile traits, the latest value winning. `schema` is always an
+// already-quoted tenant schema.
+
+function present(row) {
+    return {
+        id: row.id,
+        traits: row.traits,
+        traitTimestamps: row.trait_timestamps,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Add a profile to a group (creating the group if needed) and combine the
+ * given traits, set at `timestamp`, into the group's. Must run inside the
+ * caller's transaction. Returns the group.
+ */
+export async function addGroupMember(client, schema, profileId, groupId, traits = {}, { timestamp = new Date() } = {}) {
+    await client.query(
+        `INSERT INTO ${schema}.groups (id) VALUES ($1) ON CONFLICT DO NOTHING`,
+        [groupId]
+    );
+    const current = await client.query(
+        `SELECT * FROM ${schema}.groups WHERE id = $1 FOR UPDATE`,
+        [groupId]
+    );
+
+    const at = new Date(timestamp).toISOString();
+    const incoming = { traits, timestamps: {} };
+    for (const trait of Object.keys(traits)) {
+        incoming.timestamps[trait] = at;
+    }
+    const combined = combineTraits(timedTraits(current.rows[0]), incoming, DEFAULT_TRAIT_SETTINGS);
+
+    const group = await client.query(
+        `UPDATE ${schema}.groups
+         SET traits = $2, trait_timestamps = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [groupId, combined.traits, combined.timestamps]
+    );
+
+    await client.query(
+        `INSERT INTO ${schema}.group_memberships (group_id, profile_id, active_at)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (group_id, profile_id)
+         DO UPDATE SET active_at = GREATEST(group_memberships.active_at, EXCLUDED.active_at)`,
+        [groupId, profileId, at]
+    );
+
+    return present(group.rows[0]);
+}
+
+/**
+ * Make a group the session's active group: add the session's profile to it,
+ * combine the traits into the group's and record the group event. Must run
+ * inside the caller's transaction.
+ */
+export async function groupSession(client, schema, sessionId, session, groupId, traits = {}, { tenant, timestamp } = {}) {
+    const profile = await getSessionProfile(client, schema, sessionId, session);
+
+    await client.query(
+        `UPDATE ${schema}.session_mappings SET group_id = $2 WHERE session_id = $1`,
+        [sessionId, groupId]
+    );
+
+    const network = await getSessionNetwork(client, tenant, session);
+    const groupEvent = await client.query(
+        `INSERT INTO ${schema}.events
+         (session_id, visitor_id, event_name, properties, profile_id, group_id,
+          ip_address, browser_details, confidence_score, identification_method,
+          geolocation, risk_score, risk_status, timestamp)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, COALESCE($14, CURRENT_TIMESTAMP))
+         RETURNING id, timestamp`,
+        [
+            sessionId,
+            session.visitor_id,
+            'group',
+            traits,
+            profile.id,
+            groupId,
+            network.ip,
+            session.browser_details,
+            session.confidence_score,
+            session.identification_method,
+            network.geolocation,
+            session.risk_score,
+            session.risk_status,
+            timestamp || null
+        ]
+    );
+    const { id: eventId, timestamp: eventTimestamp } = groupEvent.rows[0];
+
+    const group = await addGroupMember(client, schema, profile.id, groupId, traits, { timestamp: eventTimestamp });
+    return { eventId, eventTimestamp, profile, group };
+}
+
+/**
+ * The group a profile (or any profile merged into it) last acted for, or
+ * null. New sessions start out in it.
+ */
+export async function activeGroupId(client, schema, profileId) {
+    const result = await client.query(
+        `SELECT m.group_id
+         FROM ${schema}.group_memberships m
+         JOIN ${schema}.profiles p ON p.id = m.profile_id
+         WHERE p.canonical_id = (SELECT canonical_id FROM ${schema}.profiles WHERE id = $1)
+         ORDER BY m.active_at DESC
+         LIMIT 1`,
+        [profileId]
+    );
+    return result.rows[0]?.group_id ?? null;
+}
+
+/**
+ * Groups of a canonical profile and every profile merged into it
+ */
+export async function getProfileGroups(client, schema, profileId) {
+    const result = await client.query(
+        `SELECT g.id, g.traits, MIN(m.created_at) AS joined_at, MAX(m.active_at) AS active_at
+         FROM ${schema}.group_memberships m
+         JOIN ${schema}.profiles p ON p.id = m.profile_id
+         JOIN ${schema}.groups g ON g.id = m.group_id
+         WHERE p.canonical_id = $1
+         GROUP BY g.id
+         ORDER BY MAX(m.active_at) DESC`,
+        [profileId]
+    );
+    return result.rows.map(row => ({
+        groupId: row.id,
+        traits: row.traits,
+        joinedAt: row.joined_at,
+        activeAt: row.active_at
+    }));
+}
+
+/**
+ * Get a group with the number of (canonical) profiles in it
+ */
+export async function getGroup(schema, groupId) {
+    const result = await pool.query(
+        `SELECT g.*, (
+           SELECT COUNT(DISTINCT p.canonical_id)
+           FROM ${schema}.group_memberships m
+           JOIN ${schema}.profiles p ON p.id = m.profile_id
+           WHERE m.group_id = g.id
+         )::int AS member_count
+         FROM ${schema}.groups g
+         WHERE g.id = $1`,
+        [groupId]
+    );
+    const row = result.rows[0];
+    return row ? { ...present(row), memberCount: row.member_count } : null;
+}
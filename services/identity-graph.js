@@ -0,0 +1,471 @@
+import crypto from 'crypto';
+import { pool } from '../db/connection.js';
+import { HttpError } from './errors.js';
+import { DEFAULT_TRAIT_SETTINGS, mergeTraits } from './traits.js';
+import { getProfileGroups } from './groups.js';
+import { enqueueMessages, mergeMessage } from './destinations.js';
+
+// Every visitor, session and user ID is linked to exactly one profile at a
+// time. Profiles are merged by pointing one at another rather than copying
+// identity around, so a wrong stitch can be undone. `schema` is always an
+// already-quoted tenant schema.
+
+const LINK_KINDS = ['visitor', 'session', 'user'];
+
+function generateProfileId() {
+    return `prof_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Run fn inside a transaction on its own client
+async function withTransaction(fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Create an empty (anonymous) profile
+ */
+export async function createProfile(client, schema, traits = {}) {
+    const id = generateProfileId();
+    const result = await client.query(
+        `INSERT INTO ${schema}.profiles (id, canonical_id, traits)
+         VALUES ($1, $1, $2)
+         RETURNING *`,
+        [id, traits]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Get the canonical profile for any profile ID, following merges
+ */
+export async function getCanonicalProfile(client, schema, profileId) {
+    const result = await client.query(
+        `SELECT c.*
+         FROM ${schema}.profiles p
+         JOIN ${schema}.profiles c ON c.id = p.canonical_id
+         WHERE p.id = $1`,
+        [profileId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Get the canonical profile an identifier is currently linked to
+ */
+export async function getLinkedProfile(client, schema, kind, value) {
+    const result = await client.query(
+        `SELECT c.*, l.reason AS link_reason, l.confidence AS link_confidence
+         FROM ${schema}.identity_links l
+         JOIN ${schema}.profiles p ON p.id = l.profile_id
+         JOIN ${schema}.profiles c ON c.id = p.canonical_id
+         WHERE l.kind = $1 AND l.value = $2 AND l.removed_at IS NULL`,
+        [kind, value]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Link an identifier to a profile, recording why and how confident we are.
+ * An identifier that is already linked keeps its existing link.
+ */
+export async function linkIdentifier(client, schema, profileId, kind, value, { reason, confidence }) {
+    if (!LINK_KINDS.includes(kind)) {
+        throw new Error(`Unknown identity link kind: ${kind}`);
+    }
+
+    await client.query(
+        `INSERT INTO ${schema}.identity_links (profile_id, kind, value, reason, confidence)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT DO NOTHING`,
+        [profileId, kind, String(value), reason, confidence]
+    );
+}
+
+/**
+ * Move an identifier to another profile. Its current link is kept as removed.
+ */
+export async function relinkIdentifier(client, schema, profileId, kind, value, { reason, confidence }) {
+    await client.query(
+        `UPDATE ${schema}.identity_links
+         SET removed_at = CURRENT_TIMESTAMP
+         WHERE kind = $1 AND value = $2 AND removed_at IS NULL`,
+        [kind, String(value)]
+    );
+    await linkIdentifier(client, schema, profileId, kind, value, { reason, confidence });
+}
+
+/**
+ * Whether a visitor was explicitly split away from a profile and must not be
+ * automatically stitched back to it
+ */
+export async function isExcluded(client, schema, visitorId, profileId) {
+    const result = await client.query(
+        `SELECT 1 FROM ${schema}.identity_exclusions
+         WHERE visitor_id = $1
+         AND profile_id IN (
+           SELECT id FROM ${schema}.profiles WHERE canonical_id = (
+             SELECT canonical_id FROM ${schema}.profiles WHERE id = $2
+           )
+         )
+         LIMIT 1`,
+        [visitorId, profileId]
+    );
+    return result.rows.length > 0;
+}
+
+/**
+ * Hash under which an erased visitor ID is suppressed
+ */
+export function visitorHash(visitorId) {
+    return crypto.createHash('sha256').update(String(visitorId)).digest('hex');
+}
+
+/**
+ * Whether a visitor ID was erased and must not be stitched to anything again
+ */
+export async function isSuppressed(client, schema, visitorId) {
+    const result = await client.query(
+        `SELECT 1 FROM ${schema}.suppressed_visitors WHERE visitor_hash = $1`,
+        [visitorHash(visitorId)]
+    );
+    return result.rows.length > 0;
+}
+
+/**
+ * Whether a canonical profile or any profile merged into it has a user ID
+ */
+export async function hasUserId(client, schema, profileId) {
+    const result = await client.query(
+        `SELECT 1 FROM ${schema}.identity_links l
+         JOIN ${schema}.profiles p ON p.id = l.profile_id
+         WHERE p.canonical_id = $1 AND l.kind = 'user' AND l.removed_at IS NULL
+         LIMIT 1`,
+        [profileId]
+    );
+    return result.rows.length > 0;
+}
+
+/**
+ * Whether a profile carries any identity (traits or a user ID)
+ */
+export async function isIdentifiedProfile(client, schema, profile) {
+    if (profile.traits && Object.keys(profile.traits).length > 0) {
+        return true;
+    }
+    return hasUserId(client, schema, profile.id);
+}
+
+/**
+ * Merge two profiles inside the caller's transaction. The source's root is
+ * attached under the target's root; traits are combined under the tenant's
+ * trait rules, with the target winning ties. Returns the surviving canonical
+ * profile.
+ */
+export async function mergeProfilesInTransaction(client, schema, sourceProfileId, targetProfileId, {
+    reason,
+    confidence = 1.0,
+    traitSettings = DEFAULT_TRAIT_SETTINGS
+}) {
+    const roots = [
+        await getCanonicalProfile(client, schema, sourceProfileId),
+        await getCanonicalProfile(client, schema, targetProfileId)
+    ];
+    if (!roots[0] || !roots[1]) {
+        throw new HttpError(404, 'Unknown profile');
+    }
+
+    // Lock both roots in a stable order so concurrent merges cannot deadlock,
+    // then re-read them in case either was merged in the meantime
+    await client.query(
+        `SELECT id FROM ${schema}.profiles WHERE id = ANY($1) ORDER BY id FOR UPDATE`,
+        [roots.map(root => root.id)]
+    );
+    const source = await getCanonicalProfile(client, schema, sourceProfileId);
+    const target = await getCanonicalProfile(client, schema, targetProfileId);
+    if (source.id === target.id) {
+        return target;
+    }
+
+    await client.query(
+        `UPDATE ${schema}.profiles
+         SET merged_into = $2,
+             merge_reason = $3,
+             merge_confidence = $4,
+             merged_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [source.id, target.id, reason, confidence]
+    );
+
+    await client.query(
+        `UPDATE ${schema}.profiles SET canonical_id = $2 WHERE canonical_id = $1`,
+        [source.id, target.id]
+    );
+
+    await mergeTraits(client, schema, source, target, traitSettings);
+    await client.query(
+        `UPDATE ${schema}.profiles SET updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [target.id]
+    );
+
+    return getCanonicalProfile(client, schema, target.id);
+}
+
+/**
+ * Merge one profile into another. With `tenantId`, the merge is also queued
+ * for the tenant's destinations.
+ */
+export async function mergeProfiles(schema, sourceProfileId, targetProfileId, {
+    reason = 'manual',
+    confidence = 1.0,
+    traitSettings,
+    tenantId
+} = {}) {
+    return withTransaction(async client => {
+        const merged = await mergeProfilesInTransaction(
+            client, schema, sourceProfileId, targetProfileId, { reason, confidence, traitSettings }
+        );
+        if (tenantId) {
+            await enqueueMessages(client, tenantId, [mergeMessage({
+                sourceProfileId,
+                targetProfileId: merged.id,
+                reason,
+                confidence,
+                traits: merged.traits
+            })]);
+        }
+        return merged;
+    });
+}
+
+/**
+ * Alias a previous identifier (`{ kind, value }` for a visitor, session or
+ * user ID) to a user ID, e.g. when a user logs in on another device or
+ * changes their user ID. When both already belong to profiles, the previous
+ * identifier's profile is merged into the user's; otherwise the missing
+ * identifier is linked to the known one's profile. Returns the canonical
+ * profile and the ID of the profile merged into it, if any; with `tenantId`,
+ * such a merge is also queued for the tenant's destinations.
+ */
+export async function aliasIdentifier(schema, previous, userId, { traitSettings, tenantId } = {}) {
+    return withTransaction(async client => {
+        const link = { reason: 'alias', confidence: 1.0 };
+        const source = await getLinkedProfile(client, schema, previous.kind, previous.value);
+        if (!source && previous.kind !== 'user') {
+            throw new HttpError(404, `Unknown ${previous.kind} ID`);
+        }
+
+        let target = await getLinkedProfile(client, schema, 'user', userId);
+        if (!source || !target) {
+            // A user ID seen for the first time joins the other identifier's profile
+            if (!target && !source) {
+                target = await createProfile(client, schema);
+            }
+            const profileId = (source || target).id;
+            await linkIdentifier(client, schema, profileId, 'user', userId, link);
+            await linkIdentifier(client, schema, profileId, previous.kind, previous.value, link);
+            target = await getLinkedProfile(client, schema, 'user', userId);
+        }
+
+        const current = await getLinkedProfile(client, schema, previous.kind, previous.value);
+        if (current.id === target.id) {
+            return { profile: target, mergedProfileId: null };
+        }
+        const profile = await mergeProfilesInTransaction(client, schema, current.id, target.id, {
+            ...link,
+            traitSettings
+        });
+        if (tenantId) {
+            await enqueueMessages(client, tenantId, [mergeMessage({
+                ...link,
+                sourceProfileId: current.id,
+                targetProfileId: profile.id,
+                traits: profile.traits
+            })]);
+        }
+        return { profile, mergedProfileId: current.id };
+    });
+}
+
+/**
+ * Undo a merge: detach a profile (and everything merged into it) from its
+ * parent. Its visitors are excluded from being stitched back automatically.
+ * Traits already copied onto the former root are left in place.
+ */
+export async function unmergeProfile(schema, profileId) {
+    return withTransaction(async client => {
+        const result = await client.query(
+            `SELECT * FROM ${schema}.profiles WHERE id = $1 FOR UPDATE`,
+            [profileId]
+        );
+        const profile = result.rows[0];
+
+        if (!profile) {
+            throw new HttpError(404, 'Unknown profile');
+        }
+        if (!profile.merged_into) {
+            throw new HttpError(409, 'Profile is not merged into another profile');
+        }
+
+        const formerRoot = profile.canonical_id;
+
+        const subtree = await client.query(
+            `WITH RECURSIVE subtree AS (
+               SELECT id FROM ${schema}.profiles WHERE id = $1
+               UNION ALL
+               SELECT p.id FROM ${schema}.profiles p JOIN subtree t ON p.merged_into = t.id
+             )
+             UPDATE ${schema}.profiles
+             SET canonical_id = $1
+             WHERE id IN (SELECT id FROM subtree)
+             RETURNING id`,
+            [profileId]
+        );
+
+        await client.query(
+            `UPDATE ${schema}.profiles
+             SET merged_into = NULL,
+                 merge_reason = NULL,
+                 merge_confidence = NULL,
+                 merged_at = NULL,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [profileId]
+        );
+
+        await client.query(
+            `INSERT INTO ${schema}.identity_exclusions (visitor_id, profile_id)
+             SELECT value, $2 FROM ${schema}.identity_links
+             WHERE kind = 'visitor' AND removed_at IS NULL AND profile_id = ANY($1)
+             ON CONFLICT DO NOTHING`,
+            [subtree.rows.map(row => row.id), formerRoot]
+        );
+
+        return getCanonicalProfile(client, schema, profileId);
+    });
+}
+
+/**
+ * Split a visitor (and its sessions and events) out of its current profile
+ * into a new profile of its own
+ */
+export async function splitVisitor(schema, visitorId, { reason = 'split' } = {}) {
+    return withTransaction(async client => {
+        const current = await getLinkedProfile(client, schema, 'visitor', visitorId);
+        if (!current) {
+            throw new HttpError(404, 'Unknown visitor');
+        }
+
+        const others = await client.query(
+            `SELECT 1 FROM ${schema}.identity_links l
+             JOIN ${schema}.profiles p ON p.id = l.profile_id
+             WHERE p.canonical_id = $1
+             AND l.removed_at IS NULL
+             AND l.kind IN ('visitor', 'user')
+             AND NOT (l.kind = 'visitor' AND l.value = $2)
+             LIMIT 1`,
+            [current.id, visitorId]
+        );
+        if (others.rows.length === 0) {
+            throw new HttpError(409, 'Visitor is not stitched to any other identifier');
+        }
+
+        const profile = await createProfile(client, schema);
+
+        const sessions = await client.query(
+            `SELECT session_id FROM ${schema}.session_mappings WHERE visitor_id = $1`,
+            [visitorId]
+        );
+        const sessionIds = sessions.rows.map(row => row.session_id);
+
+        await client.query(
+            `UPDATE ${schema}.identity_links
+             SET removed_at = CURRENT_TIMESTAMP
+             WHERE removed_at IS NULL
+             AND ((kind = 'visitor' AND value = $1) OR (kind = 'session' AND value = ANY($2)))`,
+            [visitorId, sessionIds]
+        );
+
+        await linkIdentifier(client, schema, profile.id, 'visitor', visitorId, { reason, confidence: 1.0 });
+        for (const sessionId of sessionIds) {
+            await linkIdentifier(client, schema, profile.id, 'session', sessionId, { reason, confidence: 1.0 });
+        }
+
+        await client.query(
+            `UPDATE ${schema}.events SET profile_id = $1 WHERE visitor_id = $2`,
+            [profile.id, visitorId]
+        );
+
+        await client.query(
+            `INSERT INTO ${schema}.identity_exclusions (visitor_id, profile_id)
+             VALUES ($1, $2)
+             ON CONFLICT DO NOTHING`,
+            [visitorId, current.id]
+        );
+
+        return { visitorId, previousProfileId: current.id, profile };
+    });
+}
+
+/**
+ * Get a canonical profile with its active links, merged profiles and groups
+ */
+export async function getProfile(schema, profileId) {
+    const profile = await getCanonicalProfile(pool, schema, profileId);
+    if (!profile) {
+        return null;
+    }
+
+    const [links, merged, groups] = await Promise.all([
+        pool.query(
+            `SELECT l.kind, l.value, l.reason, l.confidence, l.profile_id, l.created_at
+             FROM ${schema}.identity_links l
+             JOIN ${schema}.profiles p ON p.id = l.profile_id
+             WHERE p.canonical_id = $1 AND l.removed_at IS NULL
+             ORDER BY l.created_at`,
+            [profile.id]
+        ),
+        pool.query(
+            `SELECT id, merged_into, merge_reason, merge_confidence, merged_at
+             FROM ${schema}.profiles
+             WHERE canonical_id = $1 AND id != $1
+             ORDER BY merged_at`,
+            [profile.id]
+        ),
+        getProfileGroups(pool, schema, profile.id)
+    ]);
+
+    return {
+        id: profile.id,
+        traits: profile.traits,
+        traitTimestamps: profile.trait_timestamps,
+        traitsVersion: profile.traits_version,
+        createdAt: profile.created_at,
+        updatedAt: profile.updated_at,
+        links: links.rows,
+        mergedProfiles: merged.rows,
+        groups
+    };
+}
+
+/**
+ * Find the canonical profile for a visitor, session or user ID
+ */
+export async function findProfile(schema, { visitorId, sessionId, userId }) {
+    const [kind, value] = visitorId ? ['visitor', visitorId]
+        : sessionId ? ['session', sessionId]
+        : ['user', userId];
+    const profile = await getLinkedProfile(pool, schema, kind, value);
+    return profile ? getProfile(schema, profile.id) : null;
+}
@@ -0,0 +1,205 @@
+import { HttpError } from './errors.js';
+
+// Heuristic identity resolution. Candidates are other visitors found through
+// an "anchor" signal (same IP or ASN); every enabled signal then contributes
+// weight * score (score in [0, 1]) and the total is decayed by how long ago
+// the candidate was last seen. The defaults reproduce the original cascade:
+// IP + browser + OS scores 0.6 and IP alone 0.4.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Signal matchers, keyed by name. Each compares the visitor being resolved
+// with a candidate identity_mappings row and returns a score in [0, 1].
+const signals = new Map();
+
+/**
+ * Register a signal matcher. `anchor` signals are also used to find
+ * candidates and must provide a `candidateFilter(visitor)` returning a SQL
+ * condition on alias `m` and its parameter value, or null.
+ */
+export function registerSignal(name, { match, anchor = false, candidateFilter }) {
+    signals.set(name, { match, anchor, candidateFilter });
+}
+
+registerSignal('ip', {
+    anchor: true,
+    candidateFilter: visitor => visitor.ip ? { sql: 'm.ip_address = $?', value: visitor.ip } : null,
+    match: (visitor, candidate) => Number(!!visitor.ip && visitor.ip === candidate.ip_address)
+});
+
+registerSignal('asn', {
+    anchor: true,
+    candidateFilter: visitor => visitor.asn?.asn ? { sql: "m.asn->>'asn' = $?", value: String(visitor.asn.asn) } : null,
+    match: (visitor, candidate) => Number(!!visitor.asn?.asn && String(visitor.asn.asn) === String(candidate.asn?.asn))
+});
+
+registerSignal('browser', {
+    match: (visitor, candidate) => Number(!!visitor.browserDetails?.browserName &&
+        visitor.browserDetails.browserName === candidate.browser_details?.browserName)
+});
+
+registerSignal('os', {
+    match: (visitor, candidate) => Number(!!visitor.browserDetails?.os &&
+        visitor.browserDetails.os === candidate.browser_details?.os)
+});
+
+// Same city scores fully, same country only half
+registerSignal('geolocation', {
+    match: (visitor, candidate) => {
+        const a = visitor.geolocation;
+        const b = candidate.geolocation;
+        if (!a?.country?.code || a.country.code !== b?.country?.code) {
+            return 0;
+        }
+        return a.city?.name && a.city.name === b.city?.name ? 1 : 0.5;
+    }
+});
+
+registerSignal('recency', {
+    match: (visitor, candidate, rule) => {
+        const lastSeen = candidate.last_seen_at ? new Date(candidate.last_seen_at).getTime() : 0;
+        return Number(Date.now() - lastSeen <= (rule.windowHours || 24) * 60 * 60 * 1000);
+    }
+});
+
+export const DEFAULT_RESOLUTION_RULES = {
+    signals: {
+        ip: { enabled: true, weight: 0.4 },
+        browser: { enabled: true, weight: 0.1 },
+        os: { enabled: true, weight: 0.1 },
+        asn: { enabled: false, weight: 0.1 },
+        geolocation: { enabled: false, weight: 0.1 },
+        recency: { enabled: false, weight: 0.1, windowHours: 24 }
+    },
+    // Heuristic matches below this confidence are never stitched automatically
+    minConfidence: 0.4,
+    // Anonymous visitors related to one that identifies are merged into its
+    // profile at or above this confidence
+    minMergeConfidence: 0.6,
+    // Halve a candidate's confidence every halfLifeDays since it was last
+    // seen; null disables decay
+    decay: { halfLifeDays: null },
+    maxCandidates: 50
+};
+
+/**
+ * Validate effective identity resolution rules for a tenant
+ */
+export function validateResolutionRules(rules) {
+    for (const [name, rule] of Object.entries(rules.signals || {})) {
+        if (!signals.has(name)) {
+            throw new HttpError(400, `Unknown identity signal: ${name}`);
+        }
+        if (typeof rule.weight !== 'number' || rule.weight < 0 || rule.weight > 1) {
+            throw new HttpError(400, `identityResolution.signals.${name}.weight must be between 0 and 1`);
+        }
+    }
+    for (const field of ['minConfidence', 'minMergeConfidence']) {
+        if (typeof rules[field] !== 'number' || rules[field] < 0 || rules[field] > 1) {
+            throw new HttpError(400, `identityResolution.${field} must be between 0 and 1`);
+        }
+    }
+    const halfLife = rules.decay?.halfLifeDays;
+    if (halfLife !== null && halfLife !== undefined && !(halfLife > 0)) {
+        throw new HttpError(400, 'identityResolution.decay.halfLifeDays must be positive or null');
+    }
+    if (!Number.isInteger(rules.maxCandidates) || rules.maxCandidates < 1) {
+        throw new HttpError(400, 'identityResolution.maxCandidates must be a positive integer');
+    }
+}
+
+// Legacy match type names, kept so existing clients see the same values
+function matchTypeFor(matched) {
+    if (matched.includes('ip')) {
+        return matched.includes('browser') && matched.includes('os') ? 'ip_browser' : 'ip';
+    }
+    return 'heuristic';
+}
+
+/**
+ * Score one candidate identity_mappings row against the visitor
+ */
+export function scoreCandidate(visitor, candidate, rules) {
+    const explanation = [];
+    let confidence = 0;
+
+    for (const [name, rule] of Object.entries(rules.signals)) {
+        if (!rule.enabled || !signals.has(name)) {
+            continue;
+        }
+        const score = signals.get(name).match(visitor, candidate, rule);
+        const contribution = rule.weight * score;
+        confidence += contribution;
+        explanation.push({ signal: name, matched: score > 0, score, weight: rule.weight, contribution });
+    }
+
+    let decayFactor = 1;
+    const halfLife = rules.decay?.halfLifeDays;
+    if (halfLife && candidate.last_seen_at) {
+        const ageDays = Math.max(0, Date.now() - new Date(candidate.last_seen_at).getTime()) / DAY_MS;
+        decayFactor = Math.pow(0.5, ageDays / halfLife);
+    }
+
+    const matched = explanation.filter(entry => entry.matched).map(entry => entry.signal);
+    return {
+        matchType: matchTypeFor(matched),
+        confidence: Math.min(1, confidence * decayFactor),
+        explanation: { matched, signals: explanation, decayFactor }
+    };
+}
+
+/**
+ * Find and score candidate visitors for heuristic stitching, best first.
+ * `schema` is the quoted tenant schema; each candidate carries the
+ * canonical profile its visitor is linked to. Erased (suppressed) visitors
+ * are never candidates.
+ */
+export async function findCandidates(client, schema, visitor, rules) {
+    const filters = [];
+    const params = [visitor.visitorId];
+
+    for (const [name, rule] of Object.entries(rules.signals)) {
+        const signal = signals.get(name);
+        if (!rule.enabled || !signal?.anchor) {
+            continue;
+        }
+        const filter = signal.candidateFilter(visitor);
+        if (filter) {
+            params.push(filter.value);
+            filters.push(filter.sql.replace('$?', `$${params.length}`));
+        }
+    }
+
+    if (filters.length === 0) {
+        return [];
+    }
+
+    params.push(rules.maxCandidates);
+    const result = await client.query(
+        `SELECT m.visitor_id, m.ip_address, m.browser_details, m.asn, m.geolocation,
+                m.last_seen_at, c.id AS profile_id, c.traits AS identity
+         FROM ${schema}.identity_mappings m
+         JOIN ${schema}.identity_links l
+           ON l.kind = 'visitor' AND l.value = m.visitor_id AND l.removed_at IS NULL
+         JOIN ${schema}.profiles lp ON lp.id = l.profile_id
+         JOIN ${schema}.profiles c ON c.id = lp.canonical_id
+         WHERE m.visitor_id != $1
+         AND (${filters.join(' OR ')})
+         AND NOT EXISTS (
+           SELECT 1 FROM ${schema}.suppressed_visitors sv
+           WHERE sv.visitor_hash = encode(sha256(convert_to(m.visitor_id, 'UTF8')), 'hex')
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM ${schema}.identity_exclusions x
+           JOIN ${schema}.profiles xp ON xp.id = x.profile_id
+           WHERE x.visitor_id = $1 AND xp.canonical_id = c.id
+         )
+         ORDER BY m.last_seen_at DESC NULLS LAST
+         LIMIT $${params.length}`,
+        params
+    );
+
+    return result.rows
+        .map(candidate => ({ ...candidate, ...scoreCandidate(visitor, candidate, rules) }))
+        .sort((a, b) => b.confidence - a.confidence);
+}
@@ -0,0 +1,356 @@
+import { findCandidates } from './identity-resolver.js';
+import { verifyVisitorId } from './fingerprint.js';
+import {
+    createProfile,
+    getLinkedProfile,
+    hasUserId,
+    isExcluded,
+    isIdentifiedProfile,
+    isSuppressed,
+    linkIdentifier,
+    mergeProfilesInTransaction,
+    relinkIdentifier
+} from './identity-graph.js';
+import { DEFAULT_TRAIT_SETTINGS, identifyTraits } from './traits.js';
+import { consentPolicy, networkData } from './consent.js';
+import { logger } from './logger.js';
+import { identityMatches } from './metrics.js';
+
+const SESSION_COLUMNS = `session_id, visitor_id, ip_address, browser_details,
+                confidence_score, identification_method, risk_score, risk_status,
+                started_at, last_activity_at, ended_at, end_reason, group_id, consent, anonymous`;
+
+/**
+ * FROM clause joining events to their canonical profile (aliased `c`)
+ */
+export function eventsWithProfile(schema) {
+    return `${schema}.events e
+         LEFT JOIN ${schema}.profiles p ON p.id = e.profile_id
+         LEFT JOIN ${schema}.profiles c ON c.id = p.canonical_id`;
+}
+
+/**
+ * Find existing identity using the tenant's resolution rules. A returning
+ * visitor resolves to its own profile; otherwise the best-scoring identified
+ * candidate at or above rules.minConfidence is returned, with an explanation
+ * of which signals matched. Runs on the caller's client (or the pool), so a
+ * caller holding a connection never waits for a second one.
+ */
+export async function findExistingIdentity(client, schema, rules, visitor) {
+    const match = await matchIdentity(client, schema, rules, visitor);
+    identityMatches.inc({ type: match?.matchType || 'none' });
+    return match;
+}
+
+async function matchIdentity(client, schema, rules, visitor) {
+    try {
+        // First try to find exact fingerprint match
+        const fingerprintMatch = await getLinkedProfile(client, schema, 'visitor', visitor.visitorId);
+
+        if (fingerprintMatch) {
+            return {
+                profileId: fingerprintMatch.id,
+                identity: fingerprintMatch.traits,
+                matchType: 'fingerprint',
+                confidence: Math.max(fingerprintMatch.link_confidence || 0.8, 0.8), // High confidence for fingerprint matches
+                explanation: { matched: ['visitorId'], signals: [], decayFactor: 1 }
+            };
+        }
+
+        // Erased visitors start over as anonymous and are never stitched
+        if (await isSuppressed(client, schema, visitor.visitorId)) {
+            return null;
+        }
+
+        // Then score heuristic candidates that already carry an identity
+        const candidates = await findCandidates(client, schema, visitor, rules);
+        const match = candidates.find(candidate =>
+            Object.keys(candidate.identity).length > 0 && candidate.confidence >= rules.minConfidence);
+
+        return match ? {
+            profileId: match.profile_id,
+            identity: match.identity,
+            matchType: match.matchType,
+            confidence: match.confidence,
+            explanation: match.explanation
+        } : null;
+    } catch (error) {
+        logger.error('Error finding existing identity:', error);
+        return null;
+    }
+}
+
+/**
+ * Link a visitor to a profile: its existing one, the profile of a heuristic
+ * identity match, or a new anonymous profile
+ */
+export async function resolveVisitorProfile(client, schema, visitorId, identityMatch, { confidence = 1.0 } = {}) {
+    const existing = await getLinkedProfile(client, schema, 'visitor', visitorId);
+    if (existing) {
+        return existing;
+    }
+
+    if (identityMatch?.profileId && identityMatch.matchType !== 'fingerprint') {
+        await linkIdentifier(client, schema, identityMatch.profileId, 'visitor', visitorId, {
+            reason: identityMatch.matchType,
+            confidence: identityMatch.confidence
+        });
+    } else {
+        const profile = await createProfile(client, schema);
+        await linkIdentifier(client, schema, profile.id, 'visitor', visitorId, {
+            reason: 'fingerprint',
+            confidence
+        });
+    }
+
+    // Re-read in case a concurrent request linked the visitor first
+    return getLinkedProfile(client, schema, 'visitor', visitorId);
+}
+
+/**
+ * Get the canonical profile for a session, falling back to its visitor
+ * (sessions created before the identity graph have no link of their own)
+ */
+export async function getSessionProfile(client, schema, sessionId, session) {
+    return await getLinkedProfile(client, schema, 'session', sessionId) ||
+        await resolveVisitorProfile(client, schema, session.visitor_id, null, {
+            confidence: session.confidence_score || 1.0
+        });
+}
+
+/**
+ * Get a session's visitor details
+ */
+export async function getSession(client, schema, sessionId) {
+    const result = await client.query(
+        `SELECT ${SESSION_COLUMNS}
+         FROM ${schema}.session_mappings
+         WHERE session_id = $1`,
+        [sessionId]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Bind a verified requestId to the session it was verified for
+ */
+export async function bindVerifiedRequest(client, schema, requestId, sessionId, visitorId) {
+    await client.query(
+        `INSERT INTO ${schema}.verified_requests (request_id, session_id, visitor_id)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (request_id) DO NOTHING`,
+        [requestId, sessionId, visitorId]
+    );
+}
+
+/**
+ * Verify that a requestId/visitorId pair belongs to the session's visitor.
+ * A requestId that was already verified is checked locally; otherwise the
+ * fingerprint provider is asked once and the result bound to the session.
+ */
+export async function verifySessionVisitor(client, schema, sessionId, session, requestId, visitorId, options) {
+    // Anonymous sessions keep no visitor ID to verify against
+    if (session.anonymous) {
+        return true;
+    }
+    if (visitorId !== session.visitor_id) {
+        return false;
+    }
+
+    const bound = await client.query(
+        `SELECT visitor_id FROM ${schema}.verified_requests WHERE request_id = $1`,
+        [requestId]
+    );
+    if (bound.rows[0]) {
+        return bound.rows[0].visitor_id === visitorId;
+    }
+
+    if (!await verifyVisitorId(requestId, visitorId, options)) {
+        return false;
+    }
+    await bindVerifiedRequest(client, schema, requestId, sessionId, visitorId);
+    return true;
+}
+
+/**
+ * Get several sessions at once, keyed by session ID
+ */
+export async function getSessions(client, schema, sessionIds) {
+    const result = await client.query(
+        `SELECT ${SESSION_COLUMNS}
+         FROM ${schema}.session_mappings
+         WHERE session_id = ANY($1)`,
+        [sessionIds]
+    );
+    return new Map(result.rows.map(row => [row.session_id, row]));
+}
+
+/**
+ * Get the latest geolocation data for a visitor
+ */
+export async function getLatestGeolocation(client, schema, visitorId) {
+    const geoResult = await client.query(
+        `SELECT geolocation, asn FROM ${schema}.identity_mappings
+         WHERE visitor_id = $1
+         ORDER BY last_seen_at DESC
+         LIMIT 1`,
+        [visitorId]
+    );
+    return geoResult.rows[0] || {};
+}
+
+/**
+ * The session's IP address and its visitor's latest geolocation and ASN, as
+ * far as the session's consent lets the tenant keep them
+ */
+export async function getSessionNetwork(client, tenant, session) {
+    const geoData = await getLatestGeolocation(client, tenant.schema, session.visitor_id);
+    return networkData(tenant, session.consent, {
+        ip: session.ip_address,
+        geolocation: geoData.geolocation,
+        asn: geoData.asn
+    });
+}
+
+// Link a user ID to the session's profile. A user ID already known from
+// another device or login outranks the session's profile: a profile without a
+// user ID of its own is merged into the user's, while one that belongs to
+// another user (e.g. on a shared device) hands the visitor and session over.
+// Returns the session's profile afterwards and the merge made, if any.
+async function attachUserId(client, schema, sessionId, session, profile, userId, traitSettings) {
+    const link = { reason: 'identify', confidence: 1.0 };
+    await linkIdentifier(client, schema, profile.id, 'user', userId, link);
+    const userProfile = await getLinkedProfile(client, schema, 'user', String(userId));
+    if (userProfile.id === profile.id) {
+        return { profile, merge: null };
+    }
+
+    if (await hasUserId(client, schema, profile.id)) {
+        await relinkIdentifier(client, schema, userProfile.id, 'visitor', session.visitor_id, link);
+        await relinkIdentifier(client, schema, userProfile.id, 'session', sessionId, link);
+        return { profile: userProfile, merge: null };
+    }
+
+    const merged = await mergeProfilesInTransaction(client, schema, profile.id, userProfile.id, {
+        ...link,
+        traitSettings
+    });
+    return { profile: merged, merge: { sourceProfileId: profile.id, ...link } };
+}
+
+/**
+ * Attach the session to the profile of userData.userId when that user ID is
+ * already known, merge anonymous profiles of related visitors (per the
+ * tenant's resolution rules) into the session's profile, record the identify event (tagged with
+ * `validationErrors`, if any) and apply userData and `unsetTraits` to the
+ * profile's traits under the tenant's trait rules. Must run inside the
+ * caller's transaction.
+ */
+export async function identifySession(client, schema, sessionId, session, userData, {
+    tenant,
+    rules,
+    traitSettings = DEFAULT_TRAIT_SETTINGS,
+    unsetTraits = [],
+    timestamp,
+    validationErrors
+} = {}) {
+    let profile = await getSessionProfile(client, schema, sessionId, session);
+    const merges = [];
+
+    // A known user ID attaches the session deterministically, ahead of any
+    // heuristic match
+    if (userData.userId !== undefined && userData.userId !== null) {
+        const attached = await attachUserId(client, schema, sessionId, session, profile, userData.userId, traitSettings);
+        profile = attached.profile;
+        if (attached.merge) {
+            merges.push(attached.merge);
+        }
+    }
+
+    await client.query(
+        `UPDATE ${schema}.identity_mappings
+         SET last_seen_at = CURRENT_TIMESTAMP
+         WHERE visitor_id = $1`,
+        [session.visitor_id]
+    );
+
+    const network = await getSessionNetwork(client, tenant, session);
+
+    // Get related visitors that score at or above the merge threshold; there
+    // are none for a visitor who has not consented to being stitched
+    const { stitch } = consentPolicy(tenant.settings.privacy, session.consent);
+    const candidates = stitch ? await findCandidates(client, schema, {
+        visitorId: session.visitor_id,
+        ip: network.ip,
+        browserDetails: session.browser_details,
+        geolocation: network.geolocation,
+        asn: network.asn
+    }, rules) : [];
+
+    // Only anonymous profiles are stitched automatically; two identified
+    // profiles are never merged on a heuristic
+    const merged = new Set([profile.id, ...merges.map(merge => merge.sourceProfileId)]);
+    for (const candidate of candidates) {
+        if (candidate.confidence < rules.minMergeConfidence || merged.has(candidate.profile_id)) {
+            continue;
+        }
+        const related = { id: candidate.profile_id, traits: candidate.identity };
+        if (await isIdentifiedProfile(client, schema, related) ||
+            await isExcluded(client, schema, candidate.visitor_id, profile.id)) {
+            continue;
+        }
+        await mergeProfilesInTransaction(client, schema, related.id, profile.id, {
+            reason: candidate.matchType,
+            confidence: candidate.confidence,
+            traitSettings
+        });
+        merged.add(related.id);
+        merges.push({ sourceProfileId: related.id, reason: candidate.matchType, confidence: candidate.confidence });
+    }
+
+    // Track identify event with geolocation. Its properties name the traits
+    // the call touched; their values live in the profile and its trait
+    // history, so erasing or changing a trait leaves no copy behind.
+    const identifyEvent = await client.query(
+        `INSERT INTO ${schema}.events
+         (session_id, visitor_id, event_name, properties, profile_id, group_id,
+          ip_address, browser_details, confidence_score, identification_method,
+          geolocation, risk_score, risk_status, validation_errors, timestamp)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, COALESCE($15, CURRENT_TIMESTAMP))
+         RETURNING id, timestamp`,
+        [
+            sessionId,
+            session.visitor_id,
+            'identify',
+            { traits: Object.keys(userData), unsetTraits },
+            profile.id,
+            session.group_id ?? null,
+            network.ip,
+            session.browser_details,
+            session.confidence_score,
+            session.identification_method,
+            network.geolocation,
+            session.risk_score,
+            session.risk_status,
+            validationErrors ? JSON.stringify(validationErrors) : null,
+            timestamp || null
+        ]
+    );
+
+    const { id: eventId, timestamp: eventTimestamp } = identifyEvent.rows[0];
+    const traits = await identifyTraits(client, schema, profile.id, userData, {
+        unset: unsetTraits,
+        timestamp: eventTimestamp,
+        settings: traitSettings,
+        eventId
+    });
+
+    return {
+        eventId,
+        eventTimestamp,
+        profileId: profile.id,
+        traits,
+        relatedIdentitiesUpdated: merges.length,
+        merges
+    };
+}
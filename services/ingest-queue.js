@@ -0,0 +1,558 @@
+import fs from 'fs';
+import path from 'path';
+import { getClient } from '../db/connection.js';
+import { quoteIdent } from '../db/identifiers.js';
+import { consentPolicy } from './consent.js';
+import { batchInsertEvents } from './db-utils.js';
+import { enqueueMessages, trackMessage } from './destinations.js';
+import { findExistingIdentity, getSessionNetwork, getSessionProfile, getSessions } from './identity.js';
+import { publishEvents } from './live-events.js';
+import { logger, runWithLogContext } from './logger.js';
+import { eventsIngested, gauge, ingestDropped, ingestFlushDuration, timed } from './metrics.js';
+import { recordSessionActivity } from './sessions.js';
+import { getTenantSettings } from './tenant-settings.js';
+import { isProvisionedTenant } from './tenants.js';
+
+// Write-behind storage for /track. Accepted events wait in a bounded queue in
+// process memory and workers store them with multi-row inserts, resolving
+// identity once per session in each flush. With INGEST_SPILL_DIR set, events
+// that do not fit in memory are appended to JSON lines files there and read
+// back in order; without it a full queue refuses events. Each instance needs
+// its own spill directory.
+//
+// A lost database connection is waited out: the batch is retried with
+// backoff for as long as it takes, while new events queue up or spill. Only
+// data errors (SQLSTATE classes 22 and 23) split a batch to find the events
+// that fail on their own; events that keep failing are written to the
+// spill directory's failed/ folder, or dropped without one.
+
+const MAX_QUEUE = Number(process.env.INGEST_QUEUE_SIZE) || 10000;
+// 15 parameters per row must stay under Postgres' 65535
+const BATCH_SIZE = Math.min(Number(process.env.INGEST_BATCH_SIZE) || 500, 4000);
+const WORKERS = Number(process.env.INGEST_WORKERS) || 2;
+const FLUSH_DELAY = Number(process.env.INGEST_FLUSH_DELAY_MS) || 50;
+const DRAIN_TIMEOUT = Number(process.env.INGEST_DRAIN_TIMEOUT_MS) || 20 * 1000;
+const SPILL_DIR = process.env.INGEST_SPILL_DIR || null;
+const MAX_SPILL_BYTES = Number(process.env.INGEST_SPILL_MAX_BYTES) || 256 * 1024 * 1024;
+// A spill file is read back whole, once half the queue is free
+const SEGMENT_ENTRIES = Math.max(1, Math.floor(MAX_QUEUE / 2));
+const FAILED_DIR = SPILL_DIR && path.join(SPILL_DIR, 'failed');
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30 * 1000;
+const IDLE_POLL = 1000;
+
+// Lost or refused connections; pg reports some of them without a code
+const CONNECTION_ERROR_CODES = new Set([
+    'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN'
+]);
+
+let queue = [];
+let inFlight = 0;
+let stopping = false;
+let abandoned = false;
+let workers = [];
+let refilling = null;
+let segmentSeq = 0;
+let connectionFailures = 0;
+
+// Workers waiting for events, and workers backing off from a lost connection
+const waiting = new Set();
+const backingOff = new Set();
+
+// Closed spill files oldest first, and the one being appended to
+const spill = { segments: [], writer: null, bytes: 0 };
+
+gauge('ingest_queue_events', 'Tracked events waiting to be stored in memory, including those being flushed', () => [
+    { value: queue.length + inFlight }
+]);
+
+gauge('ingest_spill_bytes', 'Size of the tracked events spilled to disk', () => [
+    { value: spill.bytes }
+]);
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Wait `ms`, or until the waiters in `waiters` are woken
+function sleep(ms, waiters) {
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            waiters.delete(done);
+            resolve();
+        };
+        const timer = setTimeout(done, ms);
+        waiters.add(done);
+    });
+}
+
+function wakeAll(waiters) {
+    for (const done of [...waiters]) {
+        done();
+    }
+}
+
+// Wait until an event is queued, the queue stops, or `ms` pass
+function idle(ms) {
+    return sleep(ms, waiting);
+}
+
+function wake() {
+    wakeAll(waiting);
+}
+
+// Constraint violations and invalid values fail the same way every time
+function isDataError(err) {
+    return typeof err?.code === 'string' && /^2[23]/.test(err.code);
+}
+
+// Connection exceptions (SQLSTATE class 08), a server shutting down or
+// starting up (57P) or out of connections (53300) pass on their own
+function isConnectionError(err) {
+    const code = err?.code;
+    if (typeof code !== 'string') {
+        return /connect|timeout/i.test(err?.message ?? '');
+    }
+    return CONNECTION_ERROR_CODES.has(code) || /^(08|57P)/.test(code) || code === '53300';
+}
+
+function spilling() {
+    return spill.writer !== null || spill.segments.length > 0;
+}
+
+function closeSegment() {
+    const { file, stream, bytes } = spill.writer;
+    spill.writer = null;
+    spill.segments.push({ file, bytes, closed: new Promise(resolve => stream.end(resolve)) });
+}
+
+function spillEntry(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    const bytes = Buffer.byteLength(line);
+    if (spill.bytes + bytes > MAX_SPILL_BYTES) {
+        return false;
+    }
+
+    if (!spill.writer) {
+        const file = path.join(SPILL_DIR, `${Date.now()}-${process.pid}-${segmentSeq++}.jsonl`);
+        const stream = fs.createWriteStream(file, { flags: 'a' });
+        stream.on('error', err => {
+            logger.error('Error writing ingestion spill file:', err);
+        });
+        spill.writer = { file, stream, bytes: 0, entries: 0 };
+    }
+    spill.writer.stream.write(line);
+    spill.writer.bytes += bytes;
+    spill.writer.entries++;
+    spill.bytes += bytes;
+
+    if (spill.writer.entries >= SEGMENT_ENTRIES) {
+        closeSegment();
+    }
+    return true;
+}
+
+// Move the oldest spill file into memory once there is room for it
+async function readSegment() {
+    if (stopping || queue.length + inFlight > MAX_QUEUE - SEGMENT_ENTRIES) {
+        return;
+    }
+    if (spill.segments.length === 0 && spill.writer) {
+        closeSegment();
+    }
+    const segment = spill.segments.shift();
+    if (!segment) {
+        return;
+    }
+
+    try {
+        await segment.closed;
+        const text = await fs.promises.readFile(segment.file, 'utf8');
+        let corrupt = 0;
+        for (const line of text.split('\n')) {
+            if (!line) {
+                continue;
+            }
+            try {
+                queue.push(JSON.parse(line));
+            } catch {
+                // A crash can leave the last line half written
+                corrupt++;
+            }
+        }
+        if (corrupt > 0) {
+            logger.warn('Skipped unreadable lines in ingestion spill file', { file: segment.file, count: corrupt });
+            ingestDropped.inc({ reason: 'corrupt' }, corrupt);
+        }
+        await fs.promises.unlink(segment.file);
+    } catch (err) {
+        // The file is left in place to be recovered by hand
+        logger.error('Error reading ingestion spill file:', err);
+    } finally {
+        spill.bytes -= segment.bytes;
+    }
+}
+
+function refill() {
+    if (!refilling) {
+        refilling = readSegment().finally(() => {
+            refilling = null;
+        });
+    }
+    return refilling;
+}
+
+// Identity and network data are resolved once per session in a flush
+async function sessionContext(client, tenant, session) {
+    const { schema, settings } = tenant;
+    const network = await getSessionNetwork(client, tenant, session);
+    const identityMatch = consentPolicy(settings.privacy, session.consent).stitch
+        ? await findExistingIdentity(client, schema, settings.identityResolution, {
+            visitorId: session.visitor_id,
+            ip: network.ip,
+            browserDetails: session.browser_details,
+            geolocation: network.geolocation,
+            asn: network.asn
+        })
+        : null;
+    const profile = await getSessionProfile(client, schema, session.session_id, session);
+    return { identityMatch, network, profile };
+}
+
+// One multi-row insert with the events' destination messages in the same
+// transaction, then the sessions' summaries and live events
+async function insertEvents(client, tenantId, schema, pending) {
+    let inserted;
+    try {
+        await client.query('BEGIN');
+        inserted = await batchInsertEvents(schema, pending.map(({ event }) => event), client);
+        await enqueueMessages(client, tenantId, inserted.rows.map((row, i) => trackMessage(row, pending[i].profile)));
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+
+    const activity = new Map();
+    for (const { event } of pending) {
+        if (!activity.has(event.sessionId)) {
+            activity.set(event.sessionId, []);
+        }
+        activity.get(event.sessionId).push(event);
+    }
+    for (const [sessionId, events] of activity) {
+        await recordSessionActivity(client, schema, sessionId, events).catch(err => {
+            // The events are stored; only the session's summary lags behind
+            logger.error('Error recording session activity:', err);
+        });
+    }
+
+    publishEvents(tenantId, inserted.rows);
+    eventsIngested.inc({ tenant: tenantId, type: 'track' }, inserted.rows.length);
+}
+
+async function storeEvents(tenantId, entries) {
+    // Spilled events can outlive their tenant
+    if (!await isProvisionedTenant(tenantId)) {
+        logger.warn('Dropped queued events for an unknown tenant', { count: entries.length });
+        ingestDropped.inc({ reason: 'unknown_tenant' }, entries.length);
+        return;
+    }
+    const tenant = { id: tenantId, schema: quoteIdent(tenantId), settings: await getTenantSettings(tenantId) };
+    const { schema } = tenant;
+
+    const client = await getClient();
+    try {
+        const sessions = await getSessions(client, schema, [...new Set(entries.map(entry => entry.sessionId))]);
+        const contexts = new Map();
+        const pending = [];
+        let missing = 0;
+
+        for (const entry of entries) {
+            const session = sessions.get(entry.sessionId);
+            if (!session) {
+                // Erased or removed by retention since it was accepted
+                missing++;
+                continue;
+            }
+            if (!contexts.has(entry.sessionId)) {
+                contexts.set(entry.sessionId, await sessionContext(client, tenant, session));
+            }
+            const { identityMatch, network, profile } = contexts.get(entry.sessionId);
+            pending.push({
+                profile,
+                event: {
+                    sessionId: entry.sessionId,
+                    visitorId: session.visitor_id,
+                    eventName: entry.eventName,
+                    properties: entry.properties,
+                    profileId: profile.id,
+                    groupId: session.group_id,
+                    ipAddress: network.ip,
+                    browserDetails: session.browser_details,
+                    confidenceScore: identityMatch?.confidence || session.confidence_score,
+                    identificationMethod: session.identification_method,
+                    geolocation: network.geolocation,
+                    riskScore: session.risk_score,
+                    riskStatus: session.risk_status,
+                    validationErrors: entry.validationErrors,
+                    timestamp: entry.timestamp
+                }
+            });
+        }
+
+        if (pending.length > 0) {
+            await insertEvents(client, tenantId, schema, pending);
+        }
+
+        // Counted once stored, as a failed flush is retried whole
+        if (missing > 0) {
+            logger.warn('Dropped queued events for unknown sessions', { count: missing });
+            ingestDropped.inc({ reason: 'unknown_session' }, missing);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+// Once the drain timeout has passed, events that are left go to disk, or are
+// dropped without a spill directory
+function setAside(entries) {
+    const lost = SPILL_DIR ? entries.filter(entry => !spillEntry(entry)).length : entries.length;
+    if (lost > 0) {
+        logger.error('Dropped queued events at shutdown', { count: lost });
+        ingestDropped.inc({ reason: 'shutdown' }, lost);
+    }
+}
+
+// Events that failed too often are kept in failed/ for inspection and
+// replay by hand; they are never read back on their own
+async function setAsideFailed(entries, error) {
+    ingestDropped.inc({ reason: 'failed' }, entries.length);
+    if (FAILED_DIR) {
+        const file = path.join(FAILED_DIR, `${Date.now()}-${process.pid}.jsonl`);
+        const lines = entries.map(entry => `${JSON.stringify({ ...entry, error: error.message })}\n`).join('');
+        try {
+            await fs.promises.appendFile(file, lines);
+            logger.error('Set aside queued events after repeated failures', { count: entries.length, file });
+            return;
+        } catch (err) {
+            logger.error('Error writing failed ingestion events:', err);
+        }
+    }
+    logger.error('Dropped queued events after repeated failures', { count: entries.length });
+}
+
+// Put failed events back at the front of the queue. A lost connection does
+// not count against an event's attempts; other failures do, and events out
+// of attempts are set aside.
+async function retry(failures) {
+    const retried = [];
+    for (const { entries, error } of failures) {
+        if (isConnectionError(error)) {
+            retried.push(...entries);
+            continue;
+        }
+        const exhausted = [];
+        for (const entry of entries) {
+            const attempts = (entry.attempts || 0) + 1;
+            (attempts >= MAX_ATTEMPTS ? exhausted : retried).push({ ...entry, attempts });
+        }
+        if (exhausted.length > 0) {
+            await setAsideFailed(exhausted, error);
+        }
+    }
+    if (abandoned) {
+        setAside(retried);
+    } else {
+        queue.unshift(...retried);
+    }
+}
+
+// Store a tenant's events. A data error splits the batch in halves so that
+// one bad event does not hold back the others; other errors fail the whole
+// batch. Returns the events that failed, grouped with their error.
+async function storeSplitting(tenantId, entries) {
+    try {
+        await timed(ingestFlushDuration, null, {}, () => storeEvents(tenantId, entries));
+        return [];
+    } catch (err) {
+        // Past the drain timeout the whole batch is set aside instead
+        if (entries.length === 1 || abandoned || !isDataError(err)) {
+            return [{ entries, error: err }];
+        }
+        const middle = Math.ceil(entries.length / 2);
+        const first = await storeSplitting(tenantId, entries.slice(0, middle));
+        // The second half would only wait for the same lost connection
+        const lost = first.find(failure => isConnectionError(failure.error));
+        if (lost) {
+            return [...first, { entries: entries.slice(middle), error: lost.error }];
+        }
+        return [...first, ...await storeSplitting(tenantId, entries.slice(middle))];
+    }
+}
+
+// Back off from a lost connection, up to MAX_RETRY_DELAY; shutdown's drain
+// timeout cuts the wait short
+function backOff() {
+    connectionFailures++;
+    const ms = Math.min(RETRY_DELAY * 2 ** (connectionFailures - 1), MAX_RETRY_DELAY);
+    logger.warn('Database unavailable, retrying queued events', { delayMs: ms });
+    return sleep(ms, backingOff);
+}
+
+async function flush(entries) {
+    const byTenant = new Map();
+    for (const entry of entries) {
+        if (!byTenant.has(entry.tenantId)) {
+            byTenant.set(entry.tenantId, []);
+        }
+        byTenant.get(entry.tenantId).push(entry);
+    }
+
+    for (const [tenantId, tenantEntries] of byTenant) {
+        await runWithLogContext({ tenantId }, async () => {
+            const failures = await storeSplitting(tenantId, tenantEntries);
+            if (failures.length === 0) {
+                connectionFailures = 0;
+                return;
+            }
+            for (const { error } of failures) {
+                logger.error('Error storing queued events:', error);
+            }
+            await retry(failures);
+            if (abandoned) {
+                return;
+            }
+            if (failures.some(failure => isConnectionError(failure.error))) {
+                await backOff();
+            } else {
+                await delay(RETRY_DELAY);
+            }
+        });
+    }
+}
+
+async function work() {
+    while (!abandoned) {
+        if (spilling()) {
+            await refill();
+        }
+        if (queue.length === 0) {
+            if (stopping) {
+                return;
+            }
+            await idle(IDLE_POLL);
+            continue;
+        }
+
+        // Give a small batch a moment to grow into a larger insert
+        if (queue.length < BATCH_SIZE && !stopping) {
+            await delay(FLUSH_DELAY);
+        }
+        const entries = queue.splice(0, BATCH_SIZE);
+        if (entries.length === 0) {
+            continue;
+        }
+        inFlight += entries.length;
+        try {
+            await flush(entries);
+        } finally {
+            inFlight -= entries.length;
+        }
+    }
+}
+
+/**
+ * Queue a validated track event ({ tenantId, sessionId, eventName,
+ * properties, validationErrors, timestamp }). Returns false when the queue
+ * (and spill space) is full or the queue is stopping.
+ */
+export function enqueueTrack(entry) {
+    if (stopping) {
+        return false;
+    }
+    // Once events spill, later ones follow them so they are stored in order
+    if (SPILL_DIR && spilling()) {
+        return spillEntry(entry);
+    }
+    if (queue.length + inFlight < MAX_QUEUE) {
+        queue.push(entry);
+        wake();
+        return true;
+    }
+    return SPILL_DIR ? spillEntry(entry) : false;
+}
+
+/**
+ * Queue size and whether events are accepted, for readiness checks
+ */
+export function ingestionStatus() {
+    return {
+        accepting: !stopping,
+        full: queue.length + inFlight >= MAX_QUEUE && (!SPILL_DIR || spill.bytes >= MAX_SPILL_BYTES),
+        queued: queue.length + inFlight,
+        capacity: MAX_QUEUE,
+        spilledBytes: spill.bytes
+    };
+}
+
+/**
+ * Start the ingestion workers, picking up events spilled by an earlier run
+ */
+export function startIngestion({ workers: count = WORKERS } = {}) {
+    if (SPILL_DIR) {
+        fs.mkdirSync(FAILED_DIR, { recursive: true });
+        const files = fs.readdirSync(SPILL_DIR).filter(name => name.endsWith('.jsonl')).sort();
+        for (const name of files) {
+            const file = path.join(SPILL_DIR, name);
+            const { size } = fs.statSync(file);
+            spill.segments.push({ file, bytes: size, closed: Promise.resolve() });
+            spill.bytes += size;
+        }
+        if (files.length > 0) {
+            logger.info('Recovered spilled events', { files: files.length, bytes: spill.bytes });
+        }
+    }
+
+    workers = Array.from({ length: count }, () => work().catch(err => {
+        logger.error('Ingestion worker failed:', err);
+    }));
+}
+
+/**
+ * Stop accepting events and store the queued ones. Events still queued after
+ * `timeout` ms are spilled to disk when INGEST_SPILL_DIR is set, or dropped;
+ * spilled events are left for the next start. Resolves once flushes already
+ * running have finished, so the pool can be closed after it.
+ */
+export async function stopIngestion({ timeout = DRAIN_TIMEOUT } = {}) {
+    stopping = true;
+    wake();
+
+    let timer;
+    const drained = await Promise.race([
+        Promise.all(workers).then(() => true),
+        new Promise(resolve => {
+            timer = setTimeout(() => resolve(false), timeout);
+        })
+    ]);
+    clearTimeout(timer);
+
+    if (!drained) {
+        // Workers finish the batch in hand (its failures are set aside too)
+        // and take no more
+        abandoned = true;
+        wakeAll(backingOff);
+        setAside(queue.splice(0));
+        await Promise.all(workers);
+    }
+    if (spill.writer) {
+        closeSegment();
+    }
+    await Promise.all(spill.segments.map(segment => segment.closed));
+
+    logger.info('Ingestion stopped', { drained, spilledBytes: spill.bytes });
+}
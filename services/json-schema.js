@@ -0,0 +1,250 @@
+import { HttpError } from './errors.js';
+
+// A small JSON Schema validator covering the keywords event definitions need:
+// type, enum, const, properties, required, additionalProperties, items,
+// anyOf, numeric and length bounds, pattern and a few formats. Schemas using
+// anything else are refused when registered rather than silently ignored.
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+const ANNOTATIONS = ['$schema', '$id', 'title', 'description', 'default', 'examples'];
+const KEYWORDS = [
+    'type', 'enum', 'const', 'properties', 'required', 'additionalProperties', 'items', 'anyOf',
+    'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minLength', 'maxLength',
+    'pattern', 'format', 'minItems', 'maxItems'
+];
+
+const FORMATS = {
+    'date-time': value => !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    uri: value => {
+        try {
+            return Boolean(new URL(value).protocol);
+        } catch {
+            return false;
+        }
+    }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') {
+        return Number.isInteger(value);
+    }
+    if (type === 'number') {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+    return typeOf(value) === type;
+}
+
+function isNonNegativeInteger(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Check that a schema only uses supported keywords with valid values.
+ * Throws a 400 naming the offending path.
+ */
+export function checkSchema(schema, path = '#') {
+    if (!isPlainObject(schema)) {
+        throw new HttpError(400, `${path} must be a schema object`);
+    }
+    for (const [keyword, value] of Object.entries(schema)) {
+        if (ANNOTATIONS.includes(keyword)) {
+            continue;
+        }
+        if (!KEYWORDS.includes(keyword)) {
+            throw new HttpError(400, `${path}: unsupported schema keyword '${keyword}'`);
+        }
+        const at = `${path}/${keyword}`;
+        switch (keyword) {
+            case 'type': {
+                const types = Array.isArray(value) ? value : [value];
+                if (types.length === 0 || !types.every(type => TYPES.includes(type))) {
+                    throw new HttpError(400, `${at} must be one or more of: ${TYPES.join(', ')}`);
+                }
+                break;
+            }
+            case 'enum':
+                if (!Array.isArray(value) || value.length === 0) {
+                    throw new HttpError(400, `${at} must be a non-empty array`);
+                }
+                break;
+            case 'properties':
+                if (!isPlainObject(value)) {
+                    throw new HttpError(400, `${at} must be an object`);
+                }
+                for (const [name, child] of Object.entries(value)) {
+                    checkSchema(child, `${at}/${name}`);
+                }
+                break;
+            case 'required':
+                if (!Array.isArray(value) || !value.every(name => typeof name === 'string')) {
+                    throw new HttpError(400, `${at} must be an array of strings`);
+                }
+                break;
+            case 'additionalProperties':
+                if (typeof value !== 'boolean') {
+                    checkSchema(value, at);
+                }
+                break;
+            case 'items':
+                checkSchema(value, at);
+                break;
+            case 'anyOf':
+                if (!Array.isArray(value) || value.length === 0) {
+                    throw new HttpError(400, `${at} must be a non-empty array`);
+                }
+                value.forEach((child, i) => checkSchema(child, `${at}/${i}`));
+                break;
+            case 'minimum':
+            case 'maximum':
+            case 'exclusiveMinimum':
+            case 'exclusiveMaximum':
+                if (typeof value !== 'number') {
+                    throw new HttpError(400, `${at} must be a number`);
+                }
+                break;
+            case 'minLength':
+            case 'maxLength':
+            case 'minItems':
+            case 'maxItems':
+                if (!isNonNegativeInteger(value)) {
+                    throw new HttpError(400, `${at} must be a non-negative integer`);
+                }
+                break;
+            case 'pattern':
+                try {
+                    new RegExp(value, 'u');
+                } catch {
+                    throw new HttpError(400, `${at} must be a valid regular expression`);
+                }
+                break;
+            case 'format':
+                if (!FORMATS[value]) {
+                    throw new HttpError(400, `${at} must be one of: ${Object.keys(FORMATS).join(', ')}`);
+                }
+                break;
+        }
+    }
+}
+
+/**
+ * Validate a value against a schema. Returns a list of
+ * `{ path, message }` errors, where path is a JSON pointer into the value.
+ */
+export function validate(schema, value, path = '') {
+    const errors = [];
+    const fail = message => errors.push({ path: path || '/', message });
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`must be ${types.join(' or ')}`);
+            // Further keywords would only repeat the type mismatch
+            return errors;
+        }
+    }
+    if (schema.enum !== undefined && !schema.enum.some(option => equal(option, value))) {
+        fail(`must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if (schema.const !== undefined && !equal(schema.const, value)) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.anyOf !== undefined &&
+        !schema.anyOf.some(option => validate(option, value, path).length === 0)) {
+        fail('must match at least one allowed schema');
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be <= ${schema.maximum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            fail(`must be > ${schema.exclusiveMinimum}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            fail(`must be < ${schema.exclusiveMaximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        const length = [...value].length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            fail(`must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail(`must match pattern ${schema.pattern}`);
+        }
+        if (schema.format !== undefined && !FORMATS[schema.format](value)) {
+            fail(`must be a valid ${schema.format}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items !== undefined) {
+            value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}/${i}`)));
+        }
+    }
+
+    if (isPlainObject(value)) {
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) {
+                errors.push({ path: `${path}/${escapePointer(name)}`, message: 'is required' });
+            }
+        }
+        const properties = schema.properties || {};
+        for (const [name, child] of Object.entries(value)) {
+            const childPath = `${path}/${escapePointer(name)}`;
+            if (properties[name]) {
+                errors.push(...validate(properties[name], child, childPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not an allowed property' });
+            } else if (isPlainObject(schema.additionalProperties)) {
+                errors.push(...validate(schema.additionalProperties, child, childPath));
+            }
+        }
+    }
+
+    return errors;
+}
+
+function escapePointer(name) {
+    return name.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function equal(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return false;
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+}
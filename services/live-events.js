@@ -0,0 +1,243 @@
+import { pool } from '../db/connection.js';
+import { quoteIdent } from '../db/identifiers.js';
+import { FIELDS } from './event-query.js';
+import { eventsWithProfile } from './identity.js';
+import { logger } from './logger.js';
+
+// Live event stream. Writers publish the IDs of stored events with Postgres
+// NOTIFY; every server instance LISTENs, loads the events its subscribers
+// are interested in and hands them over, so a stream sees events written by
+// any instance. Instances with subscribers announce the tenants they watch on
+// the same channel, and writers only notify for watched tenants.
+
+const CHANNEL = 'live_events';
+const ANNOUNCE_INTERVAL = 30 * 1000;
+const WATCH_TTL = 3 * ANNOUNCE_INTERVAL;
+const RECONNECT_DELAY = 5 * 1000;
+// Keeps notification payloads well under Postgres' 8000 byte limit
+const MAX_IDS_PER_NOTIFICATION = 500;
+
+// Local subscribers per tenant ID
+const subscribers = new Map();
+// When each tenant was last announced as watched, by any instance
+const watchedTenants = new Map();
+// Deliveries per tenant run one after another so events arrive in order
+const deliveries = new Map();
+
+function toList(value) {
+    if (value === undefined) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+/**
+ * Parse stream filters (as parsed by Express). Every given filter must match.
+ */
+export function parseLiveFilters(query) {
+    return {
+        sessionId: query.sessionId ? String(query.sessionId) : undefined,
+        visitorId: query.visitorId ? String(query.visitorId) : undefined,
+        profileId: query.profileId ? String(query.profileId) : undefined,
+        userId: query.userId ? String(query.userId) : undefined,
+        email: query.email ? String(query.email) : undefined,
+        groupId: query.groupId ? String(query.groupId) : undefined,
+        eventNames: toList(query.eventName)
+    };
+}
+
+function notify(message) {
+    return pool.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify(message)]);
+}
+
+function announce(tenantId) {
+    watchedTenants.set(tenantId, Date.now());
+    notify({ type: 'watching', tenantId }).catch(err => {
+        logger.error('Error announcing live subscribers:', err);
+    });
+}
+
+/**
+ * Subscribe to a tenant's events. `send` is called with each stored event
+ * that matches `filters`. Returns the unsubscribe function.
+ */
+export function subscribe(tenant, filters, send) {
+    const subscriber = { filters, send };
+    if (!subscribers.has(tenant.id)) {
+        subscribers.set(tenant.id, new Set());
+        announce(tenant.id);
+    }
+    subscribers.get(tenant.id).add(subscriber);
+
+    return () => {
+        const tenantSubscribers = subscribers.get(tenant.id);
+        tenantSubscribers?.delete(subscriber);
+        if (tenantSubscribers?.size === 0) {
+            subscribers.delete(tenant.id);
+        }
+    };
+}
+
+/**
+ * Announce stored events (`{ id, timestamp }`) to live streams. Does not
+ * wait and logs failures; call after the response has been sent.
+ */
+export function publishEvents(tenantId, events) {
+    const watchedAt = watchedTenants.get(tenantId);
+    if (events.length === 0 || !watchedAt || Date.now() - watchedAt > WATCH_TTL) {
+        return;
+    }
+
+    for (let i = 0; i < events.length; i += MAX_IDS_PER_NOTIFICATION) {
+        const chunk = events.slice(i, i + MAX_IDS_PER_NOTIFICATION);
+        const times = chunk.map(event => new Date(event.timestamp).getTime());
+        notify({
+            type: 'events',
+            tenantId,
+            ids: chunk.map(event => event.id),
+            // Timestamps have microseconds, so the upper bound is rounded up
+            from: new Date(Math.min(...times)).toISOString(),
+            to: new Date(Math.max(...times) + 1).toISOString()
+        }).catch(err => {
+            logger.error('Error publishing live events:', err);
+        });
+    }
+}
+
+// Canonical profile IDs an identity filter stands for, resolved per delivery
+// because profiles merge while a stream is open
+async function resolveProfiles(schema, filters) {
+    const lookups = [];
+    if (filters.profileId) {
+        lookups.push([`SELECT canonical_id AS id FROM ${schema}.profiles WHERE id = $1`, filters.profileId]);
+    }
+    if (filters.userId) {
+        lookups.push([`SELECT p.canonical_id AS id FROM ${schema}.identity_links l
+            JOIN ${schema}.profiles p ON p.id = l.profile_id
+            WHERE l.kind = 'user' AND l.value = $1 AND l.removed_at IS NULL`, filters.userId]);
+    }
+    if (filters.email) {
+        lookups.push([`SELECT id FROM ${schema}.profiles
+            WHERE id = canonical_id AND traits ->> 'email' = $1`, filters.email]);
+    }
+
+    return Promise.all(lookups.map(async ([sql, value]) => {
+        const result = await pool.query(sql, [value]);
+        return new Set(result.rows.map(row => row.id));
+    }));
+}
+
+function matches(event, filters, profileSets) {
+    return (!filters.sessionId || event.session_id === filters.sessionId) &&
+        (!filters.visitorId || event.visitor_id === filters.visitorId) &&
+        (!filters.groupId || event.group_id === filters.groupId) &&
+        (filters.eventNames.length === 0 || filters.eventNames.includes(event.event_name)) &&
+        profileSets.every(profiles => profiles.has(event.profile_id));
+}
+
+async function deliver({ tenantId, ids, from, to }) {
+    const tenantSubscribers = subscribers.get(tenantId);
+    if (!tenantSubscribers) {
+        return;
+    }
+
+    const schema = quoteIdent(tenantId);
+    const result = await pool.query(
+        `SELECT ${Object.values(FIELDS).join(', ')}
+         FROM ${eventsWithProfile(schema)}
+         WHERE e.id = ANY($1) AND e.timestamp >= $2 AND e.timestamp <= $3
+         ORDER BY e.timestamp, e.id`,
+        [ids, from, to]
+    );
+
+    for (const subscriber of tenantSubscribers) {
+        const profileSets = await resolveProfiles(schema, subscriber.filters);
+        for (const event of result.rows) {
+            if (matches(event, subscriber.filters, profileSets)) {
+                subscriber.send(event);
+            }
+        }
+    }
+}
+
+function handleNotification(payload) {
+    let message;
+    try {
+        message = JSON.parse(payload);
+    } catch {
+        return;
+    }
+
+    if (message.type === 'watching') {
+        watchedTenants.set(message.tenantId, Date.now());
+    } else if (message.type === 'events' && subscribers.has(message.tenantId)) {
+        const previous = deliveries.get(message.tenantId) || Promise.resolve();
+        const next = previous.then(() => deliver(message)).catch(err => {
+            logger.error('Error delivering live events:', err);
+        });
+        deliveries.set(message.tenantId, next);
+        next.then(() => {
+            if (deliveries.get(message.tenantId) === next) {
+                deliveries.delete(message.tenantId);
+            }
+        });
+    }
+}
+
+/**
+ * LISTEN for live events on a dedicated connection (reconnecting after
+ * errors) and keep announcing watched tenants until the returned stop
+ * function is called
+ */
+export function startLiveEvents() {
+    let client = null;
+    let reconnectTimer;
+    let stopped = false;
+
+    const connect = async () => {
+        try {
+            client = await pool.connect();
+            client.on('notification', message => handleNotification(message.payload));
+            client.on('error', err => {
+                logger.error('Live events connection failed:', err);
+                disconnect(err);
+            });
+            await client.query(`LISTEN ${CHANNEL}`);
+        } catch (err) {
+            logger.error('Error listening for live events:', err);
+            disconnect(err);
+        }
+    };
+
+    const disconnect = (err) => {
+        if (client) {
+            client.release(err);
+            client = null;
+        }
+        if (!stopped) {
+            reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+            reconnectTimer.unref();
+        }
+    };
+
+    const announceTimer = setInterval(() => {
+        for (const tenantId of subscribers.keys()) {
+            announce(tenantId);
+        }
+    }, ANNOUNCE_INTERVAL);
+    announceTimer.unref();
+
+    connect();
+
+    return () => {
+        stopped = true;
+        clearTimeout(reconnectTimer);
+        clearInterval(announceTimer);
+        if (client) {
+            client.release();
+            client = null;
+        }
+    };
+}
@@ -0,0 +1,119 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Structured logging: one JSON object per line, carrying the request ID and
+// tenant of the request being served. Values under personal-data keys are
+// redacted, as are email and IP addresses inside messages and errors.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+const REDACTED = '[redacted]';
+const PII_KEYS = new Set([
+    'ip', 'ipaddress', 'ip_address', 'email', 'userid', 'user_id', 'password', 'authorization',
+    'apikey', 'api_key', 'writekey', 'secret', 'token', 'userdata', 'traits', 'properties',
+    'browserdetails', 'browser_details', 'geolocation', 'asn', 'visitordata', 'consent'
+]);
+const EMAIL_PATTERN = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi;
+const IPV4_PATTERN = /\b(?:\d{1,3}\.){3}\d{1,3}\b/g;
+// Full or '::'-compressed forms only, so clock times and file:line:column
+// positions are left alone
+const IPV6_PATTERN = /(?<![\w:])(?:(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}|(?:[0-9a-f]{1,4}:)*:(?::?[0-9a-f]{1,4})+|(?:[0-9a-f]{1,4}:)+:)(?![\w:])/gi;
+const MAX_DEPTH = 5;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with fields (e.g. requestId) added to every line it logs
+ */
+export function runWithLogContext(fields, fn) {
+    return context.run({ ...fields }, fn);
+}
+
+/**
+ * Add fields (e.g. tenantId once a request is authenticated) to the current
+ * context's lines
+ */
+export function setLogContext(fields) {
+    const store = context.getStore();
+    if (store) {
+        Object.assign(store, fields);
+    }
+}
+
+/**
+ * Redact email and IP addresses in a string
+ */
+export function redactText(text) {
+    return String(text)
+        .replace(EMAIL_PATTERN, REDACTED)
+        .replace(IPV4_PATTERN, REDACTED)
+        .replace(IPV6_PATTERN, REDACTED);
+}
+
+function serializeError(err) {
+    return {
+        name: err.name,
+        message: redactText(err.message),
+        ...(err.code ? { code: err.code } : {}),
+        ...(err.status ? { status: err.status } : {}),
+        ...(err.stack ? { stack: redactText(err.stack) } : {})
+    };
+}
+
+function redact(value, depth = 0) {
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+    if (typeof value === 'string') {
+        return redactText(value);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[truncated]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = PII_KEYS.has(key.toLowerCase()) ? REDACTED : redact(item, depth + 1);
+    }
+    return result;
+}
+
+function write(level, message, detail) {
+    if (LEVELS[level] < threshold) {
+        return;
+    }
+
+    // Messages follow the old console style ('Error tracking event:', err)
+    const line = {
+        time: new Date().toISOString(),
+        level,
+        msg: redactText(message).replace(/:$/, ''),
+        ...context.getStore()
+    };
+    if (detail instanceof Error) {
+        line.err = serializeError(detail);
+    } else if (detail !== null && typeof detail === 'object') {
+        Object.assign(line, redact(detail));
+    } else if (detail !== undefined) {
+        line.detail = redact(detail);
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(line)}\n`);
+}
+
+export const logger = {
+    debug: (message, detail) => write('debug', message, detail),
+    info: (message, detail) => write('info', message, detail),
+    warn: (message, detail) => write('warn', message, detail),
+    error: (message, detail) => write('error', message, detail)
+};
@@ -0,0 +1,150 @@
+import { pool } from '../db/connection.js';
+import { quoteIdent } from '../db/identifiers.js';
+import { backfillEvents, createUpcomingPartitions } from '../db/partitions.js';
+import { listTenants } from './tenants.js';
+import { getTenantSettings } from './tenant-settings.js';
+import { applyRetention } from './data-retention.js';
+import { logger } from './logger.js';
+
+// Scheduled upkeep of tenant schemas: create the coming days' event
+// partitions, move events from before partitioning into them and apply the
+// tenant's retention settings. Each run's report is
+// kept in maintenance_runs. An advisory lock per tenant keeps server
+// instances and the CLI from maintaining the same tenant at once.
+
+const INTERVAL = Number(process.env.MAINTENANCE_INTERVAL_MS) || 60 * 60 * 1000;
+
+const RUN_COLUMNS = 'id, started_at, finished_at, report';
+
+// Run fn inside a transaction on the maintenance client
+async function inTransaction(client, fn) {
+    try {
+        await client.query('BEGIN');
+        const result = await fn();
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+}
+
+// One transaction per batch, so each batch's locks are released before the
+// next and an interrupted run keeps what it moved
+async function backfillAll(client, schema) {
+    let total = 0;
+    for (;;) {
+        const moved = await inTransaction(client, () => backfillEvents(client, schema));
+        if (moved === null) {
+            return total;
+        }
+        total += moved;
+    }
+}
+
+function present(row) {
+    return {
+        id: row.id,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        ...row.report
+    };
+}
+
+/**
+ * Maintain one tenant now. Returns the run's report, or null when another
+ * run for the tenant is in progress.
+ */
+export async function maintainTenant(tenantId) {
+    const schema = quoteIdent(tenantId);
+    const lockKey = `maintenance:${tenantId}`;
+    const startedAt = new Date();
+    const client = await pool.connect();
+    try {
+        const lock = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [lockKey]);
+        if (!lock.rows[0].locked) {
+            return null;
+        }
+
+        try {
+            const partitionsCreated = await inTransaction(client, () => createUpcomingPartitions(client, schema));
+            const backfilledEvents = await backfillAll(client, schema);
+
+            const settings = await getTenantSettings(tenantId);
+            const report = {
+                partitionsCreated,
+                backfilledEvents,
+                ...await applyRetention(client, schema, settings.retention)
+            };
+
+            const run = await client.query(
+                `INSERT INTO ${schema}.maintenance_runs (started_at, report)
+                 VALUES ($1, $2)
+                 RETURNING ${RUN_COLUMNS}`,
+                [startedAt, report]
+            );
+            return present(run.rows[0]);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock(hashtext($1))', [lockKey]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Maintain every active tenant once. A failing tenant does not stop the
+ * others; its error is returned in its place.
+ */
+export async function runMaintenance() {
+    const results = [];
+    for (const tenant of await listTenants({ status: 'active' })) {
+        try {
+            results.push({ tenantId: tenant.id, report: await maintainTenant(tenant.id) });
+        } catch (err) {
+            logger.error('Error maintaining tenant:', { tenantId: tenant.id, err });
+            results.push({ tenantId: tenant.id, error: err.message });
+        }
+    }
+    return results;
+}
+
+/**
+ * Recent maintenance runs of a tenant, newest first
+ */
+export async function listMaintenanceRuns(schema, { limit = 20 } = {}) {
+    const result = await pool.query(
+        `SELECT ${RUN_COLUMNS} FROM ${schema}.maintenance_runs
+         ORDER BY started_at DESC
+         LIMIT $1`,
+        [limit]
+    );
+    return result.rows.map(present);
+}
+
+/**
+ * Run maintenance every interval until the returned stop function is called
+ */
+export function startMaintenanceJob({ interval = INTERVAL } = {}) {
+    let timer;
+    let stopped = false;
+
+    const tick = async () => {
+        try {
+            await runMaintenance();
+        } catch (err) {
+            logger.error('Error running maintenance:', err);
+        }
+        if (!stopped) {
+            timer = setTimeout(tick, interval);
+            timer.unref();
+        }
+    };
+    timer = setTimeout(tick, interval);
+    timer.unref();
+
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+}
@@ -0,0 +1,193 @@
+import { pool } from '../db/connection.js';
+
+// Prometheus metrics, kept in process memory and rendered in the text
+// exposition format for GET /metrics. Each instance reports its own numbers;
+// Prometheus adds them up across instances.
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = [];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values in the metric's label order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function seriesLabels(labelNames, key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function register(metric) {
+    registry.push(metric);
+    return metric;
+}
+
+/**
+ * A counter; `inc(labels, amount)` adds to the series for those labels
+ */
+export function counter(name, help, labelNames = []) {
+    const series = new Map();
+    return register({
+        inc(labels = {}, amount = 1) {
+            const key = seriesKey(labelNames, labels);
+            series.set(key, (series.get(key) || 0) + amount);
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const [key, value] of series) {
+                lines.push(`${name}${formatLabels(seriesLabels(labelNames, key))} ${value}`);
+            }
+            return lines;
+        }
+    });
+}
+
+/**
+ * A histogram; `observe(labels, value)` records a value (in seconds for
+ * latencies)
+ */
+export function histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    const series = new Map();
+    return register({
+        observe(labels = {}, value) {
+            const key = seriesKey(labelNames, labels);
+            if (!series.has(key)) {
+                series.set(key, { counts: new Array(buckets.length).fill(0), sum: 0, count: 0 });
+            }
+            const entry = series.get(key);
+            const bucket = buckets.findIndex(bound => value <= bound);
+            if (bucket !== -1) {
+                entry.counts[bucket]++;
+            }
+            entry.sum += value;
+            entry.count++;
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const [key, { counts, sum, count }] of series) {
+                const labels = seriesLabels(labelNames, key);
+                let cumulative = 0;
+                buckets.forEach((bound, i) => {
+                    cumulative += counts[i];
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            }
+            return lines;
+        }
+    });
+}
+
+/**
+ * A gauge read when metrics are rendered; `collect` returns
+ * `[{ labels, value }]`
+ */
+export function gauge(name, help, collect) {
+    return register({
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+            for (const { labels = {}, value } of collect()) {
+                lines.push(`${name}${formatLabels(labels)} ${value}`);
+            }
+            return lines;
+        }
+    });
+}
+
+/**
+ * Time an async call into a histogram (and, on failure, an error counter)
+ */
+export async function timed(latency, errors, labels, fn) {
+    const startedAt = process.hrtime.bigint();
+    try {
+        return await fn();
+    } catch (err) {
+        errors?.inc(labels);
+        throw err;
+    } finally {
+        latency.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    }
+}
+
+export const httpRequestDuration = histogram(
+    'http_request_duration_seconds',
+    'HTTP request latency by route and status',
+    ['method', 'route', 'status']
+);
+
+export const eventsIngested = counter(
+    'events_ingested_total',
+    'Events stored, by tenant and type (track, identify, group)',
+    ['tenant', 'type']
+);
+
+export const fingerprintDuration = histogram(
+    'fingerprint_request_duration_seconds',
+    'Fingerprint provider lookup latency (cache misses only)',
+    ['provider']
+);
+
+export const fingerprintErrors = counter(
+    'fingerprint_errors_total',
+    'Failed fingerprint provider lookups',
+    ['provider']
+);
+
+export const rateLimited = counter(
+    'rate_limited_requests_total',
+    'Requests refused with a 429, by tenant and the limit that refused them',
+    ['tenant', 'limit']
+);
+
+export const identityMatches = counter(
+    'identity_matches_total',
+    "Identity resolution results by match type ('none' when nothing matched)",
+    ['type']
+);
+
+export const ingestFlushDuration = histogram(
+    'ingest_flush_duration_seconds',
+    "Time to store one tenant's share of a batch of queued track events"
+);
+
+export const ingestDropped = counter(
+    'ingest_dropped_events_total',
+    'Accepted track events that were never stored, by reason',
+    ['reason']
+);
+
+gauge('db_pool_connections', 'Database pool connections by state', () => [
+    { labels: { state: 'total' }, value: pool.totalCount },
+    { labels: { state: 'idle' }, value: pool.idleCount },
+    { labels: { state: 'waiting' }, value: pool.waitingCount }
+]);
+
+gauge('db_pool_max_connections', 'Database pool size limit', () => [
+    { value: pool.options.max }
+]);
+
+gauge('process_uptime_seconds', 'Seconds since the process started', () => [
+    { value: Math.round(process.uptime()) }
+]);
+
+/**
+ * All metrics in the Prometheus text format
+ */
+export function renderMetrics() {
+    return `${registry.flatMap(metric => metric.render()).join('\n')}\n`;
+}
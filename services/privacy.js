@@ -0,0 +1,257 @@
+import crypto from 'crypto';
+import { pool } from '../db/connection.js';
+import { HttpError } from './errors.js';
+import { visitorHash } from './identity-graph.js';
+
+// Data subject requests (GDPR/CCPA). A subject is found by email or user ID
+// and expanded to every profile merged with theirs, every visitor and
+// session linked to those profiles, and every event of any of them.
+// `schema` is always an already-quoted tenant schema.
+
+function generateRequestId() {
+    return `priv_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function subjectHash({ email, userId }) {
+    return crypto.createHash('sha256')
+        .update(email !== undefined ? `email:${email}` : `user:${userId}`)
+        .digest('hex');
+}
+
+/**
+ * Validate a request's subject: exactly one of email or userId
+ */
+export function parseSubject({ email, userId } = {}) {
+    if ((email === undefined) === (userId === undefined)) {
+        throw new HttpError(400, 'Exactly one of email or userId is required');
+    }
+    return email !== undefined ? { email: String(email) } : { userId: String(userId) };
+}
+
+/**
+ * Find everything linked to a subject
+ */
+export async function findSubject(client, schema, subject) {
+    // Canonical profiles identified by the subject
+    const canonical = await client.query(
+        subject.userId !== undefined
+            ? `SELECT DISTINCT lp.canonical_id AS id
+               FROM ${schema}.identity_links l
+               JOIN ${schema}.profiles lp ON lp.id = l.profile_id
+               WHERE l.kind = 'user' AND l.value = $1 AND l.removed_at IS NULL`
+            : `SELECT id FROM ${schema}.profiles
+               WHERE id = canonical_id AND traits ->> 'email' = $1`,
+        [subject.userId ?? subject.email]
+    );
+    const canonicalIds = canonical.rows.map(row => row.id);
+
+    const profiles = await client.query(
+        `SELECT id FROM ${schema}.profiles WHERE canonical_id = ANY($1)`,
+        [canonicalIds]
+    );
+    const profileIds = profiles.rows.map(row => row.id);
+
+    // Plus visitors only known from legacy identity blobs
+    const legacyField = subject.userId !== undefined ? 'userId' : 'email';
+    const visitors = await client.query(
+        `SELECT value AS visitor_id FROM ${schema}.identity_links
+         WHERE kind = 'visitor' AND profile_id = ANY($1) AND removed_at IS NULL
+         UNION
+         SELECT visitor_id FROM ${schema}.identity_mappings
+         WHERE identity ->> '${legacyField}' = $2`,
+        [profileIds, subject.userId ?? subject.email]
+    );
+    const visitorIds = visitors.rows.map(row => row.visitor_id);
+
+    const sessions = await client.query(
+        `SELECT value AS session_id FROM ${schema}.identity_links
+         WHERE kind = 'session' AND profile_id = ANY($1) AND removed_at IS NULL
+         UNION
+         SELECT session_id FROM ${schema}.session_mappings WHERE visitor_id = ANY($2)`,
+        [profileIds, visitorIds]
+    );
+    const sessionIds = sessions.rows.map(row => row.session_id);
+
+    return { profileIds, visitorIds, sessionIds };
+}
+
+// Condition matching a subject's events (alias-free, parameters $1-$3)
+const EVENT_CONDITION = 'profile_id = ANY($1) OR visitor_id = ANY($2) OR session_id = ANY($3)';
+
+async function recordRequest(client, schema, type, subject, { requestedBy, reason, counts }) {
+    const id = generateRequestId();
+    await client.query(
+        `INSERT INTO ${schema}.privacy_requests (id, type, subject_hash, requested_by, reason, counts)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [id, type, subjectHash(subject), requestedBy || null, reason || null, counts]
+    );
+    return id;
+}
+
+/**
+ * Collect everything stored about a subject as one JSON document, and
+ * record the export in the audit trail
+ */
+export async function exportSubject(schema, subject, { requestedBy, reason } = {}) {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ');
+        const found = await findSubject(client, schema, subject);
+        const ids = [found.profileIds, found.visitorIds, found.sessionIds];
+
+        const [profiles, traitChanges, memberships, links, visitors, sessions, events] = await Promise.all([
+            client.query(`SELECT * FROM ${schema}.profiles WHERE id = ANY($1) ORDER BY created_at`, [found.profileIds]),
+            client.query(
+                `SELECT * FROM ${schema}.trait_changes WHERE profile_id = ANY($1) ORDER BY changed_at, id`,
+                [found.profileIds]
+            ),
+            client.query(
+                `SELECT * FROM ${schema}.group_memberships WHERE profile_id = ANY($1) ORDER BY created_at`,
+                [found.profileIds]
+            ),
+            client.query(
+                `SELECT kind, value, profile_id, reason, confidence, created_at, removed_at
+                 FROM ${schema}.identity_links WHERE profile_id = ANY($1) ORDER BY created_at`,
+                [found.profileIds]
+            ),
+            client.query(`SELECT * FROM ${schema}.identity_mappings WHERE visitor_id = ANY($1)`, [found.visitorIds]),
+            client.query(`SELECT * FROM ${schema}.session_mappings WHERE session_id = ANY($1)`, [found.sessionIds]),
+            client.query(`SELECT * FROM ${schema}.events WHERE ${EVENT_CONDITION} ORDER BY timestamp`, ids)
+        ]);
+
+        const counts = {
+            profiles: profiles.rows.length,
+            visitors: found.visitorIds.length,
+            sessions: found.sessionIds.length,
+            events: events.rows.length
+        };
+        const requestId = await recordRequest(client, schema, 'export', subject, { requestedBy, reason, counts });
+        await client.query('COMMIT');
+
+        return {
+            requestId,
+            exportedAt: new Date().toISOString(),
+            subject,
+            counts,
+            profiles: profiles.rows,
+            traitChanges: traitChanges.rows,
+            groupMemberships: memberships.rows,
+            identityLinks: links.rows,
+            visitors: visitors.rows,
+            sessions: sessions.rows,
+            events: events.rows
+        };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Erase a subject. 'delete' removes all of their rows; 'pseudonymize' keeps
+ * their events for aggregate analytics but replaces visitor, session and
+ * profile IDs with unlinkable pseudonyms and drops identity, identify event
+ * properties, IP, geolocation and device details. Either way their visitor IDs are suppressed from stitching and
+ * the request is recorded in the audit trail.
+ */
+export async function eraseSubject(schema, subject, { mode = 'delete', requestedBy, reason } = {}) {
+    if (mode !== 'delete' && mode !== 'pseudonymize') {
+        throw new HttpError(400, "mode must be 'delete' or 'pseudonymize'");
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const found = await findSubject(client, schema, subject);
+        const { profileIds, visitorIds, sessionIds } = found;
+        const ids = [profileIds, visitorIds, sessionIds];
+
+        let events;
+        if (mode === 'delete') {
+            events = await client.query(`DELETE FROM ${schema}.events WHERE ${EVENT_CONDITION}`, ids);
+        } else {
+            // A salt that is never stored keeps pseudonyms consistent within
+            // this subject's events but impossible to link back. Identify
+            // events' properties name the subject's traits (and older ones
+            // hold their values), so they are cleared.
+            const salt = crypto.randomBytes(16).toString('hex');
+            events = await client.query(
+                `UPDATE ${schema}.events
+                 SET visitor_id = 'anon_' || left(md5($4 || visitor_id), 20),
+                     session_id = 'anon_' || left(md5($4 || session_id), 20),
+                     profile_id = 'anon_' || left(md5($4 || profile_id), 20),
+                     properties = CASE WHEN event_name = 'identify' THEN '{}'::jsonb ELSE properties END,
+                     identity = NULL, ip_address = NULL, geolocation = NULL, asn = NULL,
+                     browser_details = NULL, first_seen_at = NULL, last_seen_at = NULL
+                 WHERE ${EVENT_CONDITION}`,
+                [...ids, salt]
+            );
+            await client.query(
+                `UPDATE ${schema}.profiles SET traits = '{}', trait_timestamps = '{}', updated_at = CURRENT_TIMESTAMP WHERE id = ANY($1)`,
+                [profileIds]
+            );
+        }
+
+        await client.query(`DELETE FROM ${schema}.verified_requests WHERE session_id = ANY($1) OR visitor_id = ANY($2)`,
+            [sessionIds, visitorIds]);
+        await client.query(`DELETE FROM ${schema}.session_mappings WHERE session_id = ANY($1)`, [sessionIds]);
+        await client.query(`DELETE FROM ${schema}.identity_mappings WHERE visitor_id = ANY($1)`, [visitorIds]);
+        await client.query(`DELETE FROM ${schema}.identity_links WHERE profile_id = ANY($1)`, [profileIds]);
+        // Trait history holds the same data as the traits themselves
+        await client.query(`DELETE FROM ${schema}.trait_changes WHERE profile_id = ANY($1)`, [profileIds]);
+        await client.query(`DELETE FROM ${schema}.group_memberships WHERE profile_id = ANY($1)`, [profileIds]);
+        await client.query(`DELETE FROM ${schema}.identity_exclusions WHERE visitor_id = ANY($1) OR profile_id = ANY($2)`,
+            [visitorIds, profileIds]);
+        if (mode === 'delete') {
+            await client.query(`DELETE FROM ${schema}.profiles WHERE id = ANY($1)`, [profileIds]);
+        }
+
+        // Queued destination messages would otherwise still deliver their data
+        await client.query(
+            `DELETE FROM ${schema}.deliveries
+             WHERE status != 'delivered'
+             AND (payload ->> 'profileId' = ANY($1) OR payload ->> 'sourceProfileId' = ANY($1)
+                  OR payload ->> 'targetProfileId' = ANY($1) OR payload -> 'event' ->> 'visitor_id' = ANY($2))`,
+            [profileIds, visitorIds]
+        );
+
+        const counts = {
+            profiles: profileIds.length,
+            visitors: visitorIds.length,
+            sessions: sessionIds.length,
+            events: events.rowCount
+        };
+        const requestId = await recordRequest(client, schema, mode, subject, { requestedBy, reason, counts });
+
+        await client.query(
+            `INSERT INTO ${schema}.suppressed_visitors (visitor_hash, request_id)
+             SELECT unnest($1::text[]), $2
+             ON CONFLICT DO NOTHING`,
+            [visitorIds.map(visitorHash), requestId]
+        );
+
+        await client.query('COMMIT');
+        return { requestId, mode, counts };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * List the audit trail of data subject requests, newest first
+ */
+export async function listPrivacyRequests(schema, { limit = 100 } = {}) {
+    const result = await pool.query(
+        `SELECT id, type, subject_hash, requested_by, reason, counts, created_at
+         FROM ${schema}.privacy_requests
+         ORDER BY created_at DESC
+         LIMIT $1`,
+        [limit]
+    );
+    return result.rows;
+}
@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import { pool } from '../db/connection.js';
+import { HttpError } from './errors.js';
+import { logger } from './logger.js';
+
+// Rate and payload limits for ingestion. Each tenant has token buckets for
+// the tenant as a whole, for each session and for each client IP: a bucket
+// holds up to `burst` tokens, refills at `rate` tokens per second, and every
+// call (or batch item) takes one. Buckets live in process memory, or in
+// Postgres when RATE_LIMIT_STORE=postgres so that all instances share them.
+
+export const DEFAULT_RATE_LIMIT_SETTINGS = {
+    // { rate, burst } per limit; false switches a limit off
+    tenant: { rate: 1000, burst: 2000 },
+    session: { rate: 10, burst: 100 },
+    ip: { rate: 50, burst: 200 },
+    // Largest JSON size of event properties, identify userData and group
+    // traits, in bytes; false for no limit
+    maxPayloadBytes: 32 * 1024,
+    // Deepest nesting of objects and arrays in them; false for no limit
+    maxPayloadDepth: 8
+};
+
+export const LIMITS = ['tenant', 'session', 'ip'];
+
+// Idle buckets are forgotten after this long. A bucket must be able to
+// refill in that time, or forgetting it would hand out extra tokens.
+const BUCKET_TTL = 60 * 60 * 1000;
+const MAX_MEMORY_BUCKETS = 100000;
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Validate a tenant's rate limit settings
+ */
+export function validateRateLimitSettings(settings) {
+    for (const limit of LIMITS) {
+        const bucket = settings[limit];
+        if (bucket === false) {
+            continue;
+        }
+        if (!bucket || typeof bucket !== 'object' ||
+            !(typeof bucket.rate === 'number' && bucket.rate > 0) || !isPositiveInteger(bucket.burst)) {
+            throw new HttpError(400, `rateLimits.${limit} must be { rate, burst } with a positive rate and burst, or false`);
+        }
+        if (bucket.burst / bucket.rate > BUCKET_TTL / 1000) {
+            throw new HttpError(400, `rateLimits.${limit} must refill within an hour (burst / rate <= 3600)`);
+        }
+    }
+    for (const field of ['maxPayloadBytes', 'maxPayloadDepth']) {
+        if (settings[field] !== false && !isPositiveInteger(settings[field])) {
+            throw new HttpError(400, `rateLimits.${field} must be a positive integer or false`);
+        }
+    }
+}
+
+// Tokens a bucket holds after refilling since its last update, up to burst
+function refill(bucket, { rate, burst }, now) {
+    return Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rate);
+}
+
+function createMemoryStore() {
+    const buckets = new Map();
+
+    // Forget idle buckets periodically
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, bucket] of buckets.entries()) {
+            if (now - bucket.updatedAt > BUCKET_TTL) {
+                buckets.delete(key);
+            }
+        }
+    }, BUCKET_TTL / 4).unref();
+
+    return {
+        async take(key, limit, cost) {
+            const now = Date.now();
+            const bucket = buckets.get(key);
+            const tokens = bucket ? refill(bucket, limit, now) : limit.burst;
+            const allowed = tokens >= cost;
+            // Maps iterate in insertion order, so re-inserting on every use
+            // keeps the least recently used bucket first
+            buckets.delete(key);
+            if (buckets.size >= MAX_MEMORY_BUCKETS) {
+                buckets.delete(buckets.keys().next().value);
+            }
+            buckets.set(key, { tokens: allowed ? tokens - cost : tokens, updatedAt: now });
+            return { allowed, tokens: allowed ? tokens - cost : tokens };
+        }
+    };
+}
+
+function createPostgresStore() {
+    // Forget idle buckets periodically; every instance may do it
+    setInterval(() => {
+        pool.query(
+            `DELETE FROM public.rate_limit_buckets WHERE updated_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 millisecond'`,
+            [BUCKET_TTL]
+        ).catch(err => {
+            logger.error('Error removing idle rate limit buckets:', err);
+        });
+    }, BUCKET_TTL / 4).unref();
+
+    return {
+        // One statement refills and takes from the bucket atomically
+        async take(key, { rate, burst }, cost) {
+            const available = `LEAST($3::float8, b.tokens +
+                EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - b.updated_at))::float8 * $2::float8)`;
+            const result = await pool.query(
+                `INSERT INTO public.rate_limit_buckets AS b (key, tokens, allowed)
+                 VALUES ($1, $3::float8 - $4::float8, TRUE)
+                 ON CONFLICT (key) DO UPDATE SET
+                   tokens = CASE WHEN ${available} >= $4::float8 THEN ${available} - $4::float8 ELSE ${available} END,
+                   allowed = ${available} >= $4::float8,
+                   updated_at = CURRENT_TIMESTAMP
+                 RETURNING tokens, allowed`,
+                [crypto.createHash('sha256').update(key).digest('hex'), rate, burst, cost]
+            );
+            return result.rows[0];
+        }
+    };
+}
+
+let store = null;
+
+function getStore() {
+    if (!store) {
+        store = process.env.RATE_LIMIT_STORE === 'postgres' ? createPostgresStore() : createMemoryStore();
+    }
+    return store;
+}
+
+/**
+ * Take `cost` tokens from each bucket in turn, e.g.
+ * [{ limit: 'ip', key: '...', cost: 1 }]. Returns null when all allowed the
+ * call, or the limit that refused it and the seconds until it would be
+ * allowed. A store that cannot be reached lets calls through.
+ */
+export async function takeTokens(settings, tenantId, buckets) {
+    for (const { limit, key, cost } of buckets) {
+        const bucket = settings[limit];
+        if (!bucket) {
+            continue;
+        }
+
+        // A call larger than the whole bucket takes all of it, so it can
+        // still go through once the bucket is full
+        const tokens = Math.min(cost, bucket.burst);
+        let result;
+        try {
+            result = await getStore().take(`${tenantId}:${limit}:${key}`, bucket, tokens);
+        } catch (err) {
+            logger.error('Error checking rate limit:', err);
+            return null;
+        }
+        if (!result.allowed) {
+            return { limit, retryAfter: Math.max(1, Math.ceil((tokens - result.tokens) / bucket.rate)) };
+        }
+    }
+    return null;
+}
+
+function depthOf(value, maxDepth, depth = 0) {
+    if (value === null || typeof value !== 'object' || depth > maxDepth) {
+        return depth;
+    }
+    let deepest = depth + 1;
+    for (const item of Object.values(value)) {
+        deepest = Math.max(deepest, depthOf(item, maxDepth, depth + 1));
+        if (deepest > maxDepth) {
+            break;
+        }
+    }
+    return deepest;
+}
+
+/**
+ * Check a payload (event properties, userData or traits) against the
+ * tenant's size and depth limits. Returns an error message or null.
+ */
+export function payloadError(settings, name, value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (settings.maxPayloadBytes !== false &&
+        Buffer.byteLength(JSON.stringify(value)) > settings.maxPayloadBytes) {
+        return `${name} must not exceed ${settings.maxPayloadBytes} bytes`;
+    }
+    if (settings.maxPayloadDepth !== false && depthOf(value, settings.maxPayloadDepth) > settings.maxPayloadDepth) {
+        return `${name} must not be nested more than ${settings.maxPayloadDepth} levels deep`;
+    }
+    return null;
+}
+
+/**
+ * Throw a 413 when a payload exceeds the tenant's limits
+ */
+export function checkPayload(settings, name, value) {
+    const error = payloadError(settings, name, value);
+    if (error) {
+        throw new HttpError(413, error);
+    }
+}
@@ -0,0 +1,101 @@
+import { HttpError } from './errors.js';
+
+// Risk scoring from a fingerprint provider's smart signals. Each signal is
+// turned into a score in [0, 1] and weighted; weighted scores are combined as
+// independent probabilities, so one strong signal dominates and several weak
+// ones add up without exceeding 1.
+
+const SIGNAL_SCORES = {
+    // 'good' bots (search engines, monitoring) are still not human traffic
+    bot: value => value === 'bad' ? 1 : value === 'good' ? 0.5 : 0,
+    vpn: value => Number(value === true),
+    proxy: value => Number(value === true),
+    tor: value => Number(value === true),
+    incognito: value => Number(value === true),
+    tampering: value => Number(value === true),
+    locationSpoofing: value => Number(value === true)
+};
+
+export const RISK_SIGNALS = Object.keys(SIGNAL_SCORES);
+
+const RISK_ACTIONS = ['none', 'flag', 'quarantine', 'reject'];
+
+export const DEFAULT_RISK_SETTINGS = {
+    weights: {
+        bot: 1,
+        tor: 0.8,
+        tampering: 0.7,
+        locationSpoofing: 0.6,
+        proxy: 0.5,
+        vpn: 0.3,
+        incognito: 0.1
+    },
+    // Sessions scoring at or above the threshold get the action: 'flag' marks
+    // them, 'quarantine' also hides their events from queries by default and
+    // 'reject' refuses to start the session
+    threshold: 0.7,
+    action: 'flag'
+};
+
+/**
+ * Validate a tenant's risk settings
+ */
+export function validateRiskSettings(settings) {
+    for (const [name, weight] of Object.entries(settings.weights || {})) {
+        if (!SIGNAL_SCORES[name]) {
+            throw new HttpError(400, `Unknown risk signal: ${name}`);
+        }
+        if (typeof weight !== 'number' || weight < 0 || weight > 1) {
+            throw new HttpError(400, `risk.weights.${name} must be between 0 and 1`);
+        }
+    }
+    if (typeof settings.threshold !== 'number' || settings.threshold < 0 || settings.threshold > 1) {
+        throw new HttpError(400, 'risk.threshold must be between 0 and 1');
+    }
+    if (!RISK_ACTIONS.includes(settings.action)) {
+        throw new HttpError(400, `risk.action must be one of: ${RISK_ACTIONS.join(', ')}`);
+    }
+}
+
+/**
+ * Score a visitor's risk signals. Returns the score, the signals that
+ * contributed and the status to store: 'ok', 'flagged', 'quarantined' or
+ * 'rejected'.
+ */
+export function scoreRisk(signals = {}, settings = DEFAULT_RISK_SETTINGS) {
+    let clean = 1;
+    const reasons = [];
+
+    for (const [name, toScore] of Object.entries(SIGNAL_SCORES)) {
+        const contribution = (settings.weights[name] || 0) * toScore(signals[name]);
+        if (contribution > 0) {
+            clean *= 1 - contribution;
+            reasons.push(name);
+        }
+    }
+
+    const score = Math.round((1 - clean) * 1000) / 1000;
+    let status = 'ok';
+    if (score >= settings.threshold) {
+        status = { none: 'ok', flag: 'flagged', quarantine: 'quarantined', reject: 'rejected' }[settings.action];
+    }
+
+    return { score, status, reasons };
+}
+
+/**
+ * SQL condition excluding risky events (alias `e`) from a query. Quarantined
+ * events are hidden unless includeQuarantined is set; maxRisk also drops
+ * events scoring above it. Appends its parameters to `params`.
+ */
+export function riskFilter(params, { includeQuarantined = false, maxRisk } = {}) {
+    const conditions = [];
+    if (!includeQuarantined) {
+        conditions.push("e.risk_status IS DISTINCT FROM 'quarantined'");
+    }
+    if (maxRisk !== undefined && maxRisk !== null) {
+        params.push(maxRisk);
+        conditions.push(`COALESCE(e.risk_score, 0) <= $${params.length}`);
+    }
+    return conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+}
@@ -0,0 +1,222 @@
+import crypto from 'crypto';
+import { pool } from '../db/connection.js';
+import { HttpError } from './errors.js';
+import { linkIdentifier } from './identity-graph.js';
+import { getSessionProfile } from './identity.js';
+
+// Session lifecycle. A session expires after idleTimeoutMinutes without
+// events or maxAgeHours after it started, or when it is ended explicitly.
+// `schema` is always an already-quoted tenant schema.
+
+export const DEFAULT_SESSION_SETTINGS = {
+    idleTimeoutMinutes: 30,
+    maxAgeHours: 24,
+    // 'rotate' continues in a new session for the same visitor, 'reject'
+    // makes the client start a new one with /init
+    onExpired: 'rotate'
+};
+
+const SUMMARY_COLUMNS = `session_id, visitor_id, started_at, last_activity_at, ended_at, end_reason,
+                rotated_to, event_count, landing_page, exit_page, referrer, risk_status, group_id, anonymous`;
+
+/**
+ * Validate a tenant's session settings
+ */
+export function validateSessionSettings(settings) {
+    for (const field of ['idleTimeoutMinutes', 'maxAgeHours']) {
+        if (typeof settings[field] !== 'number' || !(settings[field] > 0)) {
+            throw new HttpError(400, `sessions.${field} must be a positive number`);
+        }
+    }
+    if (!['rotate', 'reject'].includes(settings.onExpired)) {
+        throw new HttpError(400, "sessions.onExpired must be 'rotate' or 'reject'");
+    }
+}
+
+// Helper function to generate session ID
+export function generateSessionId() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Why a session can no longer take events ('ended', 'consent', 'idle' or
+ * 'max_age'), or null while it is active
+ */
+export function expiryReason(session, settings = DEFAULT_SESSION_SETTINGS, now = Date.now()) {
+    if (session.ended_at) {
+        return session.end_reason === 'consent' ? 'consent' : 'ended';
+    }
+    const startedAt = new Date(session.started_at).getTime();
+    const lastActivityAt = session.last_activity_at ? new Date(session.last_activity_at).getTime() : startedAt;
+    if (now - lastActivityAt > settings.idleTimeoutMinutes * 60 * 1000) {
+        return 'idle';
+    }
+    if (now - startedAt > settings.maxAgeHours * 60 * 60 * 1000) {
+        return 'max_age';
+    }
+    return null;
+}
+
+/**
+ * End a session. Ending an already ended session keeps its original reason.
+ */
+export async function endSession(client, schema, sessionId, { reason = 'ended', rotatedTo = null } = {}) {
+    const result = await client.query(
+        `UPDATE ${schema}.session_mappings
+         SET ended_at = COALESCE(ended_at, CURRENT_TIMESTAMP),
+             end_reason = COALESCE(end_reason, $2),
+             rotated_to = COALESCE(rotated_to, $3)
+         WHERE session_id = $1
+         RETURNING ${SUMMARY_COLUMNS}`,
+        [sessionId, reason, rotatedTo]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Replace an expired session with a new one for the same visitor and
+ * profile. Must run inside the caller's transaction. Returns the new
+ * session row, or the one a concurrent request already rotated to.
+ */
+export async function rotateSession(client, schema, session, profileId, reason) {
+    const locked = await client.query(
+        `SELECT rotated_to FROM ${schema}.session_mappings WHERE session_id = $1 FOR UPDATE`,
+        [session.session_id]
+    );
+    const existing = locked.rows[0]?.rotated_to;
+
+    const sessionId = existing || generateSessionId();
+    if (!existing) {
+        await client.query(
+            `INSERT INTO ${schema}.session_mappings
+             (session_id, visitor_id, ip_address, browser_details, confidence_score,
+              identification_method, risk_score, risk_status, risk_signals, group_id,
+              consent, anonymous)
+             SELECT $2, visitor_id, ip_address, browser_details, confidence_score,
+                    identification_method, risk_score, risk_status, risk_signals, group_id,
+                    consent, anonymous
+             FROM ${schema}.session_mappings
+             WHERE session_id = $1`,
+            [session.session_id, sessionId]
+        );
+        await linkIdentifier(client, schema, profileId, 'session', sessionId, {
+            reason: 'session',
+            confidence: 1.0
+        });
+        await endSession(client, schema, session.session_id, { reason, rotatedTo: sessionId });
+    }
+
+    const result = await client.query(
+        `SELECT * FROM ${schema}.session_mappings WHERE session_id = $1`,
+        [sessionId]
+    );
+    return result.rows[0];
+}
+
+/**
+ * Apply the tenant's expiry policy before a session takes new events.
+ * Returns the session to use and, if the given one had expired and was
+ * rotated, the session ID it replaced. Throws a 410 when expired sessions
+ * are rejected. Sessions ended by a consent change are never rotated: the
+ * visitor starts a new session under the new consent.
+ */
+export async function ensureActiveSession(client, schema, session, settings = DEFAULT_SESSION_SETTINGS) {
+    const reason = expiryReason(session, settings);
+    if (!reason) {
+        return { session, rotatedFrom: null };
+    }
+    if (settings.onExpired === 'reject' || reason === 'consent') {
+        throw new HttpError(410, 'Session expired', { reason });
+    }
+
+    try {
+        await client.query('BEGIN');
+        const profile = await getSessionProfile(client, schema, session.session_id, session);
+        const rotated = await rotateSession(client, schema, session, profile.id, reason);
+        await client.query('COMMIT');
+        return { session: rotated, rotatedFrom: session.session_id };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+}
+
+// Page and referrer details are taken from page_visit style properties
+function pageOf(properties) {
+    return properties?.url || properties?.path || null;
+}
+
+/**
+ * Record events against their session: bumps the event count and last
+ * activity, and fills in the landing page, exit page and referrer. `events`
+ * are `{ properties, timestamp }` in the order they happened.
+ */
+export async function recordSessionActivity(client, schema, sessionId, events) {
+    if (events.length === 0) {
+        return;
+    }
+    const pages = events.map(event => pageOf(event.properties)).filter(Boolean);
+    const referrer = events.map(event => event.properties?.referrer).find(Boolean) || null;
+    const lastActivity = events
+        .map(event => event.timestamp ? new Date(event.timestamp) : new Date())
+        .reduce((latest, time) => time > latest ? time : latest);
+
+    await client.query(
+        `UPDATE ${schema}.session_mappings
+         SET last_activity_at = GREATEST(COALESCE(last_activity_at, started_at), $2),
+             event_count = event_count + $3,
+             landing_page = COALESCE(landing_page, $4),
+             exit_page = COALESCE($5, exit_page),
+             referrer = COALESCE(referrer, $6)
+         WHERE session_id = $1`,
+        [sessionId, lastActivity, events.length, pages[0] || null, pages[pages.length - 1] || null, referrer]
+    );
+}
+
+function toSummary(row, settings) {
+    const startedAt = new Date(row.started_at);
+    const lastActivityAt = row.last_activity_at ? new Date(row.last_activity_at) : startedAt;
+    const reason = expiryReason(row, settings);
+    return {
+        sessionId: row.session_id,
+        visitorId: row.visitor_id,
+        status: reason === null ? 'active' : row.ended_at ? 'ended' : 'expired',
+        startedAt: row.started_at,
+        lastActivityAt: row.last_activity_at,
+        endedAt: row.ended_at,
+        endReason: row.end_reason || (reason !== 'ended' ? reason : null),
+        rotatedTo: row.rotated_to,
+        durationSeconds: Math.round((lastActivityAt - startedAt) / 1000),
+        eventCount: row.event_count,
+        landingPage: row.landing_page,
+        exitPage: row.exit_page,
+        referrer: row.referrer,
+        riskStatus: row.risk_status,
+        anonymous: row.anonymous
+    };
+}
+
+/**
+ * Get one session's summary
+ */
+export async function getSessionSummary(schema, sessionId, settings) {
+    const result = await pool.query(
+        `SELECT ${SUMMARY_COLUMNS} FROM ${schema}.session_mappings WHERE session_id = $1`,
+        [sessionId]
+    );
+    return result.rows[0] ? toSummary(result.rows[0], settings) : null;
+}
+
+/**
+ * Get a visitor's session summaries, newest first
+ */
+export async function listSessionSummaries(schema, visitorId, settings, { limit = 50 } = {}) {
+    const result = await pool.query(
+        `SELECT ${SUMMARY_COLUMNS} FROM ${schema}.session_mappings
+         WHERE visitor_id = $1
+         ORDER BY started_at DESC
+         LIMIT $2`,
+        [visitorId, limit]
+    );
+    return result.rows.map(row => toSummary(row, settings));
+}
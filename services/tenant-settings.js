@@ -0,0 +1,143 @@
+import { pool } from '../db/connection.js';
+import { HttpError } from './errors.js';
+import { DEFAULT_RESOLUTION_RULES, validateResolutionRules } from './identity-resolver.js';
+import { DEFAULT_FINGERPRINT_SETTINGS, validateFingerprintSettings } from './fingerprint.js';
+import { DEFAULT_RISK_SETTINGS, validateRiskSettings } from './risk.js';
+import { DEFAULT_SESSION_SETTINGS, validateSessionSettings } from './sessions.js';
+import { DEFAULT_VALIDATION_SETTINGS, validateValidationSettings } from './event-schemas.js';
+import { DEFAULT_RETENTION_SETTINGS, validateRetentionSettings } from './data-retention.js';
+import { DEFAULT_TRAIT_SETTINGS, validateTraitSettings } from './traits.js';
+import { DEFAULT_PRIVACY_SETTINGS, validatePrivacySettings } from './consent.js';
+import { DEFAULT_RATE_LIMIT_SETTINGS, validateRateLimitSettings } from './rate-limits.js';
+
+// Per-tenant settings are stored as overrides in public.tenants.settings and
+// deep-merged over these defaults. Each section validates its effective value.
+const SECTIONS = {
+    identityResolution: { defaults: DEFAULT_RESOLUTION_RULES, validate: validateResolutionRules },
+    fingerprint: { defaults: DEFAULT_FINGERPRINT_SETTINGS, validate: validateFingerprintSettings },
+    risk: { defaults: DEFAULT_RISK_SETTINGS, validate: validateRiskSettings },
+    sessions: { defaults: DEFAULT_SESSION_SETTINGS, validate: validateSessionSettings },
+    validation: { defaults: DEFAULT_VALIDATION_SETTINGS, validate: validateValidationSettings },
+    retention: { defaults: DEFAULT_RETENTION_SETTINGS, validate: validateRetentionSettings },
+    traits: { defaults: DEFAULT_TRAIT_SETTINGS, validate: validateTraitSettings },
+    privacy: { defaults: DEFAULT_PRIVACY_SETTINGS, validate: validatePrivacySettings },
+    rateLimits: { defaults: DEFAULT_RATE_LIMIT_SETTINGS, validate: validateRateLimitSettings }
+};
+
+// Cache for effective settings (TTL: 30 seconds)
+const settingsCache = new Map();
+const CACHE_TTL = 30 * 1000;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Merge overrides into base; objects merge recursively, anything else replaces
+function deepMerge(base, overrides) {
+    if (!isPlainObject(base) || !isPlainObject(overrides)) {
+        return overrides === undefined ? base : overrides;
+    }
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overrides)) {
+        merged[key] = deepMerge(base[key], value);
+    }
+    return merged;
+}
+
+function effectiveSettings(overrides) {
+    const settings = {};
+    for (const [name, section] of Object.entries(SECTIONS)) {
+        settings[name] = deepMerge(section.defaults, overrides?.[name] || {});
+    }
+    return settings;
+}
+
+/**
+ * Get a tenant's effective settings (defaults plus overrides)
+ */
+export async function getTenantSettings(tenantId) {
+    const cached = settingsCache.get(tenantId);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+        return cached.data;
+    }
+
+    const result = await pool.query(
+        'SELECT settings FROM public.tenants WHERE id = $1',
+        [tenantId]
+    );
+    if (!result.rows[0]) {
+        throw new HttpError(404, 'Unknown tenant');
+    }
+
+    const data = effectiveSettings(result.rows[0].settings);
+    settingsCache.set(tenantId, { data, timestamp: Date.now() });
+    return data;
+}
+
+/**
+ * Deep-merge a patch into a tenant's stored overrides. A null value removes
+ * an override so the default applies again.
+ */
+export async function updateTenantSettings(tenantId, patch) {
+    if (!isPlainObject(patch)) {
+        throw new HttpError(400, 'Settings must be an object');
+    }
+    for (const name of Object.keys(patch)) {
+        if (!SECTIONS[name]) {
+            throw new HttpError(400, `Unknown settings section: ${name}`);
+        }
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const current = await client.query(
+            'SELECT settings FROM public.tenants WHERE id = $1 FOR UPDATE',
+            [tenantId]
+        );
+        if (!current.rows[0]) {
+            throw new HttpError(404, 'Unknown tenant');
+        }
+
+        const overrides = removeNulls(deepMerge(current.rows[0].settings || {}, patch));
+        const settings = effectiveSettings(overrides);
+        for (const [name, section] of Object.entries(SECTIONS)) {
+            section.validate(settings[name]);
+        }
+
+        await client.query(
+            `UPDATE public.tenants
+             SET settings = $2, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [tenantId, overrides]
+        );
+        await client.query('COMMIT');
+
+        settingsCache.delete(tenantId);
+        return settings;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Drop null leaves (and objects left empty) from stored overrides
+function removeNulls(value) {
+    if (!isPlainObject(value)) {
+        return value;
+    }
+    const cleaned = {};
+    for (const [key, child] of Object.entries(value)) {
+        if (child === null) {
+            continue;
+        }
+        const next = removeNulls(child);
+        if (isPlainObject(next) && Object.keys(next).length === 0) {
+            continue;
+        }
+        cleaned[key] = next;
+    }
+    return cleaned;
+}
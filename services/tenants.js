@@ -0,0 +1,155 @@
+import { pool } from '../db/connection.js';
+import { isValidTenantId } from '../db/identifiers.js';
+import { migrateControl, migrateTenantSchema } from '../db/migrations.js';
+import { HttpError } from './errors.js';
+
+const TENANT_COLUMNS = 'id, name, status, schema_version, created_at, updated_at, disabled_at';
+
+// Allow-list of registered tenants whose schema actually exists (TTL: 1 minute)
+let schemaAllowList = null;
+const ALLOW_LIST_TTL = 60 * 1000;
+
+/**
+ * Look up a tenant by ID, or null if it is not registered
+ */
+export async function getTenant(tenantId) {
+    if (!isValidTenantId(tenantId)) {
+        return null;
+    }
+
+    const result = await pool.query(
+        `SELECT ${TENANT_COLUMNS} FROM public.tenants WHERE id = $1`,
+        [tenantId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Whether a tenant is registered and its schema exists, i.e. it is safe to
+ * interpolate as a schema name
+ */
+export async function isProvisionedTenant(tenantId) {
+    if (!isValidTenantId(tenantId)) {
+        return false;
+    }
+
+    if (!schemaAllowList || Date.now() - schemaAllowList.timestamp > ALLOW_LIST_TTL ||
+        !schemaAllowList.ids.has(tenantId)) {
+        const result = await pool.query(
+            `SELECT t.id
+             FROM public.tenants t
+             JOIN pg_catalog.pg_namespace n ON n.nspname = t.id`
+        );
+        schemaAllowList = {
+            ids: new Set(result.rows.map(row => row.id)),
+            timestamp: Date.now()
+        };
+    }
+
+    return schemaAllowList.ids.has(tenantId);
+}
+
+/**
+ * List registered tenants, optionally filtered by status
+ */
+export async function listTenants({ status } = {}) {
+    const result = status
+        ? await pool.query(
+            `SELECT ${TENANT_COLUMNS} FROM public.tenants WHERE status = $1 ORDER BY id`,
+            [status]
+        )
+        : await pool.query(`SELECT ${TENANT_COLUMNS} FROM public.tenants ORDER BY id`);
+    return result.rows;
+}
+
+/**
+ * Register a tenant and provision its schema. An existing schema with the
+ * same name (from before tenants were registered) is adopted and upgraded.
+ */
+export async function createTenant({ id, name }) {
+    if (!isValidTenantId(id)) {
+        throw new HttpError(400, 'Tenant ID must be a lowercase identifier (letters, digits, underscores)');
+    }
+
+    const inserted = await pool.query(
+        `INSERT INTO public.tenants (id, name)
+         VALUES ($1, $2)
+         ON CONFLICT (id) DO NOTHING
+         RETURNING id`,
+        [id, name || id]
+    );
+
+    if (inserted.rows.length === 0) {
+        throw new HttpError(409, 'Tenant already exists');
+    }
+
+    try {
+        await migrateTenant(id);
+        schemaAllowList = null;
+    } catch (error) {
+        // Leave no half-registered tenant behind; the schema itself is
+        // kept since later migrations may already have been applied to it
+        await pool.query('DELETE FROM public.tenants WHERE id = $1', [id]);
+        throw error;
+    }
+
+    return getTenant(id);
+}
+
+/**
+ * Disable a tenant so it can no longer start sessions. Data is kept.
+ */
+export async function disableTenant(tenantId) {
+    const result = await pool.query(
+        `UPDATE public.tenants
+         SET status = 'disabled',
+             disabled_at = COALESCE(disabled_at, CURRENT_TIMESTAMP),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${TENANT_COLUMNS}`,
+        [tenantId]
+    );
+
+    if (!result.rows[0]) {
+        throw new HttpError(404, 'Unknown tenant');
+    }
+    return result.rows[0];
+}
+
+/**
+ * Run pending migrations for one tenant schema
+ */
+export async function migrateTenant(tenantId) {
+    const client = await pool.connect();
+    try {
+        const version = await migrateTenantSchema(client, tenantId);
+        await client.query(
+            `UPDATE public.tenants
+             SET schema_version = $1, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2`,
+            [version, tenantId]
+        );
+        return version;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Migrate the control schema and every registered tenant, including
+ * disabled ones so their retained data stays on the current schema
+ */
+export async function migrateAll() {
+    const client = await pool.connect();
+    try {
+        await migrateControl(client);
+    } finally {
+        client.release();
+    }
+
+    const results = [];
+    for (const tenant of await listTenants()) {
+        results.push({ tenantId: tenant.id, version: await migrateTenant(tenant.id) });
+    }
+    return results;
+}
@@ -0,0 +1,235 @@
+import { isDeepStrictEqual } from 'util';
+import { pool } from '../db/connection.js';
+import { HttpError } from './errors.js';
+
+// Profile traits are merged one trait at a time. Each trait remembers when it
+// was last set (trait_timestamps), and the tenant's rules settle conflicts:
+// 'last' keeps the most recently set value, 'first' the earliest one. Every
+// change is recorded in trait_changes under the profile's next version
+// number. `schema` is always an already-quoted tenant schema.
+
+export const DEFAULT_TRAIT_SETTINGS = {
+    // Rule for traits without a rule of their own: 'last' or 'first'
+    defaultRule: 'last',
+    // Per-trait rules, e.g. { "signupSource": "first", "plan": "last" }
+    rules: {}
+};
+
+const RULES = ['first', 'last'];
+
+const DEFAULT_HISTORY_LIMIT = 100;
+export const MAX_HISTORY_LIMIT = 1000;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a tenant's trait settings
+ */
+export function validateTraitSettings(settings) {
+    if (!RULES.includes(settings.defaultRule)) {
+        throw new HttpError(400, "traits.defaultRule must be 'first' or 'last'");
+    }
+    if (!isPlainObject(settings.rules)) {
+        throw new HttpError(400, 'traits.rules must be an object');
+    }
+    for (const [trait, rule] of Object.entries(settings.rules)) {
+        if (!RULES.includes(rule)) {
+            throw new HttpError(400, `traits.rules.${trait} must be 'first' or 'last'`);
+        }
+    }
+}
+
+/**
+ * Validate the trait names an identify call removes
+ */
+export function parseUnsetTraits(value) {
+    if (value === undefined) {
+        return [];
+    }
+    if (!Array.isArray(value) || !value.every(trait => typeof trait === 'string' && trait !== '')) {
+        throw new HttpError(400, 'unsetTraits must be an array of trait names');
+    }
+    return value;
+}
+
+/**
+ * A profile's (or group's) traits with a timestamp for each. Traits stored
+ * before timestamps were kept fall back to the row's last update.
+ */
+export function timedTraits(row) {
+    const timestamps = {};
+    for (const trait of Object.keys(row.traits || {})) {
+        timestamps[trait] = row.trait_timestamps?.[trait] || new Date(row.updated_at).toISOString();
+    }
+    return { traits: { ...row.traits }, timestamps };
+}
+
+/**
+ * Combine incoming traits into current ones (both `{ traits, timestamps }`)
+ * trait by trait under the tenant's rules. On equal timestamps the incoming
+ * value wins unless `incomingWinsTies` is false. Returns the combined traits
+ * and timestamps and the values that changed.
+ */
+export function combineTraits(current, incoming, settings, { incomingWinsTies = true } = {}) {
+    const traits = { ...current.traits };
+    const timestamps = { ...current.timestamps };
+    const changes = [];
+
+    for (const [trait, value] of Object.entries(incoming.traits)) {
+        const incomingAt = Date.parse(incoming.timestamps[trait]);
+        if (Object.hasOwn(traits, trait)) {
+            const currentAt = Date.parse(timestamps[trait]);
+            const wins = (settings.rules[trait] || settings.defaultRule) === 'first'
+                ? incomingAt < currentAt
+                : incomingAt > currentAt || (incomingWinsTies && incomingAt === currentAt);
+            if (!wins) {
+                continue;
+            }
+        }
+
+        // Sending the same value again only moves its timestamp
+        timestamps[trait] = incoming.timestamps[trait];
+        if (!Object.hasOwn(traits, trait) || !isDeepStrictEqual(traits[trait], value)) {
+            changes.push({ trait, previous: traits[trait], value });
+            traits[trait] = value;
+        }
+    }
+
+    return { traits, timestamps, changes };
+}
+
+// Store a profile's combined traits and record what changed as its next
+// version. Removed traits have an undefined value.
+async function saveTraits(client, schema, profileId, { traits, timestamps, changes }, { source, eventId = null, mergedFrom = null, changedAt = null }) {
+    if (changes.length === 0) {
+        await client.query(
+            `UPDATE ${schema}.profiles SET trait_timestamps = $2 WHERE id = $1`,
+            [profileId, timestamps]
+        );
+        return;
+    }
+
+    const result = await client.query(
+        `UPDATE ${schema}.profiles
+         SET traits = $2, trait_timestamps = $3, traits_version = traits_version + 1,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING traits_version`,
+        [profileId, traits, timestamps]
+    );
+
+    const toJson = value => value === undefined ? null : JSON.stringify(value);
+    await client.query(
+        `INSERT INTO ${schema}.trait_changes
+         (profile_id, version, trait, previous_value, value, unset, source, event_id, merged_from, changed_at)
+         SELECT $1, $2, unnest($3::text[]), unnest($4::jsonb[]), unnest($5::jsonb[]), unnest($6::boolean[]),
+                $7, $8, $9, COALESCE($10::timestamptz, CURRENT_TIMESTAMP)`,
+        [
+            profileId,
+            result.rows[0].traits_version,
+            changes.map(change => change.trait),
+            changes.map(change => toJson(change.previous)),
+            changes.map(change => toJson(change.value)),
+            changes.map(change => change.value === undefined),
+            source,
+            eventId,
+            mergedFrom,
+            changedAt
+        ]
+    );
+}
+
+/**
+ * Apply an identify call's traits to a profile inside the caller's
+ * transaction. `timestamp` is when the call was made; traits named in
+ * `unset` are removed unless they were set after it. Returns the profile's
+ * traits.
+ */
+export async function identifyTraits(client, schema, profileId, userData, { unset = [], timestamp, settings, eventId }) {
+    const result = await client.query(
+        `SELECT traits, trait_timestamps, updated_at FROM ${schema}.profiles WHERE id = $1 FOR UPDATE`,
+        [profileId]
+    );
+    const at = new Date(timestamp).toISOString();
+    const incoming = { traits: userData, timestamps: {} };
+    for (const trait of Object.keys(userData)) {
+        incoming.timestamps[trait] = at;
+    }
+
+    const combined = combineTraits(timedTraits(result.rows[0]), incoming, settings);
+    for (const trait of unset) {
+        if (Object.hasOwn(combined.traits, trait) && Date.parse(combined.timestamps[trait]) <= Date.parse(at)) {
+            combined.changes.push({ trait, previous: combined.traits[trait], value: undefined });
+            delete combined.traits[trait];
+            delete combined.timestamps[trait];
+        }
+    }
+
+    await saveTraits(client, schema, profileId, combined, { source: 'identify', eventId, changedAt: at });
+    return combined.traits;
+}
+
+/**
+ * Combine a merged profile's traits into the surviving profile inside the
+ * caller's transaction. Both are profile rows; the target keeps a trait on
+ * equal timestamps. Returns the target's traits.
+ */
+export async function mergeTraits(client, schema, source, target, settings) {
+    const combined = combineTraits(timedTraits(target), timedTraits(source), settings, { incomingWinsTies: false });
+    await saveTraits(client, schema, target.id, combined, { source: 'merge', mergedFrom: source.id });
+    return combined.traits;
+}
+
+/**
+ * Trait changes of a profile and every profile merged into it, newest first.
+ * Returns null for an unknown profile.
+ */
+export async function getTraitHistory(schema, profileId, query = {}) {
+    const limit = query.limit === undefined ? DEFAULT_HISTORY_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+        throw new HttpError(400, `limit must be an integer between 1 and ${MAX_HISTORY_LIMIT}`);
+    }
+
+    const profile = await pool.query(
+        `SELECT canonical_id FROM ${schema}.profiles WHERE id = $1`,
+        [profileId]
+    );
+    if (profile.rows.length === 0) {
+        return null;
+    }
+
+    const params = [profile.rows[0].canonical_id, limit];
+    let traitCondition = '';
+    if (query.trait !== undefined) {
+        params.push(String(query.trait));
+        traitCondition = `AND t.trait = $${params.length}`;
+    }
+
+    const result = await pool.query(
+        `SELECT t.id, t.profile_id, t.version, t.trait, t.previous_value, t.value, t.unset, t.source,
+                t.event_id, t.merged_from, t.changed_at
+         FROM ${schema}.trait_changes t
+         JOIN ${schema}.profiles p ON p.id = t.profile_id
+         WHERE p.canonical_id = $1
+         ${traitCondition}
+         ORDER BY t.changed_at DESC, t.id DESC
+         LIMIT $2`,
+        params
+    );
+
+    return result.rows.map(row => ({
+        id: row.id,
+        profileId: row.profile_id,
+        version: row.version,
+        trait: row.trait,
+        previousValue: row.previous_value,
+        value: row.value,
+        unset: row.unset,
+        source: row.source,
+        eventId: row.event_id,
+        mergedFrom: row.merged_from,
+        changedAt: row.changed_at
+    }));
+}
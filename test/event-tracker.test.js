@@ -0,0 +1,177 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { test } from 'node:test';
+import vm from 'node:vm';
+
+// The SDK runs against a DOM shim: localStorage, fetch and sendBeacon are
+// fakes, and timers never fire on their own, so flushes and retries only
+// happen when a test asks for them.
+
+const source = fs.readFileSync(new URL('../public/event-tracker.js', import.meta.url), 'utf8');
+const context = vm.createContext({ console, URL });
+vm.runInContext(source, context);
+const { createEventTracker } = context;
+
+const fingerprint = async () => ({ requestId: 'req_1', visitorId: 'visitor_1' });
+
+function createLocalStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+function createWindow({ localStorage = createLocalStorage(), beacon = true } = {}) {
+    const listeners = [];
+    const documentListeners = [];
+    const network = { online: true, requests: [], beacons: [] };
+    let nextEventId = 1;
+
+    const respond = data => ({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => data
+    });
+
+    const window = {
+        localStorage,
+        navigator: beacon ? {
+            sendBeacon(url, body) {
+                network.beacons.push({ url, body: JSON.parse(body) });
+                return true;
+            }
+        } : {},
+        location: { href: 'https://shop.example.com/', origin: 'https://shop.example.com', pathname: '/', search: '', hash: '' },
+        history: {},
+        document: {
+            title: 'Shop',
+            referrer: '',
+            visibilityState: 'visible',
+            addEventListener: (type, listener) => documentListeners.push({ type, listener })
+        },
+        async fetch(url, options) {
+            if (!network.online) {
+                throw new TypeError('Failed to fetch');
+            }
+            const body = JSON.parse(options.body);
+            network.requests.push({ url, body });
+            if (url.endsWith('/eventTracking/init')) {
+                return respond({ sessionId: 'sess_1', profileId: 'prof_1', anonymous: false });
+            }
+            return respond({
+                results: body.batch.map((_, index) => ({ index, status: 'ok', id: nextEventId++ }))
+            });
+        },
+        addEventListener: (type, listener) => listeners.push({ type, listener }),
+        setTimeout: () => 0,
+        clearTimeout: () => {},
+        crypto: { randomUUID: () => crypto.randomUUID() }
+    };
+
+    const dispatch = (registered, type) => {
+        for (const entry of registered.filter(candidate => candidate.type === type)) {
+            entry.listener();
+        }
+    };
+    return {
+        window,
+        network,
+        fire: type => dispatch(listeners, type),
+        hide() {
+            window.document.visibilityState = 'hidden';
+            dispatch(documentListeners, 'visibilitychange');
+        }
+    };
+}
+
+// init() flushes whatever an earlier page left once the session starts
+async function start(window) {
+    const tracker = createEventTracker({ window });
+    await tracker.init({ writeKey: 'pk_test', endpoint: 'https://t.example.com', fingerprint, autocapture: false });
+    await new Promise(resolve => setImmediate(resolve));
+    return tracker;
+}
+
+function batches(network) {
+    return network.requests.filter(request => request.url === 'https://t.example.com/eventTracking/batch');
+}
+
+function storedQueue(localStorage) {
+    return JSON.parse(localStorage.getItem('event_tracker_queue') || '[]');
+}
+
+test('sends queued calls in order in one batch', async () => {
+    const { window, network } = createWindow();
+    const tracker = await start(window);
+
+    const first = tracker.track('signup_started', { plan: 'pro' });
+    const second = tracker.track('signup_completed');
+    assert.equal(tracker.queueLength, 2);
+
+    await tracker.flush();
+
+    assert.deepEqual(await first, { index: 0, status: 'ok', id: 1 });
+    assert.deepEqual(await second, { index: 1, status: 'ok', id: 2 });
+    assert.equal(tracker.queueLength, 0);
+
+    const sent = batches(network);
+    assert.equal(sent.length, 1);
+    assert.deepEqual(sent[0].body.batch.map(item => [item.type, item.eventName, item.sessionId]), [
+        ['track', 'signup_started', 'sess_1'],
+        ['track', 'signup_completed', 'sess_1']
+    ]);
+    assert.deepEqual(sent[0].body.batch[0].properties, { plan: 'pro' });
+});
+
+test('keeps the queue in localStorage for the next page load', async () => {
+    const localStorage = createLocalStorage();
+    const first = createWindow({ localStorage, beacon: false });
+    const tracker = await start(first.window);
+
+    first.network.online = false;
+    tracker.track('added_to_cart', { sku: 'A-1' });
+    tracker.track('checkout_started');
+    await tracker.flush();
+
+    assert.deepEqual(storedQueue(localStorage).map(entry => entry.eventName), ['added_to_cart', 'checkout_started']);
+    first.fire('pagehide');
+
+    // The next page reuses the stored session and sends what was left
+    const second = createWindow({ localStorage });
+    const reloaded = await start(second.window);
+
+    assert.equal(reloaded.sessionId, 'sess_1');
+    assert.equal(second.network.requests.filter(request => request.url.endsWith('/eventTracking/init')).length, 0);
+    const sent = batches(second.network);
+    assert.equal(sent.length, 1);
+    assert.deepEqual(sent[0].body.batch.map(item => [item.eventName, item.sessionId]), [
+        ['added_to_cart', 'sess_1'],
+        ['checkout_started', 'sess_1']
+    ]);
+    assert.deepEqual(storedQueue(localStorage), []);
+});
+
+test('falls back to sendBeacon when the page is hidden', async () => {
+    const { window, network, hide } = createWindow();
+    const tracker = await start(window);
+
+    network.online = false;
+    const result = tracker.track('video_paused', { position: 42 });
+    await tracker.flush();
+    assert.equal(tracker.queueLength, 1);
+
+    hide();
+
+    assert.equal(network.beacons.length, 1);
+    const [beacon] = network.beacons;
+    assert.equal(beacon.url, 'https://t.example.com/eventTracking/batch');
+    assert.equal(beacon.body.writeKey, 'pk_test');
+    assert.deepEqual(beacon.body.batch.map(item => [item.eventName, item.sessionId]), [['video_paused', 'sess_1']]);
+    // Beacons are never answered, so the call settles as sent
+    assert.equal((await result).status, 'sent');
+    assert.equal(tracker.queueLength, 0);
+    assert.deepEqual(storedQueue(window.localStorage), []);
+});